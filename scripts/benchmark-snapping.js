@@ -0,0 +1,139 @@
+// Benchmark of the per-mouse-move snapping and picking work
+//
+// Lays out rows of cabinet parts (a rectangle with a hinge hole, a shelf
+// line and a rounded corner arc each; every other part turned 30 degrees,
+// its outline a closed polyline, so half the lines are slanted) and times
+// what CADCanvas does on every mouse move: acquiring extension and
+// parallel paths, the running object snap, the snap markers near the
+// cursor and a pick under it. Each drawing size is timed scanning every
+// object, as before the spatial index, and querying the index (see
+// src/utils/spatial-index.js), and so is an edit, which re-indexes the one
+// object changed. The indexed cost should stay close to flat as the object
+// count grows; what growth is left comes from the parts lining up in rows,
+// so that more of their lines run on past the cursor for the extension
+// and parallel snaps.
+//
+// Run with: npm run bench
+
+import { getAllSnapPoints, getSnapPointsInProximity } from '../src/utils/drawing-utils.js'
+import { DEFAULT_OSNAP_MODES, findObjectSnap, getSnapPaths } from '../src/utils/osnap-utils.js'
+import { findObjectAt } from '../src/utils/selection-utils.js'
+import { transformObject, translationMatrix } from '../src/utils/transform-utils.js'
+import {
+  createSpatialIndex,
+  insertIntoIndex,
+  queryExtendedShapes,
+  queryIndex
+} from '../src/utils/spatial-index.js'
+
+const OBJECT_COUNTS = [500, 1000, 2000, 4000, 8000]
+const MOVES = 200
+// Screen pixel tolerances at zoom 1, as in cadStore
+const SNAP_TOLERANCE = 10
+const PROXIMITY = SNAP_TOLERANCE * 2
+
+// One part: 24 x 30 in at 96 px per inch, on a 28 x 34 in pitch
+const PART_WIDTH = 24 * 96
+const PART_HEIGHT = 30 * 96
+const PITCH_X = 28 * 96
+const PITCH_Y = 34 * 96
+const OBJECTS_PER_PART = 4
+// Turn of the slanted parts, about their top left corner
+const SLANT = Math.PI / 6
+
+const makeDrawing = (count) => {
+  const objects = []
+  const columns = Math.ceil(Math.sqrt(count / OBJECTS_PER_PART))
+  for (let part = 0; objects.length < count; part++) {
+    const x = (part % columns) * PITCH_X
+    const y = Math.floor(part / columns) * PITCH_Y
+    const angle = part % 2 === 1 ? SLANT : 0
+    // A point of the part, given from its top left corner
+    const at = (dx, dy) => ({
+      x: x + dx * Math.cos(angle) - dy * Math.sin(angle),
+      y: y + dx * Math.sin(angle) + dy * Math.cos(angle)
+    })
+    const hole = at(96, 384)
+    const corner = at(PART_WIDTH - 96, 96)
+    objects.push(
+      angle === 0
+        ? { type: 'rectangle', x, y, width: PART_WIDTH, height: PART_HEIGHT }
+        : { type: 'polyline', points: [at(0, 0), at(PART_WIDTH, 0), at(PART_WIDTH, PART_HEIGHT), at(0, PART_HEIGHT)], closed: true },
+      { type: 'circle', x: hole.x, y: hole.y, radius: 17 },
+      { type: 'line', start: at(0, PART_HEIGHT / 2), end: at(PART_WIDTH, PART_HEIGHT / 2) },
+      { type: 'arc', x: corner.x, y: corner.y, radius: 96, startAngle: angle - Math.PI / 2, endAngle: angle }
+    )
+  }
+  return objects.slice(0, count).map((obj, index) => ({ ...obj, id: index + 1 }))
+}
+
+// Cursor positions spread over the drawing, most of them near a part corner
+const makeMoves = (objects) => {
+  const moves = []
+  for (let i = 0; i < MOVES; i++) {
+    const obj = objects[(i * 7919) % objects.length]
+    const anchor = obj.start || obj.points?.[0] || obj
+    moves.push({ x: anchor.x + (i % 5) - 2, y: anchor.y + (i % 3) - 1 })
+  }
+  return moves
+}
+
+const boxAround = (point, reach) => ({
+  minX: point.x - reach,
+  minY: point.y - reach,
+  maxX: point.x + reach,
+  maxY: point.y + reach
+})
+
+// The work of one mouse move over sets of objects; candidates are the
+// indices worth picking, or null for all
+const mouseMove = (pos, pathObjects, snapObjects, markerObjects, allObjects, candidates) => {
+  getSnapPaths(pathObjects, pos, SNAP_TOLERANCE)
+  findObjectSnap(pos, snapObjects, { modes: DEFAULT_OSNAP_MODES, tolerance: SNAP_TOLERANCE })
+  getSnapPointsInProximity(pos, getAllSnapPoints(markerObjects), PROXIMITY)
+  findObjectAt(allObjects, pos, SNAP_TOLERANCE, null, candidates)
+}
+
+const timePerMove = (moves, run) => {
+  const started = performance.now()
+  moves.forEach(run)
+  return (performance.now() - started) / moves.length
+}
+
+const rows = OBJECT_COUNTS.map(count => {
+  const objects = makeDrawing(count)
+  const moves = makeMoves(objects)
+
+  let started = performance.now()
+  const index = createSpatialIndex()
+  objects.forEach(obj => insertIntoIndex(index, obj))
+  const build = performance.now() - started
+
+  // An edit re-indexes the one object changed, its run-on lines and
+  // circles included; moved a pixel and back, so the index ends as built
+  const edited = objects.slice(0, 100)
+  started = performance.now()
+  edited.forEach(obj => insertIntoIndex(index, transformObject(obj, translationMatrix(1, 0))))
+  edited.forEach(obj => insertIntoIndex(index, obj))
+  const edit = (performance.now() - started) / (edited.length * 2)
+
+  const linear = timePerMove(moves, pos => mouseMove(pos, objects, objects, objects, objects, null))
+  const indexed = timePerMove(moves, pos => {
+    const near = (reach) => queryIndex(index, boxAround(pos, reach)).map(id => id - 1).sort((a, b) => a - b)
+    const candidates = near(SNAP_TOLERANCE * 2)
+    const snapObjects = near(SNAP_TOLERANCE).map(i => objects[i])
+    const markerObjects = near(PROXIMITY).map(i => objects[i])
+    const pathObjects = queryExtendedShapes(index, pos, SNAP_TOLERANCE).sort((a, b) => a - b).map(id => objects[id - 1])
+    mouseMove(pos, pathObjects, snapObjects, markerObjects, objects, candidates)
+  })
+
+  return {
+    objects: count,
+    'build (ms)': build.toFixed(1),
+    'edit (ms)': edit.toFixed(3),
+    'linear (ms/move)': linear.toFixed(3),
+    'indexed (ms/move)': indexed.toFixed(3)
+  }
+})
+
+console.table(rows)
@@ -1,5 +1,33 @@
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
+import { UNIT_SYSTEMS, MAX_PRECISION, formatArea, formatLength, parseLength } from '../utils/units.js'
+import { DEFAULT_DIM_STYLE, DEFAULT_DIM_STYLE_NAME, normalizeDimStyles } from '../utils/dimension-styles.js'
+import { DIMENSION_MODES, convertRectangleAssociations, resolveAssociations } from '../utils/dimension-utils.js'
+import {
+  BYLAYER,
+  DEFAULT_LAYER,
+  DEFAULT_LAYER_NAME,
+  MIN_LINE_WIDTH,
+  MAX_LINE_WIDTH,
+  findLayer,
+  isLayerVisible,
+  isLayerSelectable,
+  normalizeLayer,
+  normalizeLayers,
+  resolveObjectStyle
+} from '../utils/layers.js'
+import { findLinetypeName, isValidLinetypeScale } from '../utils/linetypes.js'
+import { getCurveEndpoints, isFullEllipse } from '../utils/curve-utils.js'
+import { MIN_GRID_SIZE, MAX_GRID_SIZE, MIN_SNAP_TOLERANCE, MAX_SNAP_TOLERANCE } from '../utils/drawing-utils.js'
+import { DEFAULT_OSNAP_MODES, OSNAP_MODES } from '../utils/osnap-utils.js'
+import {
+  createSpatialIndex,
+  insertIntoIndex,
+  queryExtendedShapes,
+  queryIndex,
+  rebuildIndex,
+  removeFromIndex
+} from '../utils/spatial-index.js'
 
 export const useCADStore = defineStore('cad', () => {
   // Canvas state
@@ -12,16 +40,51 @@ export const useCADStore = defineStore('cad', () => {
 
   // Tool state
   const currentTool = ref('select')
+  // Properties of new objects; width, color and linetype may be BYLAYER
+  // (see utils/layers.js)
   const lineWidth = ref(2)
   const lineColor = ref('#000000')
+  const linetype = ref(BYLAYER)
+  // Linetype scale of new objects (AutoCAD's CELTSCALE)
+  const objectLinetypeScale = ref(1)
+  // Global linetype scale (LTSCALE), multiplying every object's; saved with
+  // the document (see utils/linetypes.js)
+  const linetypeScale = ref(1)
 
   // Grid settings
   const gridSize = ref(20)
   const showGrid = ref(true)
   const snapToGrid = ref(true)
+  // Running object snaps: snapToPoints switches them all, osnapModes names
+  // the modes on (see utils/osnap-utils.js)
   const snapToPoints = ref(true)
-  const snapToLines = ref(true)
+  const osnapModes = ref([...DEFAULT_OSNAP_MODES])
   const snapTolerance = ref(10)
+  // Drawing aids (see utils/tracking-utils.js). ORTHO and polar tracking
+  // exclude each other; polarIncrement is in degrees.
+  const orthoMode = ref(false)
+  const polarTracking = ref(false)
+  const polarIncrement = ref(45)
+  const objectSnapTracking = ref(false)
+  // New dimensions bind to the geometry they measure (AutoCAD's DIMASSOC)
+  const associativeDimensions = ref(true)
+
+  // Document units: how lengths are typed and displayed (keys of
+  // UNIT_SYSTEMS in utils/units.js). World coordinates stay in pixels.
+  const units = ref('inches')
+  const precision = ref(4)
+
+  // Named dimension styles (see utils/dimension-styles.js). Dimension objects
+  // reference a style by name; new dimensions use currentDimStyle.
+  const dimStyles = ref([{ ...DEFAULT_DIM_STYLE }])
+  const currentDimStyle = ref(DEFAULT_DIM_STYLE_NAME)
+  // What the Dimension tool creates (keys of DIMENSION_MODES)
+  const dimensionMode = ref('linear')
+
+  // Layers (see utils/layers.js). Objects reference a layer by name in
+  // obj.layer; new objects go on currentLayer.
+  const layers = ref([{ ...DEFAULT_LAYER }])
+  const currentLayer = ref(DEFAULT_LAYER_NAME)
 
   // Drawing state
   const isDrawing = ref(false)
@@ -31,9 +94,33 @@ export const useCADStore = defineStore('cad', () => {
   const dimensionLinePosition = ref(null)
   const mousePosition = ref({ x: null, y: null })
 
-  // Vector objects
+  // Vector objects. Each has a numeric id, unique in the document and kept
+  // through edits and undo, which associative dimensions refer to.
   const vectorObjects = ref([])
   const selectedObjects = ref([])
+  let nextObjectId = 1
+  // Ids of vectorObjects, kept up to date with the list like the spatial
+  // index, so new objects are checked for a used id at once; not reactive
+  const objectIds = new Set()
+  // Spatial index of vectorObjects by id, kept up to date by every change
+  // to the list (see utils/spatial-index.js); not reactive
+  const spatialIndex = createSpatialIndex()
+  // Set to { count } when an edit disassociates dimensions, for the canvas
+  // to report (a new object each time, so watchers fire on repeats)
+  const associationNotice = ref(null)
+
+  // Document state (file name used by Save; null until saved or opened)
+  const documentName = ref(null)
+
+  // Plot settings saved with the document (keys from PAPER_SIZES and
+  // PLOT_SCALES in utils/pdf-plot.js)
+  const plotSettings = ref({
+    paper: 'letter',
+    orientation: 'landscape',
+    scale: '1:1',
+    monochrome: true,
+    titleBlock: { jobName: '', cabinetNumber: '', date: '', drafter: '' }
+  })
 
   // Input state
   const userInput = ref('')
@@ -41,10 +128,24 @@ export const useCADStore = defineStore('cad', () => {
   const inputPrompt = ref('')
   const inputCallback = ref(null)
 
-  // History for undo/redo with limits
+  // Command history for undo/redo. Each history entry is a transaction:
+  // { label, commands: [...] } where every command is one of
+  //   { type: 'add', index, object }
+  //   { type: 'remove', index, object }
+  //   { type: 'modify', index, before, after }
+  //   { type: 'renameLayer', from, to }
+  //   { type: 'dimStyles', before, after } ({ styles, current } each)
+  // Commands store cloned object snapshots, so undo/redo edits the document
+  // model (vectorObjects) instead of repainting bitmaps. A layer rename or
+  // a change of the dimension style table is recorded with the edits that
+  // move objects off the old names, so undoing it never leaves objects on
+  // a layer or style the table does not have.
   const history = ref([])
   const historyIndex = ref(-1)
-  const MAX_HISTORY_SIZE = 50
+  const MAX_HISTORY_SIZE = 100
+  // Transaction currently collecting commands (see beginTransaction)
+  let openTransaction = null
+  let transactionDepth = 0
 
   // Error state
   const errorMessage = ref('')
@@ -57,7 +158,60 @@ export const useCADStore = defineStore('cad', () => {
   ]
 
   // Computed properties
-  const canUndo = computed(() => historyIndex.value > 0)
+  // Everything dimension rendering depends on besides the object itself
+  // (the last argument of drawVectorObject and plotPDF)
+  const dimensionFormat = computed(() => ({
+    units: units.value,
+    precision: precision.value,
+    styles: dimStyles.value
+  }))
+
+  // Color, width and linetype new objects will be drawn with, for previews
+  const drawingStyle = computed(() => getDisplayStyle({
+    layer: currentLayer.value,
+    color: lineColor.value,
+    lineWidth: lineWidth.value,
+    linetype: linetype.value,
+    linetypeScale: objectLinetypeScale.value
+  }))
+
+  // Objects on visible layers with their ByLayer properties resolved and
+  // the global linetype scale applied: what is drawn, plotted, snapped to
+  // and zoomed to. Use vectorObjects where object indices matter (selection,
+  // edits).
+  const displayObjects = computed(() => vectorObjects.value
+    .filter(obj => isObjectVisible(obj))
+    .map(obj => getDisplayStyle(obj)))
+
+  // Where each object id is in vectorObjects
+  const objectIndexById = computed(() => new Map(vectorObjects.value.map((obj, index) => [obj.id, index])))
+
+  // Indices into vectorObjects of ids from the spatial index, in drawing order
+  const indicesOfIds = (ids) => ids
+    .map(id => objectIndexById.value.get(id))
+    .filter(index => index !== undefined)
+    .sort((a, b) => a - b)
+
+  // The displayObjects among objects at indices into vectorObjects
+  const displayObjectsAt = (indices) => indices
+    .map(index => vectorObjects.value[index])
+    .filter(obj => isObjectVisible(obj))
+    .map(obj => getDisplayStyle(obj))
+
+  // Indices into vectorObjects of the objects whose bounds touch a world
+  // box, in drawing order, from the spatial index. Callers still test the
+  // objects themselves.
+  const queryObjectIndices = (box) => indicesOfIds(queryIndex(spatialIndex, box))
+
+  // displayObjects whose bounds touch a world box
+  const queryDisplayObjects = (box) => displayObjectsAt(queryObjectIndices(box))
+
+  // displayObjects with an edge whose whole line or circle passes within a
+  // world distance of a point, for the apparent intersection, extension
+  // and parallel snaps, which follow objects past their ends
+  const queryExtendedObjects = (point, reach) => displayObjectsAt(indicesOfIds(queryExtendedShapes(spatialIndex, point, reach)))
+
+  const canUndo = computed(() => historyIndex.value >= 0)
   const canRedo = computed(() => historyIndex.value < history.value.length - 1)
 
   // Get all existing points for snapping
@@ -73,8 +227,8 @@ export const useCADStore = defineStore('cad', () => {
         points.push(dimensionStart.value)
       }
 
-      // Add vector object points
-      vectorObjects.value.forEach(obj => {
+      // Add vector object points (hidden layers are not snapped to)
+      vectorObjects.value.filter(obj => isObjectVisible(obj)).forEach(obj => {
         if (obj.type === 'line') {
           points.push(obj.start, obj.end)
         } else if (obj.type === 'rectangle') {
@@ -86,6 +240,11 @@ export const useCADStore = defineStore('cad', () => {
           )
         } else if (obj.type === 'circle') {
           points.push({ x: obj.x, y: obj.y })
+        } else if (obj.type === 'arc' || obj.type === 'ellipse') {
+          points.push({ x: obj.x, y: obj.y })
+          if (obj.type === 'arc' || !isFullEllipse(obj)) points.push(...getCurveEndpoints(obj))
+        } else if (obj.type === 'polyline') {
+          points.push(...obj.points)
         }
       })
 
@@ -97,42 +256,16 @@ export const useCADStore = defineStore('cad', () => {
     }
   })
 
-  // Get all existing lines for snapping
-  const existingLines = computed(() => {
-    try {
-      const lines = []
-
-      // Add polyline segments
-      for (let i = 1; i < polylinePoints.value.length; i++) {
-        lines.push({
-          start: polylinePoints.value[i - 1],
-          end: polylinePoints.value[i]
-        })
-      }
-
-      // Add vector object lines
-      vectorObjects.value.forEach(obj => {
-        if (obj.type === 'line') {
-          lines.push({ start: obj.start, end: obj.end })
-        } else if (obj.type === 'rectangle') {
-          // Rectangle edges
-          lines.push(
-            { start: { x: obj.x, y: obj.y }, end: { x: obj.x + obj.width, y: obj.y } },
-            { start: { x: obj.x + obj.width, y: obj.y }, end: { x: obj.x + obj.width, y: obj.y + obj.height } },
-            { start: { x: obj.x + obj.width, y: obj.y + obj.height }, end: { x: obj.x, y: obj.y + obj.height } },
-            { start: { x: obj.x, y: obj.y + obj.height }, end: { x: obj.x, y: obj.y } }
-          )
-        }
-      })
-
-      return lines
-    } catch (error) {
-      console.error('Error computing existing lines:', error)
-      showErrorDialog('Error computing existing lines')
-      return []
-    }
+  // An object as drawn: resolved style and effective linetype scale
+  const getDisplayStyle = (obj) => ({
+    ...resolveObjectStyle(obj, layers.value),
+    linetypeScale: (obj.linetypeScale || 1) * linetypeScale.value
   })
 
+  // Layer checks for an object (its layer, or '0' when that is missing)
+  const isObjectVisible = (obj) => isLayerVisible(findLayer(layers.value, obj.layer))
+  const isObjectSelectable = (obj) => isLayerSelectable(findLayer(layers.value, obj.layer))
+
   // Error handling
   const showErrorDialog = (message) => {
     errorMessage.value = message
@@ -166,7 +299,7 @@ export const useCADStore = defineStore('cad', () => {
 
   const setLineWidth = (width) => {
     try {
-      if (width >= 1 && width <= 20) {
+      if (width === BYLAYER || (width >= MIN_LINE_WIDTH && width <= MAX_LINE_WIDTH)) {
         lineWidth.value = width
       }
     } catch (error) {
@@ -184,6 +317,41 @@ export const useCADStore = defineStore('cad', () => {
     }
   }
 
+  // Linetype of new objects: BYLAYER or a name from LINETYPES
+  const setLinetype = (name) => {
+    try {
+      const known = name === BYLAYER ? BYLAYER : findLinetypeName(name)
+      if (known) {
+        linetype.value = known
+      }
+    } catch (error) {
+      console.error('Error setting linetype:', error)
+      showErrorDialog('Error setting linetype')
+    }
+  }
+
+  const setObjectLinetypeScale = (scale) => {
+    try {
+      if (isValidLinetypeScale(scale)) {
+        objectLinetypeScale.value = scale
+      }
+    } catch (error) {
+      console.error('Error setting object linetype scale:', error)
+      showErrorDialog('Error setting object linetype scale')
+    }
+  }
+
+  const setLinetypeScale = (scale) => {
+    try {
+      if (isValidLinetypeScale(scale)) {
+        linetypeScale.value = scale
+      }
+    } catch (error) {
+      console.error('Error setting linetype scale:', error)
+      showErrorDialog('Error setting linetype scale')
+    }
+  }
+
   const setMousePosition = (x, y) => {
     try {
       mousePosition.value = { x, y }
@@ -192,9 +360,15 @@ export const useCADStore = defineStore('cad', () => {
     }
   }
 
-  const addPolylinePoint = (point) => {
+  // Add a point to the polyline being drawn; bulge shapes the segment from
+  // the previous point to this one (see utils/polyline-utils.js)
+  const addPolylinePoint = (point, bulge = 0) => {
     try {
-      polylinePoints.value.push(point)
+      const points = polylinePoints.value
+      if (bulge && points.length > 0) {
+        points[points.length - 1] = { ...points[points.length - 1], bulge }
+      }
+      points.push({ x: point.x, y: point.y })
     } catch (error) {
       console.error('Error adding polyline point:', error)
       showErrorDialog('Error adding polyline point')
@@ -288,7 +462,7 @@ export const useCADStore = defineStore('cad', () => {
   const setGridSize = (size) => {
     try {
       // Add validation for grid size
-      if (size >= 5 && size <= 100) {
+      if (size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE) {
         gridSize.value = size
       }
     } catch (error) {
@@ -324,19 +498,72 @@ export const useCADStore = defineStore('cad', () => {
     }
   }
 
-  const toggleSnapToLines = () => {
+  // Switch one running object snap mode (a key of OSNAP_MODES)
+  const toggleOsnapMode = (mode) => {
+    try {
+      if (!OSNAP_MODES[mode]) return
+      osnapModes.value = osnapModes.value.includes(mode)
+        ? osnapModes.value.filter(name => name !== mode)
+        : Object.keys(OSNAP_MODES).filter(name => name === mode || osnapModes.value.includes(name))
+    } catch (error) {
+      console.error('Error toggling object snap mode:', error)
+      showErrorDialog('Error toggling object snap mode')
+    }
+  }
+
+  const toggleOrthoMode = () => {
+    try {
+      orthoMode.value = !orthoMode.value
+      if (orthoMode.value) polarTracking.value = false
+    } catch (error) {
+      console.error('Error toggling ortho mode:', error)
+      showErrorDialog('Error toggling ortho mode')
+    }
+  }
+
+  const togglePolarTracking = () => {
+    try {
+      polarTracking.value = !polarTracking.value
+      if (polarTracking.value) orthoMode.value = false
+    } catch (error) {
+      console.error('Error toggling polar tracking:', error)
+      showErrorDialog('Error toggling polar tracking')
+    }
+  }
+
+  const setPolarIncrement = (degrees) => {
+    try {
+      if (Number.isFinite(degrees) && degrees > 0 && degrees <= 90) {
+        polarIncrement.value = degrees
+      }
+    } catch (error) {
+      console.error('Error setting polar angle increment:', error)
+      showErrorDialog('Error setting polar angle increment')
+    }
+  }
+
+  const toggleObjectSnapTracking = () => {
+    try {
+      objectSnapTracking.value = !objectSnapTracking.value
+    } catch (error) {
+      console.error('Error toggling object snap tracking:', error)
+      showErrorDialog('Error toggling object snap tracking')
+    }
+  }
+
+  const toggleAssociativeDimensions = () => {
     try {
-      snapToLines.value = !snapToLines.value
+      associativeDimensions.value = !associativeDimensions.value
     } catch (error) {
-      console.error('Error toggling snap to lines:', error)
-      showErrorDialog('Error toggling snap to lines')
+      console.error('Error toggling associative dimensions:', error)
+      showErrorDialog('Error toggling associative dimensions')
     }
   }
 
   const setSnapTolerance = (tolerance) => {
     try {
       // Add validation for snap tolerance
-      if (tolerance >= 1 && tolerance <= 50) {
+      if (tolerance >= MIN_SNAP_TOLERANCE && tolerance <= MAX_SNAP_TOLERANCE) {
         snapTolerance.value = tolerance
       }
     } catch (error) {
@@ -345,28 +572,270 @@ export const useCADStore = defineStore('cad', () => {
     }
   }
 
-  // Vector object actions
+  // Deep copy of a plain vector object (objects only hold JSON-safe data)
+  const cloneObject = (object) => JSON.parse(JSON.stringify(object))
+
+  // History helpers
+  const pushTransaction = (transaction) => {
+    // Drop any redo entries past the current position
+    history.value = history.value.slice(0, historyIndex.value + 1)
+    history.value.push(transaction)
+
+    // Implement history limits by discarding the oldest transaction
+    if (history.value.length > MAX_HISTORY_SIZE) {
+      history.value.shift()
+    }
+    historyIndex.value = history.value.length - 1
+  }
+
+  // Add a command to the open transaction (the vector object actions always
+  // open one)
+  const recordCommand = (command) => {
+    openTransaction.commands.push(command)
+  }
+
+  const applyCommand = (command) => {
+    switch (command.type) {
+      case 'add':
+        vectorObjects.value.splice(command.index, 0, cloneObject(command.object))
+        objectIds.add(command.object.id)
+        insertIntoIndex(spatialIndex, command.object)
+        break
+      case 'remove':
+        vectorObjects.value.splice(command.index, 1)
+        objectIds.delete(command.object.id)
+        removeFromIndex(spatialIndex, command.object.id)
+        break
+      case 'modify':
+        vectorObjects.value[command.index] = cloneObject(command.after)
+        insertIntoIndex(spatialIndex, command.after)
+        break
+      case 'renameLayer':
+        renameLayerEntry(command.from, command.to)
+        break
+      case 'dimStyles':
+        restoreDimStyles(command.after)
+        break
+    }
+  }
+
+  const revertCommand = (command) => {
+    switch (command.type) {
+      case 'add':
+        vectorObjects.value.splice(command.index, 1)
+        objectIds.delete(command.object.id)
+        removeFromIndex(spatialIndex, command.object.id)
+        break
+      case 'remove':
+        vectorObjects.value.splice(command.index, 0, cloneObject(command.object))
+        objectIds.add(command.object.id)
+        insertIntoIndex(spatialIndex, command.object)
+        break
+      case 'modify':
+        vectorObjects.value[command.index] = cloneObject(command.before)
+        insertIntoIndex(spatialIndex, command.before)
+        break
+      case 'renameLayer':
+        renameLayerEntry(command.to, command.from)
+        break
+      case 'dimStyles':
+        restoreDimStyles(command.before)
+        break
+    }
+  }
+
+  // Rename a layer table entry, and the current layer with it. A layer
+  // deleted since the rename was recorded is added back with the default
+  // properties for its objects to return to; a name taken since is left.
+  const renameLayerEntry = (from, to) => {
+    if (layers.value.some(layer => layer.name === to)) return
+    const layer = layers.value.find(existing => existing.name === from)
+    if (layer) {
+      layer.name = to
+    } else {
+      layers.value.push(normalizeLayer({ name: to }))
+    }
+    if (currentLayer.value === from) currentLayer.value = to
+  }
+
+  const restoreDimStyles = ({ styles, current }) => {
+    dimStyles.value = cloneObject(styles)
+    currentDimStyle.value = current
+  }
+
+  // Group every command recorded until the matching commitTransaction() into
+  // one undo step. Calls may be nested; only the outermost pair counts.
+  const beginTransaction = (label = 'Edit') => {
+    try {
+      if (transactionDepth === 0) {
+        openTransaction = { label, commands: [] }
+      }
+      transactionDepth++
+    } catch (error) {
+      console.error('Error beginning transaction:', error)
+      showErrorDialog('Error beginning transaction')
+    }
+  }
+
+  // Bring associative dimensions up to date with the edits of a transaction
+  // (see resolveAssociations in utils/dimension-utils.js). Runs when the
+  // outermost transaction commits, so the dimension updates are part of
+  // the same undo step, and edits made together (a MOVE of a line and its
+  // dimension) are judged together. References to rectangles the edits
+  // turned into polylines move to the same features of the polylines first.
+  const settleAssociations = (commands) => {
+    const changedIds = new Set()
+    const editedDimensionIds = new Set()
+    // Each object as it was before the transaction, by id
+    const originals = new Map()
+    commands.forEach(command => {
+      // Layer and dimension style table changes move no geometry
+      if (command.type === 'renameLayer' || command.type === 'dimStyles') return
+      if (command.type === 'remove') {
+        changedIds.add(command.object.id)
+        return
+      }
+      if (command.type === 'modify' && !originals.has(command.before.id)) {
+        originals.set(command.before.id, command.before)
+      }
+      const object = command.type === 'modify' ? command.after : command.object
+      if (object.type === 'dimension') {
+        editedDimensionIds.add(object.id)
+      } else {
+        changedIds.add(object.id)
+      }
+    })
+
+    const objectsById = new Map(vectorObjects.value.map(object => [object.id, object]))
+    const conversions = new Map()
+    originals.forEach((original, id) => {
+      const current = objectsById.get(id)
+      if (original.type === 'rectangle' && current?.type === 'polyline') {
+        conversions.set(id, { rectangle: original, polyline: current })
+      }
+    })
+    let disassociated = 0
+    vectorObjects.value.forEach((object, index) => {
+      if (object.type !== 'dimension' || !object.associations) return
+      const edited = editedDimensionIds.has(object.id)
+      const affected = edited || Object.values(object.associations).some(reference => changedIds.has(reference.objectId))
+      if (!affected) return
+
+      const converted = conversions.size > 0 ? convertRectangleAssociations(object, conversions) : object
+      const { dimension, lost } = resolveAssociations(converted, objectsById, { edited, changedIds })
+      if (JSON.stringify(dimension) !== JSON.stringify(object)) {
+        updateVectorObject(index, dimension)
+      }
+      if (lost > 0) disassociated++
+    })
+    if (disassociated > 0) {
+      associationNotice.value = { count: disassociated }
+    }
+  }
+
+  const commitTransaction = () => {
+    try {
+      if (transactionDepth === 0) return
+      try {
+        if (transactionDepth === 1) {
+          // Dimension updates join the transaction being committed
+          settleAssociations([...openTransaction.commands])
+        }
+      } finally {
+        // Close the transaction even when settling fails, so the edits
+        // already made stay undoable and later ones are recorded
+        transactionDepth--
+        if (transactionDepth === 0) {
+          const transaction = openTransaction
+          openTransaction = null
+          // Empty transactions are not worth an undo step
+          if (transaction.commands.length > 0) {
+            pushTransaction(transaction)
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error committing transaction:', error)
+      showErrorDialog('Error committing transaction')
+    }
+  }
+
+  // Vector object actions (all recorded in the undo history). Each runs in a
+  // transaction of its own unless one is open, so associative dimensions
+  // follow every edit.
   const addVectorObject = (object) => {
     try {
-      vectorObjects.value.push(object)
+      const index = vectorObjects.value.length
+      const snapshot = cloneObject(object)
+      // Copies and imported objects arrive with a used id, or none
+      if (!Number.isInteger(snapshot.id) || objectIds.has(snapshot.id)) {
+        snapshot.id = nextObjectId
+      }
+      nextObjectId = Math.max(nextObjectId, snapshot.id + 1)
+      beginTransaction('Add ' + object.type)
+      vectorObjects.value.push(cloneObject(snapshot))
+      objectIds.add(snapshot.id)
+      insertIntoIndex(spatialIndex, snapshot)
+      recordCommand({ type: 'add', index, object: snapshot })
+      commitTransaction()
+      return index
     } catch (error) {
       console.error('Error adding vector object:', error)
       showErrorDialog('Error adding vector object')
+      return -1
     }
   }
 
   const removeVectorObject = (index) => {
     try {
+      const object = vectorObjects.value[index]
+      if (!object) return
+      const snapshot = cloneObject(object)
+      beginTransaction('Remove ' + snapshot.type)
       vectorObjects.value.splice(index, 1)
+      objectIds.delete(snapshot.id)
+      removeFromIndex(spatialIndex, snapshot.id)
+      recordCommand({ type: 'remove', index, object: snapshot })
+      // Keep the selection pointing at the same objects
+      if (selectedObjects.value.length > 0) {
+        selectedObjects.value = selectedObjects.value
+          .filter(selected => selected !== index)
+          .map(selected => selected > index ? selected - 1 : selected)
+      }
+      commitTransaction()
     } catch (error) {
       console.error('Error removing vector object:', error)
       showErrorDialog('Error removing vector object')
     }
   }
 
+  // Replace the object at index with an edited copy
+  const updateVectorObject = (index, object) => {
+    try {
+      const current = vectorObjects.value[index]
+      if (!current) return
+      const before = cloneObject(current)
+      // The object keeps its identity whatever the edit
+      const after = { ...cloneObject(object), id: current.id }
+      beginTransaction('Modify ' + after.type)
+      vectorObjects.value[index] = cloneObject(after)
+      insertIntoIndex(spatialIndex, after)
+      recordCommand({ type: 'modify', index, before, after })
+      commitTransaction()
+    } catch (error) {
+      console.error('Error updating vector object:', error)
+      showErrorDialog('Error updating vector object')
+    }
+  }
+
   const clearVectorObjects = () => {
     try {
-      vectorObjects.value = []
+      // Remove from the end so every recorded index stays valid on undo
+      beginTransaction('Clear')
+      for (let i = vectorObjects.value.length - 1; i >= 0; i--) {
+        removeVectorObject(i)
+      }
+      commitTransaction()
     } catch (error) {
       console.error('Error clearing vector objects:', error)
       showErrorDialog('Error clearing vector objects')
@@ -375,7 +844,7 @@ export const useCADStore = defineStore('cad', () => {
 
   const selectObject = (index) => {
     try {
-      selectedObjects.value = [index]
+      setSelection([index])
     } catch (error) {
       console.error('Error selecting object:', error)
       showErrorDialog('Error selecting object')
@@ -391,13 +860,58 @@ export const useCADStore = defineStore('cad', () => {
     }
   }
 
-  // Input dialog actions
-  const showInput = (prompt, callback) => {
+  // Replace the selection with the given object indices (invalid and
+  // duplicate indices, and objects on hidden or locked layers, are dropped;
+  // the selection stays sorted)
+  const setSelection = (indices) => {
+    try {
+      selectedObjects.value = [...new Set(indices)]
+        .filter(index => index >= 0 && index < vectorObjects.value.length)
+        .filter(index => isObjectSelectable(vectorObjects.value[index]))
+        .sort((a, b) => a - b)
+    } catch (error) {
+      console.error('Error setting selection:', error)
+      showErrorDialog('Error setting selection')
+    }
+  }
+
+  const addToSelection = (indices) => {
+    setSelection([...selectedObjects.value, ...indices])
+  }
+
+  // Add an object to the selection, or remove it when already selected
+  const toggleSelection = (index) => {
+    if (selectedObjects.value.includes(index)) {
+      setSelection(selectedObjects.value.filter(selected => selected !== index))
+    } else {
+      addToSelection([index])
+    }
+  }
+
+  // Erase the selected objects as one undo step
+  const deleteSelectedObjects = () => {
+    try {
+      if (selectedObjects.value.length === 0) return
+      const indices = [...selectedObjects.value].sort((a, b) => b - a)
+      // Remove from the end so the remaining indices stay valid
+      beginTransaction('Erase')
+      indices.forEach(index => removeVectorObject(index))
+      commitTransaction()
+      clearSelection()
+    } catch (error) {
+      console.error('Error deleting selected objects:', error)
+      showErrorDialog('Error deleting selected objects')
+    }
+  }
+
+  // Input dialog actions. The answer goes to callback; initialValue is
+  // what the dialog opens with.
+  const showInput = (prompt, callback, initialValue = '') => {
     try {
       inputPrompt.value = prompt
       inputCallback.value = callback
+      userInput.value = initialValue
       showInputDialog.value = true
-      userInput.value = ''
     } catch (error) {
       console.error('Error showing input dialog:', error)
       showErrorDialog('Error showing input dialog')
@@ -428,49 +942,37 @@ export const useCADStore = defineStore('cad', () => {
     }
   }
 
-  const saveState = (imageData) => {
-    try {
-      // Implement history limits
-      if (history.value.length >= MAX_HISTORY_SIZE) {
-        // Remove oldest state
-        history.value.shift()
-        historyIndex.value = Math.max(0, historyIndex.value - 1)
-      }
-
-      history.value = history.value.slice(0, historyIndex.value + 1)
-      history.value.push(imageData)
-      historyIndex.value++
-    } catch (error) {
-      console.error('Error saving state:', error)
-      showErrorDialog('Error saving state')
-    }
-  }
-
+  // Undo the last transaction. Returns true when something was undone.
   const undo = () => {
     try {
-      if (canUndo.value) {
-        historyIndex.value--
-        return history.value[historyIndex.value]
+      if (!canUndo.value) return false
+      const transaction = history.value[historyIndex.value]
+      for (let i = transaction.commands.length - 1; i >= 0; i--) {
+        revertCommand(transaction.commands[i])
       }
-      return null
+      historyIndex.value--
+      // Object indices may have shifted, so a stale selection is dropped
+      clearSelection()
+      return true
     } catch (error) {
       console.error('Error undoing:', error)
       showErrorDialog('Error undoing action')
-      return null
+      return false
     }
   }
 
+  // Redo the next transaction. Returns true when something was redone.
   const redo = () => {
     try {
-      if (canRedo.value) {
-        historyIndex.value++
-        return history.value[historyIndex.value]
-      }
-      return null
+      if (!canRedo.value) return false
+      historyIndex.value++
+      history.value[historyIndex.value].commands.forEach(applyCommand)
+      clearSelection()
+      return true
     } catch (error) {
       console.error('Error redoing:', error)
       showErrorDialog('Error redoing action')
-      return null
+      return false
     }
   }
 
@@ -478,6 +980,8 @@ export const useCADStore = defineStore('cad', () => {
     try {
       history.value = []
       historyIndex.value = -1
+      openTransaction = null
+      transactionDepth = 0
     } catch (error) {
       console.error('Error clearing history:', error)
       showErrorDialog('Error clearing history')
@@ -498,6 +1002,325 @@ export const useCADStore = defineStore('cad', () => {
     }
   }
 
+  // Document methods (see utils/document-format.js for the file schema)
+  const getDocumentSnapshot = () => {
+    return {
+      settings: {
+        gridSize: gridSize.value,
+        showGrid: showGrid.value,
+        snapToGrid: snapToGrid.value,
+        snapToPoints: snapToPoints.value,
+        osnapModes: [...osnapModes.value],
+        snapTolerance: snapTolerance.value,
+        orthoMode: orthoMode.value,
+        polarTracking: polarTracking.value,
+        polarIncrement: polarIncrement.value,
+        objectSnapTracking: objectSnapTracking.value,
+        associativeDimensions: associativeDimensions.value,
+        units: units.value,
+        precision: precision.value,
+        linetypeScale: linetypeScale.value
+      },
+      view: {
+        panOffset: { ...panOffset.value },
+        zoomLevel: zoomLevel.value
+      },
+      plot: cloneObject(plotSettings.value),
+      dimensionStyles: {
+        current: currentDimStyle.value,
+        styles: cloneObject(dimStyles.value)
+      },
+      layers: {
+        current: currentLayer.value,
+        layers: cloneObject(layers.value)
+      },
+      objects: cloneObject(vectorObjects.value)
+    }
+  }
+
+  // Replace the whole drawing with a parsed document. This is not an undoable
+  // edit, so the history starts fresh.
+  const loadDocumentSnapshot = (snapshot, name = null) => {
+    try {
+      clearPolylinePoints()
+      clearAllDimensionData()
+      clearSelection()
+      setIsDrawing(false)
+
+      gridSize.value = snapshot.settings.gridSize
+      showGrid.value = snapshot.settings.showGrid
+      snapToGrid.value = snapshot.settings.snapToGrid
+      snapToPoints.value = snapshot.settings.snapToPoints
+      osnapModes.value = [...snapshot.settings.osnapModes]
+      snapTolerance.value = snapshot.settings.snapTolerance
+      orthoMode.value = snapshot.settings.orthoMode
+      polarTracking.value = snapshot.settings.polarTracking
+      polarIncrement.value = snapshot.settings.polarIncrement
+      objectSnapTracking.value = snapshot.settings.objectSnapTracking
+      associativeDimensions.value = snapshot.settings.associativeDimensions
+      units.value = snapshot.settings.units
+      precision.value = snapshot.settings.precision
+      linetypeScale.value = snapshot.settings.linetypeScale
+
+      panOffset.value = { ...snapshot.view.panOffset }
+      zoomLevel.value = Math.max(zoomMin, Math.min(snapshot.view.zoomLevel, zoomMax))
+      plotSettings.value = cloneObject(snapshot.plot)
+      dimStyles.value = cloneObject(snapshot.dimensionStyles.styles)
+      currentDimStyle.value = snapshot.dimensionStyles.current
+      layers.value = cloneObject(snapshot.layers.layers)
+      currentLayer.value = snapshot.layers.current
+
+      vectorObjects.value = cloneObject(snapshot.objects)
+      objectIds.clear()
+      vectorObjects.value.forEach(object => objectIds.add(object.id))
+      rebuildIndex(spatialIndex, vectorObjects.value)
+      nextObjectId = vectorObjects.value.reduce((next, object) => Math.max(next, object.id + 1), 1)
+      clearHistory()
+      documentName.value = name
+    } catch (error) {
+      console.error('Error loading document:', error)
+      showErrorDialog('Error loading document')
+    }
+  }
+
+  const setDocumentName = (name) => {
+    documentName.value = name
+  }
+
+  const setUnits = (newUnits, newPrecision = precision.value) => {
+    try {
+      if (!UNIT_SYSTEMS[newUnits]) return
+      units.value = newUnits
+      precision.value = Math.max(0, Math.min(Math.round(newPrecision), MAX_PRECISION))
+    } catch (error) {
+      console.error('Error setting units:', error)
+      showErrorDialog('Error setting units')
+    }
+  }
+
+  // Choose what the Dimension tool creates; partly picked input is dropped
+  const setDimensionMode = (mode) => {
+    try {
+      if (!DIMENSION_MODES[mode]) return
+      dimensionMode.value = mode
+      clearAllDimensionData()
+    } catch (error) {
+      console.error('Error setting dimension mode:', error)
+      showErrorDialog('Error setting dimension mode')
+    }
+  }
+
+  // Format a world-pixel length in the document units
+  const formatLengthInUnits = (pixels) => formatLength(pixels, units.value, precision.value)
+
+  // Format an area (square world pixels) in the document units
+  const formatAreaInUnits = (squarePixels) => formatArea(squarePixels, units.value, precision.value)
+
+  // Parse a typed length (see parseLength) in the document units; null if invalid
+  const parseLengthInUnits = (text) => parseLength(text, units.value)
+
+  // Replace the dimension styles (from the style manager). Dimensions whose
+  // style was deleted or renamed away are switched to the style given in
+  // renamed (old name -> new name) or to 'Standard', in the same undo step
+  // as the style table change.
+  const setDimStyles = (styles, current = currentDimStyle.value, renamed = {}) => {
+    try {
+      const normalized = normalizeDimStyles(styles)
+      const names = normalized.map(style => style.name)
+      const before = { styles: cloneObject(dimStyles.value), current: currentDimStyle.value }
+      const after = { styles: normalized, current: names.includes(current) ? current : DEFAULT_DIM_STYLE_NAME }
+
+      beginTransaction('Dimension styles')
+      if (JSON.stringify(after) !== JSON.stringify(before)) {
+        restoreDimStyles(after)
+        recordCommand({ type: 'dimStyles', before, after: cloneObject(after) })
+      }
+      vectorObjects.value.forEach((obj, index) => {
+        if (obj.type !== 'dimension') return
+        const style = renamed[obj.style] || obj.style
+        const valid = names.includes(style) ? style : DEFAULT_DIM_STYLE_NAME
+        if (valid !== obj.style) {
+          updateVectorObject(index, { ...obj, style: valid })
+        }
+      })
+      commitTransaction()
+    } catch (error) {
+      console.error('Error setting dimension styles:', error)
+      showErrorDialog('Error setting dimension styles')
+    }
+  }
+
+  // Give the selected dimensions another style, as one undo step
+  const applyDimStyleToSelection = (name) => {
+    try {
+      if (!dimStyles.value.some(style => style.name === name)) return
+      beginTransaction('Dimension style')
+      selectedObjects.value.forEach(index => {
+        const obj = vectorObjects.value[index]
+        if (obj && obj.type === 'dimension' && obj.style !== name) {
+          updateVectorObject(index, { ...obj, style: name })
+        }
+      })
+      commitTransaction()
+    } catch (error) {
+      console.error('Error applying dimension style:', error)
+      showErrorDialog('Error applying dimension style')
+    }
+  }
+
+  // Layer actions. The layer table itself is not in the undo history,
+  // except for renames, which are recorded with the edits that move the
+  // layer's objects.
+
+  // Add a layer; returns its name, or null when the name is taken
+  const addLayer = (layer = {}) => {
+    try {
+      const normalized = normalizeLayer(layer)
+      if (layers.value.some(existing => existing.name === normalized.name)) return null
+      layers.value.push(normalized)
+      return normalized.name
+    } catch (error) {
+      console.error('Error adding layer:', error)
+      showErrorDialog('Error adding layer')
+      return null
+    }
+  }
+
+  // Change a layer's properties. A rename moves the layer's objects with it
+  // (one undo step); the current layer cannot be frozen. Returns false when
+  // the change was refused.
+  const updateLayer = (name, changes) => {
+    try {
+      const index = layers.value.findIndex(layer => layer.name === name)
+      if (index < 0) return false
+      const updated = normalizeLayer({ ...layers.value[index], ...changes })
+      if (updated.name !== name) {
+        if (name === DEFAULT_LAYER_NAME) return false
+        if (layers.value.some(layer => layer.name === updated.name)) return false
+      }
+      if (updated.frozen && name === currentLayer.value) return false
+
+      layers.value[index] = { ...updated, name }
+      if (updated.name !== name) {
+        beginTransaction('Rename layer')
+        renameLayerEntry(name, updated.name)
+        recordCommand({ type: 'renameLayer', from: name, to: updated.name })
+        vectorObjects.value.forEach((obj, objIndex) => {
+          if (obj.layer === name) {
+            updateVectorObject(objIndex, { ...obj, layer: updated.name })
+          }
+        })
+        commitTransaction()
+      }
+      // Objects that were hidden or locked leave the selection
+      setSelection(selectedObjects.value)
+      return true
+    } catch (error) {
+      console.error('Error updating layer:', error)
+      showErrorDialog('Error updating layer')
+      return false
+    }
+  }
+
+  // Delete a layer. Layer '0', the current layer and layers holding objects
+  // cannot be deleted. Returns false when the deletion was refused.
+  const deleteLayer = (name) => {
+    try {
+      if (name === DEFAULT_LAYER_NAME || name === currentLayer.value) return false
+      if (vectorObjects.value.some(obj => obj.layer === name)) return false
+      const before = layers.value.length
+      layers.value = layers.value.filter(layer => layer.name !== name)
+      return layers.value.length < before
+    } catch (error) {
+      console.error('Error deleting layer:', error)
+      showErrorDialog('Error deleting layer')
+      return false
+    }
+  }
+
+  // Choose the layer new objects go on (not a frozen one)
+  const setCurrentLayer = (name) => {
+    try {
+      const layer = layers.value.find(existing => existing.name === name)
+      if (!layer || layer.frozen) return
+      currentLayer.value = name
+    } catch (error) {
+      console.error('Error setting current layer:', error)
+      showErrorDialog('Error setting current layer')
+    }
+  }
+
+  // Add the layers of an imported file; layers the drawing already has keep
+  // their properties
+  const mergeLayers = (imported = []) => {
+    try {
+      normalizeLayers(imported).forEach(layer => {
+        if (!layers.value.some(existing => existing.name === layer.name)) {
+          layers.value.push(layer)
+        }
+      })
+    } catch (error) {
+      console.error('Error merging layers:', error)
+      showErrorDialog('Error merging layers')
+    }
+  }
+
+  // Move the selected objects to a layer, as one undo step
+  const setSelectionLayer = (name) => {
+    try {
+      if (!layers.value.some(layer => layer.name === name)) return
+      beginTransaction('Change layer')
+      selectedObjects.value.forEach(index => {
+        const obj = vectorObjects.value[index]
+        if (obj && obj.layer !== name) {
+          updateVectorObject(index, { ...obj, layer: name })
+        }
+      })
+      commitTransaction()
+      // The new layer may be hidden or locked
+      setSelection(selectedObjects.value)
+    } catch (error) {
+      console.error('Error changing layer:', error)
+      showErrorDialog('Error changing layer')
+    }
+  }
+
+  // Give the selected objects a linetype and linetype scale, as one undo
+  // step; either may be null to keep the objects' own
+  const setSelectionLinetype = (name, scale = null) => {
+    try {
+      const known = name === BYLAYER ? BYLAYER : findLinetypeName(name)
+      const changes = {}
+      if (known) changes.linetype = known
+      if (isValidLinetypeScale(scale)) changes.linetypeScale = scale
+      if (Object.keys(changes).length === 0) return
+      beginTransaction('Change linetype')
+      selectedObjects.value.forEach(index => {
+        const obj = vectorObjects.value[index]
+        if (obj && obj.type !== 'dimension') {
+          updateVectorObject(index, { ...obj, ...changes })
+        }
+      })
+      commitTransaction()
+    } catch (error) {
+      console.error('Error changing linetype:', error)
+      showErrorDialog('Error changing linetype')
+    }
+  }
+
+  const setPlotSettings = (settings) => {
+    try {
+      plotSettings.value = {
+        ...plotSettings.value,
+        ...cloneObject(settings),
+        titleBlock: { ...plotSettings.value.titleBlock, ...cloneObject(settings.titleBlock || {}) }
+      }
+    } catch (error) {
+      console.error('Error setting plot settings:', error)
+      showErrorDialog('Error setting plot settings')
+    }
+  }
+
   // Zoom methods
   const zoomIn = () => {
     try {
@@ -578,12 +1401,27 @@ export const useCADStore = defineStore('cad', () => {
     currentTool,
     lineWidth,
     lineColor,
+    linetype,
+    objectLinetypeScale,
+    linetypeScale,
     gridSize,
     showGrid,
     snapToGrid,
     snapToPoints,
-    snapToLines,
+    osnapModes,
     snapTolerance,
+    orthoMode,
+    polarTracking,
+    polarIncrement,
+    objectSnapTracking,
+    associativeDimensions,
+    units,
+    precision,
+    dimStyles,
+    currentDimStyle,
+    dimensionMode,
+    layers,
+    currentLayer,
     isDrawing,
     polylinePoints,
     dimensionStart,
@@ -592,6 +1430,9 @@ export const useCADStore = defineStore('cad', () => {
     mousePosition,
     vectorObjects,
     selectedObjects,
+    associationNotice,
+    documentName,
+    plotSettings,
     userInput,
     showInputDialog,
     inputPrompt,
@@ -605,12 +1446,20 @@ export const useCADStore = defineStore('cad', () => {
     canUndo,
     canRedo,
     existingPoints,
-    existingLines,
+    dimensionFormat,
+    drawingStyle,
+    displayObjects,
+    queryObjectIndices,
+    queryDisplayObjects,
+    queryExtendedObjects,
 
     // Actions
     setTool,
     setLineWidth,
     setLineColor,
+    setLinetype,
+    setObjectLinetypeScale,
+    setLinetypeScale,
     setMousePosition,
     addPolylinePoint,
     clearPolylinePoints,
@@ -626,13 +1475,25 @@ export const useCADStore = defineStore('cad', () => {
     toggleGrid,
     toggleSnapToGrid,
     toggleSnapToPoints,
-    toggleSnapToLines,
+    toggleOsnapMode,
+    toggleOrthoMode,
+    togglePolarTracking,
+    setPolarIncrement,
+    toggleObjectSnapTracking,
+    toggleAssociativeDimensions,
     setSnapTolerance,
     addVectorObject,
     removeVectorObject,
+    updateVectorObject,
     clearVectorObjects,
+    beginTransaction,
+    commitTransaction,
     selectObject,
     clearSelection,
+    setSelection,
+    addToSelection,
+    toggleSelection,
+    deleteSelectedObjects,
     zoomIn,
     zoomOut,
     setZoom,
@@ -643,11 +1504,30 @@ export const useCADStore = defineStore('cad', () => {
     showInput,
     submitInput,
     cancelInput,
-    saveState,
     undo,
     redo,
     clearHistory,
     resetCanvas,
+    getDocumentSnapshot,
+    loadDocumentSnapshot,
+    setDocumentName,
+    setPlotSettings,
+    setDimStyles,
+    applyDimStyleToSelection,
+    setDimensionMode,
+    addLayer,
+    updateLayer,
+    deleteLayer,
+    setCurrentLayer,
+    mergeLayers,
+    setSelectionLayer,
+    setSelectionLinetype,
+    isObjectVisible,
+    isObjectSelectable,
+    setUnits,
+    formatLengthInUnits,
+    formatAreaInUnits,
+    parseLengthInUnits,
     showErrorDialog,
     clearError
   }
@@ -0,0 +1,119 @@
+// Command line parsing: command names with their aliases, and coordinate entry
+//
+// Typed coordinates follow the CAD convention: Y pointing up and angles
+// counterclockwise from +X. Each length may be any form parseLength()
+// accepts (600mm, 1'6 3/4...), bare numbers being in the document units.
+// World coordinates are pixels with Y pointing down, so parsed points are
+// converted (and Y flipped) here.
+//
+// Accepted point forms:
+//   x,y          absolute
+//   @dx,dy       relative to the last point
+//   @dist<angle  polar, relative to the last point
+//   dist<angle   polar, from the origin
+
+import { parseLength } from './units.js'
+
+// Commands by canonical name. The canvas maps each name to its action; the
+// help dialog lists them with their aliases.
+export const COMMANDS = {
+  LINE: { aliases: ['L'], description: 'Draw lines, each continuing from the last point' },
+  RECTANG: { aliases: ['REC', 'RECT'], description: 'Draw a rectangle from two corners; C starts from the center, D gives width and height, R a rotation' },
+  CIRCLE: { aliases: ['C'], description: 'Draw a circle from its center and radius (D for diameter), or by 2P, 3P or T (tangent, tangent, radius)' },
+  PLINE: { aliases: ['PL'], description: 'Draw a polyline; A draws arcs, L lines, C closes it and Enter finishes it' },
+  ARC: { aliases: ['A'], description: 'Draw an arc through three points; C gives its center, E its end and radius' },
+  ELLIPSE: { aliases: ['EL'], description: 'Draw an ellipse from its center and axes; A draws an elliptical arc' },
+  POLYGON: { aliases: ['POL'], description: 'Draw a regular polygon inscribed in or circumscribed about a circle' },
+  DIMLINEAR: { aliases: ['DIM', 'DLI'], description: 'Add a horizontal or vertical dimension; the drag direction picks which' },
+  DIMALIGNED: { aliases: ['DAL'], description: 'Add a dimension parallel to the measured points' },
+  DIMANGULAR: { aliases: ['DAN'], description: 'Add an angle dimension between two lines' },
+  DIMRADIUS: { aliases: ['DRA'], description: 'Add a radius dimension to a circle or arc' },
+  DIMDIAMETER: { aliases: ['DDI'], description: 'Add a diameter dimension to a circle or arc' },
+  DIMBASELINE: { aliases: ['DBA'], description: 'Add dimensions from the first extension line of the last one' },
+  DIMCONTINUE: { aliases: ['DCO'], description: 'Add dimensions continuing from the second extension line of the last one' },
+  DIMASSOC: { aliases: ['DAS'], description: 'Turn associative dimensions on or off' },
+  SELECT: { aliases: ['SEL'], description: 'Switch to the select tool' },
+  MOVE: { aliases: ['M'], description: 'Move the selection' },
+  COPY: { aliases: ['CO', 'CP'], description: 'Copy the selection' },
+  ROTATE: { aliases: ['RO'], description: 'Rotate the selection' },
+  SCALE: { aliases: ['SC'], description: 'Scale the selection' },
+  MIRROR: { aliases: ['MI'], description: 'Mirror the selection' },
+  OFFSET: { aliases: ['O'], description: 'Make a parallel copy of an object at a distance or through a point; J rounds polyline corners' },
+  TRIM: { aliases: ['TR'], description: 'Cut objects back to the selected cutting edges (all visible objects when none are selected); F fences, C crosses' },
+  EXTEND: { aliases: ['EX'], description: 'Lengthen lines, arcs and open polylines to the selected boundary edges; F fences, C crosses' },
+  FILLET: { aliases: ['F'], description: 'Round the corner between two lines or polyline segments with an arc; R radius, P every corner of a polyline, T trim' },
+  CHAMFER: { aliases: ['CHA'], description: 'Bevel the corner between two lines or polyline segments; D distances, A distance and angle, P every corner of a polyline, T trim' },
+  ERASE: { aliases: ['E'], description: 'Erase the selection' },
+  DIST: { aliases: ['DI'], description: 'Measure the distance and angle between two points' },
+  ZOOM: { aliases: ['Z'], description: 'Zoom to extents, in, out or by a factor' },
+  UNDO: { aliases: ['U'], description: 'Undo the last change' },
+  REDO: { aliases: [], description: 'Redo the last undone change' },
+  GRID: { aliases: [], description: 'Toggle the grid' },
+  SNAP: { aliases: ['SN'], description: 'Toggle grid snapping' },
+  OSNAP: { aliases: ['OS'], description: 'Toggle running object snaps (F3); the modes are chosen in the Object Snap panel' },
+  ORTHO: { aliases: [], description: 'Toggle ortho: lock new segments to horizontal or vertical (F8)' },
+  POLAR: { aliases: [], description: 'Set the polar tracking angle increment, or Enter to toggle polar tracking (F10)' },
+  OTRACK: { aliases: [], description: 'Toggle object snap tracking from acquired snap points (F11)' },
+  LAYER: { aliases: ['LA'], description: 'Make a layer current by name, creating it if needed' },
+  REGEN: { aliases: ['RE'], description: 'Redraw the canvas' },
+  HELP: { aliases: ['?'], description: 'Show the help dialog' }
+}
+
+/**
+ * Resolve a typed command name or alias (case-insensitive)
+ * @param {string} text - Typed text
+ * @returns {string|null} Canonical command name, or null when unknown
+ */
+export const resolveCommand = (text) => {
+  const name = String(text).trim().toUpperCase()
+  if (!name) return null
+  if (COMMANDS[name]) return name
+  return Object.keys(COMMANDS).find(command => COMMANDS[command].aliases.includes(name)) || null
+}
+
+/**
+ * Parse a plain number
+ * @param {string} text - Typed text
+ * @returns {number|null} The number, or null when the text is not one
+ */
+export const parseNumber = (text) => {
+  const trimmed = String(text).trim()
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) return null
+  return Number(trimmed)
+}
+
+/**
+ * Parse typed coordinates into a world point
+ * @param {string} text - Typed text (see the forms at the top of this file)
+ * @param {Object|null} lastPoint - World point that relative entries start from
+ * @param {string} units - Document units (key of UNIT_SYSTEMS) for bare numbers
+ * @returns {Object|null} World point {x, y}, or null when the text is not a point
+ */
+export const parseCoordinate = (text, lastPoint = null, units = 'inches') => {
+  let trimmed = String(text).trim()
+  const relative = trimmed.startsWith('@')
+  if (relative) trimmed = trimmed.slice(1)
+  const origin = relative && lastPoint ? lastPoint : { x: 0, y: 0 }
+
+  const polar = trimmed.split('<')
+  if (polar.length === 2) {
+    const distance = parseLength(polar[0], units)
+    const angle = parseNumber(polar[1])
+    if (distance === null || angle === null) return null
+    const radians = angle * Math.PI / 180
+    return {
+      x: origin.x + distance * Math.cos(radians),
+      y: origin.y - distance * Math.sin(radians)
+    }
+  }
+
+  const cartesian = trimmed.split(',')
+  if (cartesian.length === 2) {
+    const x = parseLength(cartesian[0], units)
+    const y = parseLength(cartesian[1], units)
+    if (x === null || y === null) return null
+    return { x: origin.x + x, y: origin.y - y }
+  }
+
+  return null
+}
@@ -0,0 +1,305 @@
+// Arc, ellipse and circle geometry
+//
+// An arc object is { type: 'arc', x, y, radius, startAngle, endAngle } and an
+// ellipse { type: 'ellipse', x, y, majorAxis, ratio, startAngle, endAngle }:
+// majorAxis is the vector from the center to one end of the major axis and
+// ratio the minor axis length over the major one (0 < ratio <= 1), as in DXF.
+// Both run from startAngle to endAngle in the direction of increasing angle,
+// which is clockwise on screen (Y down); a full ellipse goes from 0 to 2π.
+// Arc angles are world angles around the center. Ellipse angles are
+// parameters, measured from the major axis towards the minor one (the major
+// axis turned +90°), so the point at t is center + majorAxis·cos t +
+// minorAxis·sin t. New curves get a startAngle in [0, 2π) and an endAngle
+// up to 2π beyond it.
+
+import { intersectShapes } from './geometry-utils.js'
+
+export const TWO_PI = 2 * Math.PI
+
+// Degrees of angle (or parameter) per point when curves are approximated by
+// straight pieces
+const CURVE_SEGMENT_DEGREES = 5
+
+/**
+ * Bring an angle into [0, 2π)
+ * @param {number} angle - Angle in radians
+ * @returns {number} Equivalent angle in [0, 2π)
+ */
+export const normalizeAngle = (angle) => ((angle % TWO_PI) + TWO_PI) % TWO_PI
+
+/**
+ * Sweep of an arc or ellipse from its startAngle to its endAngle
+ * @param {Object} obj - Arc or ellipse object
+ * @returns {number} Sweep in (0, 2π]
+ */
+export const getCurveSweep = (obj) => normalizeAngle(obj.endAngle - obj.startAngle) || TWO_PI
+
+/**
+ * Check whether an ellipse is whole rather than an elliptical arc
+ * @param {Object} obj - Ellipse object
+ * @returns {boolean} True for a full ellipse
+ */
+export const isFullEllipse = (obj) => getCurveSweep(obj) === TWO_PI
+
+/**
+ * Point of an arc or ellipse at an angle (an ellipse's parameter)
+ * @param {Object} obj - Arc or ellipse object
+ * @param {number} angle - Angle in radians
+ * @returns {Object} Point {x, y}
+ */
+export const getCurvePoint = (obj, angle) => {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  if (obj.type === 'ellipse') {
+    const { majorAxis, ratio } = obj
+    return {
+      x: obj.x + majorAxis.x * cos - majorAxis.y * ratio * sin,
+      y: obj.y + majorAxis.y * cos + majorAxis.x * ratio * sin
+    }
+  }
+  return { x: obj.x + cos * obj.radius, y: obj.y + sin * obj.radius }
+}
+
+/**
+ * Start and end points of an arc or elliptical arc
+ * @param {Object} obj - Arc or ellipse object
+ * @returns {Array} [start, end] points {x, y}
+ */
+export const getCurveEndpoints = (obj) => [
+  getCurvePoint(obj, obj.startAngle),
+  getCurvePoint(obj, obj.startAngle + getCurveSweep(obj))
+]
+
+/**
+ * Middle of an arc or elliptical arc, halfway through its sweep
+ * @param {Object} obj - Arc or ellipse object
+ * @returns {Object} Point {x, y}
+ */
+export const getCurveMidpoint = (obj) => getCurvePoint(obj, obj.startAngle + getCurveSweep(obj) / 2)
+
+/**
+ * Quadrant points lying on an arc (at 0°, 90°, 180° and 270° around its
+ * center) or on an ellipse (the ends of its axes)
+ * @param {Object} obj - Arc or ellipse object
+ * @returns {Array} Points {x, y}, in order of angle from 0
+ */
+export const getCurveQuadrants = (obj) => {
+  const sweep = getCurveSweep(obj)
+  return [0, 1, 2, 3]
+    .map(quarter => quarter * Math.PI / 2)
+    .filter(angle => normalizeAngle(angle - obj.startAngle) <= sweep)
+    .map(angle => getCurvePoint(obj, angle))
+}
+
+/**
+ * Points along an arc or ellipse, approximating it with short straight pieces
+ * @param {Object} obj - Arc or ellipse object
+ * @returns {Array} Points {x, y} from start to end; a full ellipse ends where it starts
+ */
+export const flattenCurve = (obj) => {
+  const sweep = getCurveSweep(obj)
+  const steps = Math.max(2, Math.ceil(sweep / (CURVE_SEGMENT_DEGREES * Math.PI / 180)))
+  const points = []
+  for (let i = 0; i <= steps; i++) {
+    points.push(getCurvePoint(obj, obj.startAngle + sweep * i / steps))
+  }
+  return points
+}
+
+// Arc fields from a center, radius, start angle and sweep
+const arcFields = (center, radius, startAngle, sweep) => {
+  const start = normalizeAngle(startAngle)
+  return { x: center.x, y: center.y, radius, startAngle: start, endAngle: start + sweep }
+}
+
+/**
+ * Arc through three points (ARC's default)
+ * @param {Object} start - Start point {x, y}
+ * @param {Object} through - Point on the arc between the ends {x, y}
+ * @param {Object} end - End point {x, y}
+ * @returns {Object|null} Arc fields { x, y, radius, startAngle, endAngle },
+ *   or null when the points are in line
+ */
+export const arcFromThreePoints = (start, through, end) => {
+  const d = 2 * (start.x * (through.y - end.y) + through.x * (end.y - start.y) + end.x * (start.y - through.y))
+  if (Math.abs(d) < 1e-9) return null
+
+  const s = start.x * start.x + start.y * start.y
+  const t = through.x * through.x + through.y * through.y
+  const e = end.x * end.x + end.y * end.y
+  const center = {
+    x: (s * (through.y - end.y) + t * (end.y - start.y) + e * (start.y - through.y)) / d,
+    y: (s * (end.x - through.x) + t * (start.x - end.x) + e * (through.x - start.x)) / d
+  }
+  const radius = Math.hypot(start.x - center.x, start.y - center.y)
+  const startAngle = Math.atan2(start.y - center.y, start.x - center.x)
+  const endAngle = Math.atan2(end.y - center.y, end.x - center.x)
+  // Turning towards positive angles on the way means the arc runs that way
+  // from the start; otherwise it runs that way from the end
+  const turn = (through.x - start.x) * (end.y - through.y) - (through.y - start.y) * (end.x - through.x)
+  return turn > 0
+    ? arcFields(center, radius, startAngle, normalizeAngle(endAngle - startAngle))
+    : arcFields(center, radius, endAngle, normalizeAngle(startAngle - endAngle))
+}
+
+/**
+ * Arc from its start point, center and a point giving the end direction,
+ * drawn counterclockwise on screen from the start as AutoCAD does
+ * @param {Object} start - Start point {x, y}
+ * @param {Object} center - Center {x, y}
+ * @param {Object} end - Point in the direction of the end {x, y}
+ * @returns {Object|null} Arc fields, or null when there is no arc
+ */
+export const arcFromStartCenterEnd = (start, center, end) => {
+  const radius = Math.hypot(start.x - center.x, start.y - center.y)
+  if (radius === 0 || (end.x === center.x && end.y === center.y)) return null
+  const startAngle = Math.atan2(start.y - center.y, start.x - center.x)
+  const endAngle = Math.atan2(end.y - center.y, end.x - center.x)
+  // Counterclockwise on screen is the decreasing-angle direction, so the
+  // arc runs from the end to the start
+  const sweep = normalizeAngle(startAngle - endAngle)
+  return sweep === 0 ? null : arcFields(center, radius, endAngle, sweep)
+}
+
+/**
+ * Arc from its start and end points and radius, drawn counterclockwise on
+ * screen from the start as AutoCAD does
+ * @param {Object} start - Start point {x, y}
+ * @param {Object} end - End point {x, y}
+ * @param {number} radius - Radius; a negative radius draws the major arc
+ * @returns {Object|null} Arc fields, or null when the radius is too small
+ *   for the distance between the points
+ */
+export const arcFromStartEndRadius = (start, end, radius) => {
+  const chord = Math.hypot(end.x - start.x, end.y - start.y)
+  if (chord === 0 || 2 * Math.abs(radius) < chord) return null
+  const halfSweep = Math.asin(Math.min(1, chord / (2 * Math.abs(radius))))
+  const sweep = radius > 0 ? 2 * halfSweep : TWO_PI - 2 * halfSweep
+  // The center lies on the chord's perpendicular bisector, on the side that
+  // makes the arc run from the end to the start with positive angles
+  const offset = Math.sqrt(Math.max(0, radius * radius - chord * chord / 4)) * (radius > 0 ? 1 : -1)
+  const center = {
+    x: (start.x + end.x) / 2 - (start.y - end.y) / chord * offset,
+    y: (start.y + end.y) / 2 + (start.x - end.x) / chord * offset
+  }
+  return arcFields(center, Math.abs(radius), Math.atan2(end.y - center.y, end.x - center.x), sweep)
+}
+
+/**
+ * Ellipse fields from its center, one axis and the half-length of the other.
+ * The longer axis becomes the major one; the parameters are shifted to match
+ * when the given axis turns out to be the minor one.
+ * @param {Object} center - Center {x, y}
+ * @param {Object} axis - Vector from the center to the end of one axis {x, y}
+ * @param {number} otherLength - Half-length of the other axis
+ * @param {number} startAngle - Start parameter against the given axis
+ * @param {number} endAngle - End parameter against the given axis
+ * @returns {Object|null} Ellipse fields { x, y, majorAxis, ratio, startAngle,
+ *   endAngle }, or null when an axis has no length
+ */
+export const ellipseFromAxes = (center, axis, otherLength, startAngle = 0, endAngle = TWO_PI) => {
+  const length = Math.hypot(axis.x, axis.y)
+  if (length === 0 || !(otherLength > 0)) return null
+  const sweep = normalizeAngle(endAngle - startAngle) || TWO_PI
+  if (otherLength <= length) {
+    const start = normalizeAngle(startAngle)
+    return { x: center.x, y: center.y, majorAxis: { x: axis.x, y: axis.y }, ratio: otherLength / length, startAngle: start, endAngle: start + sweep }
+  }
+  // The other axis (the given one turned +90°) is the major one; its
+  // parameters are a quarter turn behind
+  const start = normalizeAngle(startAngle - Math.PI / 2)
+  return {
+    x: center.x,
+    y: center.y,
+    majorAxis: { x: -axis.y / length * otherLength, y: axis.x / length * otherLength },
+    ratio: length / otherLength,
+    startAngle: start,
+    endAngle: start + sweep
+  }
+}
+
+/**
+ * Lengths and direction of an ellipse's axes
+ * @param {Object} obj - Ellipse object
+ * @returns {Object} { major, minor, rotation }: half-lengths, and the major
+ *   axis angle in radians
+ */
+export const getEllipseAxes = (obj) => {
+  const major = Math.hypot(obj.majorAxis.x, obj.majorAxis.y)
+  return { major, minor: major * obj.ratio, rotation: Math.atan2(obj.majorAxis.y, obj.majorAxis.x) }
+}
+
+/**
+ * Parameter of the ellipse point in the direction of a point, seen from the
+ * center (how ELLIPSE's arc option turns picked points into angles)
+ * @param {Object} obj - Ellipse object
+ * @param {Object} point - Point {x, y}
+ * @returns {number} Parameter in [0, 2π)
+ */
+export const getEllipseParameter = (obj, point) => {
+  const { rotation } = getEllipseAxes(obj)
+  const dx = point.x - obj.x
+  const dy = point.y - obj.y
+  const along = dx * Math.cos(rotation) + dy * Math.sin(rotation)
+  const across = dy * Math.cos(rotation) - dx * Math.sin(rotation)
+  return normalizeAngle(Math.atan2(across / obj.ratio, along))
+}
+
+// Lines and circles at a distance either side of a line or circle: where
+// those round two objects cross are the candidate centers of a circle
+// touching both. A line is { start, end } and taken as infinite, a circle
+// is { x, y, radius }.
+const offsetLines = (line, distance) => {
+  const length = Math.hypot(line.end.x - line.start.x, line.end.y - line.start.y)
+  const nx = -(line.end.y - line.start.y) / length * distance
+  const ny = (line.end.x - line.start.x) / length * distance
+  return [1, -1].map(side => ({
+    start: { x: line.start.x + nx * side, y: line.start.y + ny * side },
+    end: { x: line.end.x + nx * side, y: line.end.y + ny * side }
+  }))
+}
+
+const offsetCircles = (circle, distance) => [circle.radius + distance, Math.abs(circle.radius - distance)]
+  .filter(radius => radius > 0)
+  .map(radius => ({ x: circle.x, y: circle.y, radius }))
+
+// Where a circle of `radius` centered at `center` touches a line or circle
+const tangentPoint = (item, center, radius) => {
+  if (item.start) {
+    const dx = item.end.x - item.start.x
+    const dy = item.end.y - item.start.y
+    const t = ((center.x - item.start.x) * dx + (center.y - item.start.y) * dy) / (dx * dx + dy * dy)
+    return { x: item.start.x + dx * t, y: item.start.y + dy * t }
+  }
+  // Facing the center, unless the new circle encloses the other one
+  const distance = Math.hypot(center.x - item.x, center.y - item.y) || 1
+  const side = distance < radius ? -1 : 1
+  return {
+    x: item.x + (center.x - item.x) / distance * item.radius * side,
+    y: item.y + (center.y - item.y) / distance * item.radius * side
+  }
+}
+
+/**
+ * Circle of a given radius touching two lines or circles (CIRCLE's
+ * tangent, tangent, radius). Of the circles that fit, the one touching each
+ * nearest the point it was picked at is chosen, as AutoCAD does.
+ * @param {Object} first - { start, end } of a line (taken as infinite) or
+ *   { x, y, radius } of a circle or arc, with its pick point in `pick`
+ * @param {Object} second - The other line or circle, likewise
+ * @param {number} radius - Radius of the new circle
+ * @returns {Object|null} Circle fields { x, y, radius }, or null when none fits
+ */
+export const circleTangentToTwo = (first, second, radius) => {
+  if (!(radius > 0)) return null
+  const offsets = (item) => item.start ? offsetLines(item, radius) : offsetCircles(item, radius)
+  const centers = offsets(first).flatMap(a => offsets(second).flatMap(b => intersectShapes(a, b)))
+  if (centers.length === 0) return null
+
+  const miss = (center) => [first, second].reduce((sum, item) => {
+    const point = tangentPoint(item, center, radius)
+    return sum + Math.hypot(point.x - item.pick.x, point.y - item.pick.y)
+  }, 0)
+  const best = centers.reduce((closest, center) => miss(center) < miss(closest) ? center : closest)
+  return { x: best.x, y: best.y, radius }
+}
@@ -0,0 +1,168 @@
+// Named dimension styles (AutoCAD's DIMSTYLE), saved with the document
+//
+// Every dimension object references a style by name (obj.style); objects
+// without one, or naming a style that no longer exists, use 'Standard'.
+//
+// Sizes are paper inches. Like the rest of the annotation, dimensions are
+// drawn at a constant screen size (96 px per paper inch whatever the zoom),
+// and the PDF plot maps paper pixels 1:1, so a 1/8" text height prints 1/8"
+// tall at every plot scale. The one exception is baselineSpacing, the gap
+// between stacked baseline dimensions: it places geometry in the drawing,
+// so it is in drawing inches.
+
+import { formatLength, MAX_PRECISION } from './units.js'
+
+export const DEFAULT_DIM_STYLE_NAME = 'Standard'
+
+// Choices for the enumerated style fields, with labels for the style manager
+export const TEXT_PLACEMENTS = {
+  centered: 'Centered in the dimension line',
+  above: 'Above the dimension line',
+  aligned: 'Aligned with the dimension line'
+}
+
+export const TERMINATORS = {
+  arrow: 'Arrow',
+  tick: 'Architectural tick',
+  dot: 'Dot'
+}
+
+// 'units' follows the document units and precision; 'decimal' and
+// 'fractional' use the style's own precision
+export const DIMENSION_FORMATS = {
+  units: 'Document units',
+  decimal: 'Decimal',
+  fractional: 'Fractional inches'
+}
+
+export const DEFAULT_DIM_STYLE = {
+  name: DEFAULT_DIM_STYLE_NAME,
+  textHeight: 0.125,
+  textPlacement: 'centered',
+  terminator: 'arrow',
+  arrowSize: 0.1,
+  extensionOffset: 0.0625,
+  extensionBeyond: 0.125,
+  format: 'units',
+  precision: 4,
+  anglePrecision: 2,
+  baselineSpacing: 0.375,
+  prefix: '',
+  suffix: ''
+}
+
+// Symbols put before radius and diameter values
+export const DIMENSION_SYMBOLS = {
+  radius: 'R',
+  diameter: '\u00D8'
+}
+
+// Size fields and their allowed range in paper inches
+const SIZE_LIMITS = {
+  textHeight: [0.01, 2],
+  arrowSize: [0, 2],
+  extensionOffset: [0, 2],
+  extensionBeyond: [0, 2],
+  baselineSpacing: [0, 4]
+}
+
+/**
+ * Build a complete, valid style from partial or untrusted data (a file, the
+ * style manager form); anything missing or invalid takes the default
+ * @param {Object} style - Style fields
+ * @returns {Object} Normalized style
+ */
+export const normalizeDimStyle = (style = {}) => {
+  const normalized = { ...DEFAULT_DIM_STYLE }
+
+  if (typeof style.name === 'string' && style.name.trim()) {
+    normalized.name = style.name.trim()
+  }
+  Object.entries(SIZE_LIMITS).forEach(([field, [min, max]]) => {
+    const value = style[field]
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      normalized[field] = Math.max(min, Math.min(value, max))
+    }
+  })
+  if (TEXT_PLACEMENTS[style.textPlacement]) normalized.textPlacement = style.textPlacement
+  if (TERMINATORS[style.terminator]) normalized.terminator = style.terminator
+  if (DIMENSION_FORMATS[style.format]) normalized.format = style.format
+  ;['precision', 'anglePrecision'].forEach(field => {
+    const value = style[field]
+    if (Number.isInteger(value) && value >= 0 && value <= MAX_PRECISION) {
+      normalized[field] = value
+    }
+  })
+  if (typeof style.prefix === 'string') normalized.prefix = style.prefix
+  if (typeof style.suffix === 'string') normalized.suffix = style.suffix
+
+  return normalized
+}
+
+/**
+ * Normalize a list of styles: unique names, and 'Standard' always present
+ * @param {Array} styles - Style objects
+ * @returns {Array} Normalized styles
+ */
+export const normalizeDimStyles = (styles) => {
+  const normalized = []
+  const names = new Set()
+  ;(Array.isArray(styles) ? styles : []).forEach(style => {
+    const candidate = normalizeDimStyle(style)
+    if (!names.has(candidate.name)) {
+      names.add(candidate.name)
+      normalized.push(candidate)
+    }
+  })
+  if (!names.has(DEFAULT_DIM_STYLE_NAME)) {
+    normalized.unshift({ ...DEFAULT_DIM_STYLE })
+  }
+  return normalized
+}
+
+/**
+ * Find a style by name, falling back to 'Standard'
+ * @param {Array} styles - Document styles (cadStore.dimStyles)
+ * @param {string} name - Style name from a dimension object
+ * @returns {Object} Style
+ */
+export const findDimStyle = (styles = [], name = DEFAULT_DIM_STYLE_NAME) => {
+  return styles.find(style => style.name === name) ||
+    styles.find(style => style.name === DEFAULT_DIM_STYLE_NAME) ||
+    DEFAULT_DIM_STYLE
+}
+
+/**
+ * Format an angle in degrees, trailing zeros trimmed
+ * @param {number} radians - Angle in radians
+ * @param {number} precision - Decimal places
+ * @returns {string} e.g. "22.5°"
+ */
+export const formatAngle = (radians, precision = 2) => {
+  const degrees = Number((radians * 180 / Math.PI).toFixed(precision))
+  return `${degrees === 0 ? 0 : degrees}\u00B0`
+}
+
+/**
+ * Dimension text for a measured value
+ * @param {number} value - Measured length in world pixels (radians for angular dimensions)
+ * @param {Object} style - Dimension style
+ * @param {Object} documentUnits - { units, precision } of the document
+ * @param {string} dimType - Dimension type (obj.dimType); radius and
+ *   diameter values get their symbol
+ * @returns {string} Text with the style's prefix and suffix
+ */
+export const formatDimensionText = (value, style = DEFAULT_DIM_STYLE, { units = 'inches', precision = 4 } = {}, dimType = 'aligned') => {
+  let text
+  if (dimType === 'angular') {
+    text = formatAngle(value, style.anglePrecision)
+  } else if (style.format === 'fractional') {
+    text = formatLength(value, 'architectural', style.precision)
+  } else if (style.format === 'decimal') {
+    // Architectural documents have no decimal form of their own: use inches
+    text = formatLength(value, units === 'architectural' ? 'inches' : units, style.precision)
+  } else {
+    text = formatLength(value, units, precision)
+  }
+  return `${style.prefix}${DIMENSION_SYMBOLS[dimType] || ''}${text}${style.suffix}`
+}
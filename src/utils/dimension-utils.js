@@ -0,0 +1,394 @@
+// Construction of dimension objects for the DIM* commands, and their
+// association with the geometry they measure
+//
+// These helpers turn picks (points, lines, circles) into the geometric
+// fields of a dimension object; the caller adds the style, color and line
+// width. getDimensionGeometry() in drawing-utils.js documents the fields of
+// each dimension type.
+//
+// Associative dimensions bind their measured points to features of other
+// objects. dimension.associations maps a point field to a feature reference
+//   { objectId, snapType, index }
+// meaning getObjectSnapPoints(object)[snapType][index] of the object whose
+// id is objectId (snapType is one of SNAP_TYPES: endpoints, midpoints,
+// centers, corners). The store re-resolves the references whenever a
+// referenced object changes (see settleAssociations in cad-store.js). A
+// dimension that loses a reference, because the object was erased or the
+// dimension was edited apart from it, gets disassociated: true and keeps
+// its last points.
+
+import { DIMENSION_POINT_FIELDS, getObjectSnapPoints } from './drawing-utils.js'
+
+// Dimension types (obj.dimType) with labels for the UI
+export const DIMENSION_TYPES = {
+  linear: 'Linear',
+  aligned: 'Aligned',
+  angular: 'Angular',
+  radius: 'Radius',
+  diameter: 'Diameter'
+}
+
+// Modes of the Dimension tool: one per type, plus DIMBASELINE and
+// DIMCONTINUE, which add linear dimensions chained to the last one drawn
+export const DIMENSION_MODES = {
+  ...DIMENSION_TYPES,
+  baseline: 'Baseline',
+  continue: 'Continue'
+}
+
+/**
+ * Measuring direction of a linear dimension, chosen from where its dimension
+ * line is dragged (as AutoCAD's DIMLINEAR does): above or below the measured
+ * points gives a horizontal dimension, left or right of them a vertical one
+ * @param {Object} point1 - First extension line origin {x, y}
+ * @param {Object} point2 - Second extension line origin {x, y}
+ * @param {Object} position - Dimension line location {x, y}
+ * @returns {number} Angle in radians: 0 (horizontal) or PI/2 (vertical)
+ */
+export const linearAngleForPosition = (point1, point2, position) => {
+  // How far a value lies outside the range of a and b
+  const outside = (value, a, b) => Math.max(Math.min(a, b) - value, value - Math.max(a, b), 0)
+  const dx = outside(position.x, point1.x, point2.x)
+  const dy = outside(position.y, point1.y, point2.y)
+  return dx > dy ? Math.PI / 2 : 0
+}
+
+/**
+ * Intersection of two infinite lines
+ * @param {Object} a1 - Point on the first line
+ * @param {Object} a2 - Another point on the first line
+ * @param {Object} b1 - Point on the second line
+ * @param {Object} b2 - Another point on the second line
+ * @returns {Object|null} Intersection {x, y}, or null for parallel lines
+ */
+export const lineIntersection = (a1, a2, b1, b2) => {
+  const d1x = a2.x - a1.x
+  const d1y = a2.y - a1.y
+  const d2x = b2.x - b1.x
+  const d2y = b2.y - b1.y
+  const denominator = d1x * d2y - d1y * d2x
+  const scale = Math.hypot(d1x, d1y) * Math.hypot(d2x, d2y)
+  if (scale === 0 || Math.abs(denominator) <= scale * 1e-9) return null
+  const t = ((b1.x - a1.x) * d2y - (b1.y - a1.y) * d2x) / denominator
+  return { x: a1.x + d1x * t, y: a1.y + d1y * t }
+}
+
+// Angle from `from` to `to` going clockwise on screen, in [0, 2PI)
+const sweepBetween = (from, to) => ((to - from) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI)
+
+/**
+ * Angular dimension between two lines. Of the four angles the lines make,
+ * the one containing the arc location is measured.
+ * @param {Object} segment1 - First line {start, end}
+ * @param {Object} segment2 - Second line {start, end}
+ * @param {Object} position - Arc location {x, y}
+ * @returns {Object|null} { dimType, center, point1, point2, dimensionLinePos },
+ *   or null when the lines are parallel
+ */
+export const createAngularDimension = (segment1, segment2, position) => {
+  const vertex = lineIntersection(segment1.start, segment1.end, segment2.start, segment2.end)
+  if (!vertex) return null
+
+  // Each line gives two rays from the vertex
+  const rays = (segment) => {
+    const length = Math.hypot(segment.end.x - segment.start.x, segment.end.y - segment.start.y)
+    const ux = (segment.end.x - segment.start.x) / length
+    const uy = (segment.end.y - segment.start.y) / length
+    return [{ x: ux, y: uy, segment }, { x: -ux, y: -uy, segment }]
+  }
+  const cursorAngle = Math.atan2(position.y - vertex.y, position.x - vertex.x)
+
+  // The four angles between the lines, each as a pair of rays ordered so
+  // the angle sweeps clockwise (on screen) from the first to the second
+  const sectors = []
+  rays(segment1).forEach(ray1 => {
+    rays(segment2).forEach(ray2 => {
+      const [first, second] = sweepBetween(Math.atan2(ray1.y, ray1.x), Math.atan2(ray2.y, ray2.x)) < Math.PI
+        ? [ray1, ray2]
+        : [ray2, ray1]
+      sectors.push({ first, second })
+    })
+  })
+  const chosen = sectors.find(({ first, second }) => {
+    const start = Math.atan2(first.y, first.x)
+    return sweepBetween(start, cursorAngle) <= sweepBetween(start, Math.atan2(second.y, second.x))
+  }) || sectors[0]
+
+  // Mark each ray at the far end of its line (the extension line starts there)
+  const pointOnRay = (ray) => {
+    const reach = Math.max(
+      (ray.segment.start.x - vertex.x) * ray.x + (ray.segment.start.y - vertex.y) * ray.y,
+      (ray.segment.end.x - vertex.x) * ray.x + (ray.segment.end.y - vertex.y) * ray.y
+    )
+    // A line that ends at the vertex still needs a point to give the direction
+    const distance = reach > 0 ? reach : 1
+    return { x: vertex.x + ray.x * distance, y: vertex.y + ray.y * distance }
+  }
+
+  return {
+    dimType: 'angular',
+    center: vertex,
+    point1: pointOnRay(chosen.first),
+    point2: pointOnRay(chosen.second),
+    dimensionLinePos: { ...position }
+  }
+}
+
+/**
+ * Radius or diameter dimension of a circle or arc
+ * @param {Object} circle - Circle or arc object {x, y, radius}
+ * @param {Object} position - Text location {x, y}; sets the dimension line direction
+ * @param {string} dimType - 'radius' or 'diameter'
+ * @returns {Object} { dimType, center, point1, dimensionLinePos }
+ */
+export const createRadialDimension = (circle, position, dimType) => {
+  const center = { x: circle.x, y: circle.y }
+  let dx = position.x - center.x
+  let dy = position.y - center.y
+  if (dx === 0 && dy === 0) dx = 1
+  const distance = Math.hypot(dx, dy)
+  return {
+    dimType,
+    center,
+    point1: { x: center.x + dx / distance * circle.radius, y: center.y + dy / distance * circle.radius },
+    dimensionLinePos: { ...position }
+  }
+}
+
+/**
+ * Check whether a baseline or continued dimension can follow an object
+ * @param {Object} obj - Vector object
+ * @returns {boolean} True for linear and aligned dimensions
+ */
+export const isChainableDimension = (obj) =>
+  obj?.type === 'dimension' && (!obj.dimType || obj.dimType === 'linear' || obj.dimType === 'aligned')
+
+/**
+ * Next dimension of a baseline or continued chain (DIMBASELINE, DIMCONTINUE).
+ * Both measure in the direction of the previous dimension. A baseline
+ * dimension shares its first extension line origin and is stacked `spacing`
+ * further from the measured points; a continued one starts at the previous
+ * second origin on the same dimension line.
+ * @param {Object} base - Previous linear or aligned dimension
+ * @param {Object} point - New second extension line origin {x, y}
+ * @param {string} mode - 'baseline' or 'continue'
+ * @param {number} spacing - World distance between stacked baseline dimension lines
+ * @returns {Object} { dimType: 'linear', angle, point1, point2, dimensionLinePos }
+ */
+export const createChainedDimension = (base, point, mode, spacing) => {
+  const angle = base.dimType === 'linear'
+    ? base.angle || 0
+    : Math.atan2(base.point2.y - base.point1.y, base.point2.x - base.point1.x)
+
+  if (mode === 'continue') {
+    return {
+      dimType: 'linear',
+      angle,
+      point1: { ...base.point2 },
+      point2: { ...point },
+      dimensionLinePos: { ...base.dimensionLinePos }
+    }
+  }
+
+  // Stack on the side of the measured points the base dimension line is on
+  const nx = -Math.sin(angle)
+  const ny = Math.cos(angle)
+  const offset = (base.dimensionLinePos.x - base.point1.x) * nx + (base.dimensionLinePos.y - base.point1.y) * ny
+  const side = offset < 0 ? -1 : 1
+  return {
+    dimType: 'linear',
+    angle,
+    point1: { ...base.point1 },
+    point2: { ...point },
+    dimensionLinePos: {
+      x: base.dimensionLinePos.x + nx * side * spacing,
+      y: base.dimensionLinePos.y + ny * side * spacing
+    }
+  }
+}
+
+// Two points closer than this (world pixels) are the same feature
+const SAME_POINT_TOLERANCE = 1e-6
+
+const samePoint = (a, b) => Math.abs(a.x - b.x) <= SAME_POINT_TOLERANCE && Math.abs(a.y - b.y) <= SAME_POINT_TOLERANCE
+
+// Measured point fields of a dimension type: everything but the dimension
+// line location, which the user places freely
+const associableFields = (dimType) => (DIMENSION_POINT_FIELDS[dimType] || []).filter(field => field !== 'dimensionLinePos')
+
+/**
+ * Point of a feature reference on its object
+ * @param {Object} object - Referenced vector object
+ * @param {Object} reference - { snapType, index }
+ * @returns {Object|null} Point {x, y}, or null when the object has no such feature
+ */
+export const getAssociatedPoint = (object, reference) => {
+  const point = getObjectSnapPoints(object)[reference.snapType]?.[reference.index]
+  return point ? { x: point.x, y: point.y } : null
+}
+
+/**
+ * Bind a new dimension's measured points to the features they lie on
+ * @param {Object} dimension - Dimension object (dimType and point fields)
+ * @param {Array} objects - cadStore.vectorObjects; only objects with an id
+ *   and that are not dimensions can be referenced
+ * @returns {Object} associations (empty when no point lies on a feature)
+ */
+export const findAssociations = (dimension, objects) => {
+  const associations = {}
+  associableFields(dimension.dimType || 'aligned').forEach(field => {
+    const point = dimension[field]
+    if (!point) return
+    // Prefer the object drawn last (on top), as picking does
+    for (let i = objects.length - 1; i >= 0; i--) {
+      const object = objects[i]
+      if (object.type === 'dimension' || object.id === undefined) continue
+      const snaps = getObjectSnapPoints(object)
+      const found = Object.keys(snaps).reduce((match, snapType) => {
+        if (match) return match
+        const index = snaps[snapType].findIndex(snap => samePoint(snap, point))
+        return index >= 0 ? { objectId: object.id, snapType, index } : null
+      }, null)
+      if (found) {
+        associations[field] = found
+        break
+      }
+    }
+  })
+  return associations
+}
+
+/**
+ * Recompute a dimension from the objects it references.
+ *
+ * Each associated point moves to its feature. A reference is lost when its
+ * object is gone or no longer has the feature, and, when `edited` is set
+ * (the dimension itself was just changed), when the point no longer lies on
+ * the feature of an object that did not change: the dimension was moved or
+ * reshaped apart from its geometry.
+ *
+ * The dimension line location moves by the average movement of the
+ * associated points, so a dimension travels with moved geometry. Two
+ * derived points follow as well: the point on the circle (or arc) of a
+ * radius or diameter dimension moves with the center and keeps its direction
+ * at the new radius, and the vertex of an angular dimension measured
+ * between two lines moves to their new intersection.
+ * @param {Object} dimension - Dimension object with associations
+ * @param {Map} objectsById - Current objects by id
+ * @param {Object} options - { edited: boolean, changedIds: Set of object ids changed with it }
+ * @returns {Object} { dimension: updated copy, lost: number of references lost }
+ */
+export const resolveAssociations = (dimension, objectsById, { edited = false, changedIds = new Set() } = {}) => {
+  const updated = { ...dimension, associations: {} }
+  let lost = 0
+  const movement = { x: 0, y: 0, count: 0 }
+
+  Object.entries(dimension.associations || {}).forEach(([field, reference]) => {
+    const object = objectsById.get(reference.objectId)
+    const point = object ? getAssociatedPoint(object, reference) : null
+    if (!point || (edited && !changedIds.has(reference.objectId) && !samePoint(point, dimension[field]))) {
+      lost++
+      return
+    }
+    movement.x += point.x - dimension[field].x
+    movement.y += point.y - dimension[field].y
+    movement.count++
+    updated[field] = point
+    updated.associations[field] = { ...reference }
+  })
+
+  const shift = (point) => movement.count > 0
+    ? { x: point.x + movement.x / movement.count, y: point.y + movement.y / movement.count }
+    : point
+  updated.dimensionLinePos = shift(dimension.dimensionLinePos)
+
+  const references = updated.associations
+  if ((updated.dimType === 'radius' || updated.dimType === 'diameter') && references.center) {
+    const circle = objectsById.get(references.center.objectId)
+    if (circle?.type === 'circle' || circle?.type === 'arc') {
+      updated.point1 = createRadialDimension(circle, shift(dimension.point1), updated.dimType).point1
+    }
+  }
+  if (updated.dimType === 'angular' && references.point1 && references.point2) {
+    const line1 = objectsById.get(references.point1.objectId)
+    const line2 = objectsById.get(references.point2.objectId)
+    const vertex = line1?.type === 'line' && line2?.type === 'line'
+      ? lineIntersection(line1.start, line1.end, line2.start, line2.end)
+      : null
+    if (vertex && !references.center) updated.center = vertex
+  }
+
+  if (Object.keys(updated.associations).length === 0) delete updated.associations
+  if (lost > 0) updated.disassociated = true
+  return { dimension: updated, lost }
+}
+
+/**
+ * Point a copied dimension's references at copies of the objects it measures
+ * @param {Object} dimension - Copy of a dimension
+ * @param {Map} copiedIds - Ids of the copied objects: original id -> copy id
+ * @returns {Object} The dimension, associated only with copied objects
+ */
+export const remapAssociations = (dimension, copiedIds) => {
+  if (!dimension.associations) return dimension
+  const remapped = { ...dimension, associations: {} }
+  Object.entries(dimension.associations).forEach(([field, reference]) => {
+    if (copiedIds.has(reference.objectId)) {
+      remapped.associations[field] = { ...reference, objectId: copiedIds.get(reference.objectId) }
+    }
+  })
+  if (Object.keys(remapped.associations).length === 0) delete remapped.associations
+  return remapped
+}
+
+// Rectangle snap types and the polyline snap types of the same features
+const RECTANGLE_TO_POLYLINE_SNAPS = { corners: 'endpoints', midpoints: 'midpoints' }
+
+/**
+ * Point a dimension's references to rectangles that have become polylines
+ * (ROTATE by an angle that is not a right angle, FILLET, CHAMFER, TRIM) at
+ * the same features of the polylines. A corner is a vertex of the
+ * polyline and the middle of a side the middle of a segment. A closed
+ * polyline of four straight segments is the rectangle turned, with its
+ * corners in order; otherwise the feature is looked up where it was, and
+ * a reference to a corner rounded off or a side cut away is left to be
+ * lost.
+ * @param {Object} dimension - Dimension object with associations
+ * @param {Map} conversions - Object id -> { rectangle, polyline }: the
+ *   rectangle before the edits and the polyline it is now
+ * @returns {Object} The dimension, with its references converted
+ */
+export const convertRectangleAssociations = (dimension, conversions) => {
+  if (!dimension.associations) return dimension
+  const converted = { ...dimension, associations: {} }
+  Object.entries(dimension.associations).forEach(([field, reference]) => {
+    const conversion = conversions.get(reference.objectId)
+    const snapType = RECTANGLE_TO_POLYLINE_SNAPS[reference.snapType]
+    if (!conversion || !snapType) {
+      converted.associations[field] = reference
+      return
+    }
+    const { rectangle, polyline } = conversion
+    const turned = polyline.closed && polyline.points.length === 4 && polyline.points.every(point => !point.bulge)
+    let index = reference.index
+    if (!turned) {
+      const point = getAssociatedPoint(rectangle, reference)
+      index = point ? getObjectSnapPoints(polyline)[snapType].findIndex(snap => samePoint(snap, point)) : -1
+    }
+    converted.associations[field] = index >= 0
+      ? { ...reference, snapType, index }
+      : reference
+  })
+  return converted
+}
+
+/**
+ * Association state of a dimension, for display
+ * @param {Object} dimension - Dimension object
+ * @returns {string} 'associative', 'disassociated' (lost a reference) or
+ *   'non-associative' (never had one)
+ */
+export const getAssociationStatus = (dimension) => {
+  if (dimension.disassociated) return 'disassociated'
+  return dimension.associations ? 'associative' : 'non-associative'
+}
@@ -0,0 +1,463 @@
+// Native BradCAD document format (.bcad)
+//
+// A .bcad file is UTF-8 JSON:
+// {
+//   "format": "bcad",
+//   "version": 12,
+//   "settings": { gridSize, showGrid, snapToGrid, snapToPoints, osnapModes, snapTolerance,
+//                 orthoMode, polarTracking, polarIncrement, objectSnapTracking,
+//                 associativeDimensions, units, precision, linetypeScale },
+//   "view": { "panOffset": { x, y }, "zoomLevel": 1 },
+//   "plot": { paper, orientation, scale, monochrome,
+//             titleBlock: { jobName, cabinetNumber, date, drafter } },
+//   "dimensionStyles": { "current": "Standard", "styles": [ ...styles ] },
+//   "layers": { "current": "0", "layers": [ ...layers ] },
+//   "objects": [ ...cadStore.vectorObjects ]
+// }
+// Coordinates are world pixels, the same units cadStore uses (96 px per inch);
+// settings.units and settings.precision only choose how lengths are typed
+// and displayed (see UNIT_SYSTEMS in units.js). Dimension objects name their
+// style in obj.style (see dimension-styles.js) and their kind in obj.dimType,
+// which decides the point fields they carry (DIMENSION_POINT_FIELDS in
+// drawing-utils.js). Every object has a unique positive integer id;
+// associative dimensions refer to other objects by id in obj.associations
+// (see dimension-utils.js). Every object names its layer in obj.layer, and
+// its color, lineWidth and linetype may be "ByLayer" (see layers.js);
+// obj.linetypeScale multiplies settings.linetypeScale (see linetypes.js).
+// Polylines have a closed flag and their points optional bulges (see
+// polyline-utils.js); arcs and ellipses are described in curve-utils.js.
+// settings.osnapModes lists the running object snaps that are on (keys of
+// OSNAP_MODES in osnap-utils.js); settings.polarIncrement is the polar
+// tracking angle in degrees (see tracking-utils.js).
+//
+// Schema changes: bump DOCUMENT_VERSION and add a migration to `migrations`
+// keyed by the version it upgrades FROM. Opening a file runs every migration
+// from the file's version up to DOCUMENT_VERSION before validation, so old
+// files keep opening.
+//
+// Version history:
+//   1 - settings, view, objects
+//   2 - plot settings and title block
+//   3 - document units and display precision
+//   4 - named dimension styles
+//   5 - dimension types (linear, aligned, angular, radius, diameter)
+//   6 - object ids and associative dimensions
+//   7 - layers
+//   8 - linetypes and linetype scales
+//   9 - closed polylines and polyline arc segments (bulges)
+//  10 - arcs, ellipses and elliptical arcs
+//  11 - running object snap modes
+//  12 - ortho, polar tracking and object snap tracking
+
+import { UNIT_SYSTEMS, MAX_PRECISION } from './units.js'
+import { DEFAULT_DIM_STYLE, DEFAULT_DIM_STYLE_NAME, normalizeDimStyles } from './dimension-styles.js'
+import {
+  DIMENSION_POINT_FIELDS,
+  SNAP_TYPES,
+  MIN_GRID_SIZE,
+  MAX_GRID_SIZE,
+  MIN_SNAP_TOLERANCE,
+  MAX_SNAP_TOLERANCE
+} from './drawing-utils.js'
+import { BYLAYER, DEFAULT_LAYER, DEFAULT_LAYER_NAME, normalizeLayers } from './layers.js'
+import { findLinetypeName, isValidLinetypeScale } from './linetypes.js'
+import { DEFAULT_OSNAP_MODES, OSNAP_MODES } from './osnap-utils.js'
+
+export const DOCUMENT_FORMAT = 'bcad'
+export const DOCUMENT_VERSION = 12
+export const DOCUMENT_EXTENSION = '.bcad'
+export const DOCUMENT_MIME_TYPE = 'application/json'
+
+// Settings saved with the document and their fallback values
+const DEFAULT_SETTINGS = {
+  gridSize: 20,
+  showGrid: true,
+  snapToGrid: true,
+  snapToPoints: true,
+  osnapModes: DEFAULT_OSNAP_MODES,
+  snapTolerance: 10,
+  orthoMode: false,
+  polarTracking: false,
+  polarIncrement: 45,
+  objectSnapTracking: false,
+  associativeDimensions: true,
+  units: 'inches',
+  precision: 4,
+  linetypeScale: 1
+}
+
+const DEFAULT_VIEW = {
+  panOffset: { x: 0, y: 0 },
+  zoomLevel: 1
+}
+
+const DEFAULT_PLOT = {
+  paper: 'letter',
+  orientation: 'landscape',
+  scale: '1:1',
+  monochrome: true
+}
+
+const DEFAULT_TITLE_BLOCK = {
+  jobName: '',
+  cabinetNumber: '',
+  date: '',
+  drafter: ''
+}
+
+// Migration hook: { [fromVersion]: (document) => document at fromVersion + 1 }
+const migrations = {
+  // Version 2 added plot settings
+  1: (document) => ({ ...document, plot: { ...DEFAULT_PLOT, titleBlock: { ...DEFAULT_TITLE_BLOCK } } }),
+  // Version 3 added units; older drawings were typed in decimal inches
+  2: (document) => ({ ...document, settings: { ...document.settings, units: 'inches', precision: 4 } }),
+  // Version 4 added dimension styles; existing dimensions get 'Standard'
+  3: (document) => ({
+    ...document,
+    dimensionStyles: { current: DEFAULT_DIM_STYLE_NAME, styles: [{ ...DEFAULT_DIM_STYLE }] },
+    objects: Array.isArray(document.objects)
+      ? document.objects.map(object => object?.type === 'dimension' ? { ...object, style: DEFAULT_DIM_STYLE_NAME } : object)
+      : document.objects
+  }),
+  // Version 5 added dimension types; every older dimension was aligned
+  4: (document) => ({
+    ...document,
+    objects: Array.isArray(document.objects)
+      ? document.objects.map(object => object?.type === 'dimension' ? { ...object, dimType: 'aligned' } : object)
+      : document.objects
+  }),
+  // Version 6 added object ids; objects are numbered in drawing order
+  5: (document) => ({
+    ...document,
+    objects: Array.isArray(document.objects)
+      ? document.objects.map((object, index) => object && typeof object === 'object' ? { ...object, id: index + 1 } : object)
+      : document.objects
+  }),
+  // Version 7 added layers; everything was on layer '0'
+  6: (document) => ({
+    ...document,
+    layers: { current: DEFAULT_LAYER_NAME, layers: [{ ...DEFAULT_LAYER }] },
+    objects: Array.isArray(document.objects)
+      ? document.objects.map(object => object && typeof object === 'object' ? { ...object, layer: DEFAULT_LAYER_NAME } : object)
+      : document.objects
+  }),
+  // Version 8 added linetypes; every layer was continuous, so ByLayer keeps
+  // objects solid
+  7: (document) => ({
+    ...document,
+    settings: { ...document.settings, linetypeScale: 1 },
+    objects: Array.isArray(document.objects)
+      ? document.objects.map(object => object && typeof object === 'object' ? { ...object, linetype: BYLAYER, linetypeScale: 1 } : object)
+      : document.objects
+  }),
+  // Version 9 added closed polylines; a polyline was closed by repeating its
+  // first point
+  8: (document) => ({
+    ...document,
+    objects: Array.isArray(document.objects)
+      ? document.objects.map(object => {
+        if (object?.type !== 'polyline' || !Array.isArray(object.points)) return object
+        const points = object.points
+        const first = points[0]
+        const last = points[points.length - 1]
+        const closed = points.length > 3 && first?.x === last?.x && first?.y === last?.y
+        return closed ? { ...object, points: points.slice(0, -1), closed: true } : object
+      })
+      : document.objects
+  }),
+  // Version 10 added arc and ellipse objects; older files have none
+  9: (document) => document,
+  // Version 11 added running object snap modes. snapToLines was a snap to
+  // the nearest point of lines, which grid snapping always overrode; it is
+  // now the Nearest mode, off like in new drawings.
+  10: (document) => {
+    const settings = { ...document.settings, osnapModes: [...DEFAULT_OSNAP_MODES] }
+    delete settings.snapToLines
+    return { ...document, settings }
+  },
+  // Version 12 added ortho, polar tracking and object snap tracking; older
+  // files take the defaults, all off
+  11: (document) => document
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+const isPoint = (value) => !!value && isNumber(value.x) && isNumber(value.y)
+
+// Copy the fields of `defaults` from `source` when they have the same type
+const pickTyped = (source, defaults) => {
+  const picked = { ...defaults }
+  Object.keys(defaults).forEach(key => {
+    if (typeof source?.[key] === typeof defaults[key]) {
+      picked[key] = source[key]
+    }
+  })
+  return picked
+}
+
+// Check that each named field is a finite number; returns a problem or null
+const requireNumbers = (object, fields) => {
+  const missing = fields.find(field => !isNumber(object[field]))
+  return missing ? `"${missing}" must be a number` : null
+}
+
+// Check that each named field is an {x, y} point; returns a problem or null
+const requirePoints = (object, fields) => {
+  const missing = fields.find(field => !isPoint(object[field]))
+  return missing ? `"${missing}" must be a point {x, y}` : null
+}
+
+// Check the feature references of an associative dimension; returns a
+// problem or null. References to missing objects are handled in
+// parseDocument, as they only make the dimension lose its association.
+const checkAssociations = (object, fields) => {
+  if (object.associations === undefined) return null
+  if (!object.associations || typeof object.associations !== 'object') {
+    return '"associations" must be an object'
+  }
+  const badField = Object.entries(object.associations).find(([field, reference]) =>
+    !fields.includes(field) ||
+    !Number.isInteger(reference?.objectId) ||
+    !SNAP_TYPES.includes(reference.snapType) ||
+    !Number.isInteger(reference.index) || reference.index < 0)
+  return badField ? `"associations.${badField[0]}" must reference a point field, an object id, a snap type and an index` : null
+}
+
+// Geometry validators for every object type the canvas creates.
+// Each returns a description of the first problem found, or null.
+const objectValidators = {
+  line: (object) => requirePoints(object, ['start', 'end']),
+  rectangle: (object) => requireNumbers(object, ['x', 'y', 'width', 'height']),
+  circle: (object) => requireNumbers(object, ['x', 'y', 'radius']) ||
+    (object.radius > 0 ? null : '"radius" must be positive'),
+  arc: (object) => requireNumbers(object, ['x', 'y', 'radius', 'startAngle', 'endAngle']) ||
+    (object.radius > 0 ? null : '"radius" must be positive'),
+  ellipse: (object) => requireNumbers(object, ['x', 'y', 'ratio', 'startAngle', 'endAngle']) ||
+    requirePoints(object, ['majorAxis']) ||
+    (object.majorAxis.x !== 0 || object.majorAxis.y !== 0 ? null : '"majorAxis" must not be zero') ||
+    (object.ratio > 0 && object.ratio <= 1 ? null : '"ratio" must be greater than 0 and at most 1'),
+  polyline: (object) => {
+    if (!Array.isArray(object.points) || object.points.length < 2) {
+      return '"points" must be an array of at least 2 points'
+    }
+    const badIndex = object.points.findIndex(point => !isPoint(point) || (point.bulge !== undefined && !isNumber(point.bulge)))
+    if (badIndex >= 0) {
+      return `"points[${badIndex}]" must be a point {x, y} with an optional numeric bulge`
+    }
+    return object.closed === undefined || typeof object.closed === 'boolean' ? null : '"closed" must be true or false'
+  },
+  dimension: (object) => {
+    const fields = DIMENSION_POINT_FIELDS[object.dimType]
+    if (!fields) {
+      return `unknown dimension type "${object.dimType}"`
+    }
+    return requirePoints(object, fields) ||
+      (object.dimType === 'linear' ? requireNumbers(object, ['angle']) : null) ||
+      checkAssociations(object, fields)
+  }
+}
+
+/**
+ * Validate one vector object and fill in optional style fields
+ * @param {Object} object - Object from the file
+ * @param {number} index - Position in the objects array (for error messages)
+ * @returns {Object} Normalized object
+ * @throws {Error} When the object cannot be parsed, naming the object
+ */
+const parseObject = (object, index) => {
+  if (!object || typeof object !== 'object') {
+    throw new Error(`Object ${index}: not an object`)
+  }
+
+  const validate = objectValidators[object.type]
+  if (!validate) {
+    throw new Error(`Object ${index}: unknown type "${object.type}"`)
+  }
+
+  if (!Number.isInteger(object.id) || object.id < 1) {
+    throw new Error(`Object ${index}: "id" must be a positive integer`)
+  }
+
+  const problem = validate(object)
+  if (problem) {
+    throw new Error(`Object ${index} (${object.type}): ${problem}`)
+  }
+
+  return {
+    ...object,
+    layer: typeof object.layer === 'string' ? object.layer : DEFAULT_LAYER_NAME,
+    color: typeof object.color === 'string' ? object.color : '#000000',
+    lineWidth: isNumber(object.lineWidth) || object.lineWidth === BYLAYER ? object.lineWidth : 2,
+    linetype: object.linetype === BYLAYER ? BYLAYER : findLinetypeName(object.linetype) || BYLAYER,
+    linetypeScale: isValidLinetypeScale(object.linetypeScale) ? object.linetypeScale : 1
+  }
+}
+
+/**
+ * Upgrade a parsed document to the current schema version
+ * @param {Object} document - Parsed document JSON
+ * @returns {Object} Document at DOCUMENT_VERSION
+ * @throws {Error} When the file is newer than this app or a migration is missing
+ */
+export const migrateDocument = (document) => {
+  let migrated = document
+  let version = migrated.version
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unsupported document version "${version}"`)
+  }
+  if (version > DOCUMENT_VERSION) {
+    throw new Error(`Document version ${version} is newer than this app supports (${DOCUMENT_VERSION})`)
+  }
+
+  while (version < DOCUMENT_VERSION) {
+    const migrate = migrations[version]
+    if (!migrate) {
+      throw new Error(`No migration from document version ${version}`)
+    }
+    migrated = { ...migrate(migrated), version: version + 1 }
+    version = migrated.version
+  }
+
+  return migrated
+}
+
+/**
+ * Build the JSON text of a .bcad document
+ * @param {Object} snapshot - { settings, view, plot, dimensionStyles, layers, objects } from cadStore.getDocumentSnapshot()
+ * @returns {string} Document JSON
+ */
+export const serializeDocument = (snapshot) => {
+  const document = {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    settings: { ...DEFAULT_SETTINGS, ...snapshot.settings },
+    view: { ...DEFAULT_VIEW, ...snapshot.view },
+    plot: {
+      ...DEFAULT_PLOT,
+      ...snapshot.plot,
+      titleBlock: { ...DEFAULT_TITLE_BLOCK, ...snapshot.plot?.titleBlock }
+    },
+    dimensionStyles: snapshot.dimensionStyles || { current: DEFAULT_DIM_STYLE_NAME, styles: [{ ...DEFAULT_DIM_STYLE }] },
+    layers: snapshot.layers || { current: DEFAULT_LAYER_NAME, layers: [{ ...DEFAULT_LAYER }] },
+    objects: snapshot.objects
+  }
+  return JSON.stringify(document, null, 2)
+}
+
+/**
+ * Parse, migrate and validate the JSON text of a .bcad document
+ * @param {string} text - File contents
+ * @returns {Object} Snapshot { settings, view, plot, dimensionStyles, layers, objects } for cadStore.loadDocumentSnapshot()
+ * @throws {Error} Describing the problem, including which object failed to parse
+ */
+export const parseDocument = (text) => {
+  let document
+  try {
+    document = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`File is not valid JSON (${error.message})`)
+  }
+
+  if (!document || document.format !== DOCUMENT_FORMAT) {
+    throw new Error('File is not a BradCAD document')
+  }
+
+  document = migrateDocument(document)
+
+  if (!Array.isArray(document.objects)) {
+    throw new Error('Document has no "objects" array')
+  }
+
+  const settings = pickTyped(document.settings, DEFAULT_SETTINGS)
+  // Out of range values would stall the grid drawing (a size of 0 never
+  // steps) or make snapping useless; the ranges are the store's
+  if (!isNumber(settings.gridSize) || settings.gridSize < MIN_GRID_SIZE || settings.gridSize > MAX_GRID_SIZE) {
+    settings.gridSize = DEFAULT_SETTINGS.gridSize
+  }
+  if (!isNumber(settings.snapTolerance) || settings.snapTolerance < MIN_SNAP_TOLERANCE || settings.snapTolerance > MAX_SNAP_TOLERANCE) {
+    settings.snapTolerance = DEFAULT_SETTINGS.snapTolerance
+  }
+  if (!UNIT_SYSTEMS[settings.units]) {
+    settings.units = DEFAULT_SETTINGS.units
+  }
+  if (!Number.isInteger(settings.precision) || settings.precision < 0 || settings.precision > MAX_PRECISION) {
+    settings.precision = DEFAULT_SETTINGS.precision
+  }
+  if (!isValidLinetypeScale(settings.linetypeScale)) {
+    settings.linetypeScale = DEFAULT_SETTINGS.linetypeScale
+  }
+  settings.osnapModes = Array.isArray(settings.osnapModes)
+    ? Object.keys(OSNAP_MODES).filter(mode => settings.osnapModes.includes(mode))
+    : [...DEFAULT_SETTINGS.osnapModes]
+  if (!isNumber(settings.polarIncrement) || settings.polarIncrement <= 0 || settings.polarIncrement > 90) {
+    settings.polarIncrement = DEFAULT_SETTINGS.polarIncrement
+  }
+  // ORTHO and polar tracking exclude each other
+  if (settings.orthoMode) settings.polarTracking = false
+
+  const view = {
+    panOffset: isPoint(document.view?.panOffset) ? { ...document.view.panOffset } : { ...DEFAULT_VIEW.panOffset },
+    zoomLevel: isNumber(document.view?.zoomLevel) && document.view.zoomLevel > 0 ? document.view.zoomLevel : DEFAULT_VIEW.zoomLevel
+  }
+
+  const plot = {
+    ...pickTyped(document.plot, DEFAULT_PLOT),
+    titleBlock: pickTyped(document.plot?.titleBlock, DEFAULT_TITLE_BLOCK)
+  }
+
+  // Styles are normalized rather than rejected; dimensions naming a style
+  // that is not in the file fall back to 'Standard'
+  const styles = normalizeDimStyles(document.dimensionStyles?.styles)
+  const styleNames = styles.map(style => style.name)
+  const current = document.dimensionStyles?.current
+  const dimensionStyles = {
+    current: styleNames.includes(current) ? current : DEFAULT_DIM_STYLE_NAME,
+    styles
+  }
+
+  // Layers likewise; objects on a layer that is not in the file go on '0',
+  // and the current layer cannot be frozen
+  const layerList = normalizeLayers(document.layers?.layers)
+  const layerNames = layerList.map(layer => layer.name)
+  const currentLayer = layerList.find(layer => layer.name === document.layers?.current && !layer.frozen)
+  const layers = {
+    current: currentLayer ? currentLayer.name : DEFAULT_LAYER_NAME,
+    layers: layerList.map(layer => layer.name === DEFAULT_LAYER_NAME && !currentLayer ? { ...layer, frozen: false } : layer)
+  }
+
+  const objects = document.objects.map(parseObject).map(object => {
+    const onLayer = layerNames.includes(object.layer) ? object : { ...object, layer: DEFAULT_LAYER_NAME }
+    if (onLayer.type !== 'dimension' || styleNames.includes(onLayer.style)) return onLayer
+    return { ...onLayer, style: DEFAULT_DIM_STYLE_NAME }
+  })
+
+  const ids = new Set()
+  objects.forEach((object, index) => {
+    if (ids.has(object.id)) {
+      throw new Error(`Object ${index} (${object.type}): duplicate id ${object.id}`)
+    }
+    ids.add(object.id)
+  })
+
+  // A dimension referencing an object that is not in the file keeps its
+  // points but is marked disassociated
+  objects.forEach(object => {
+    if (!object.associations) return
+    Object.entries(object.associations).forEach(([field, reference]) => {
+      if (!ids.has(reference.objectId)) {
+        delete object.associations[field]
+        object.disassociated = true
+      }
+    })
+    if (Object.keys(object.associations).length === 0) delete object.associations
+  })
+
+  return {
+    settings,
+    view,
+    plot,
+    dimensionStyles,
+    layers,
+    objects
+  }
+}
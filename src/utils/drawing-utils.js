@@ -1,5 +1,11 @@
 // Drawing utility functions for CAD operations
 
+import { formatLength, inchesToPixels } from './units.js'
+import { DEFAULT_DIM_STYLE, findDimStyle, formatDimensionText } from './dimension-styles.js'
+import { getDashPattern } from './linetypes.js'
+import { flattenPolyline, getBulgeArc, getPolylineSegments, getSegmentMidpoint } from './polyline-utils.js'
+import { flattenCurve, getCurveEndpoints, getCurveMidpoint, getCurveQuadrants, getEllipseAxes, isFullEllipse } from './curve-utils.js'
+
 /**
  * Draw a point on the canvas
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -133,6 +139,13 @@ export const drawGrid = (ctx, width, height, gridSize = 20, color = '#e0e0e0', l
   }
 }
 
+// Grid spacing (world units) and snap aperture (screen pixels) the store
+// accepts and documents may carry
+export const MIN_GRID_SIZE = 5
+export const MAX_GRID_SIZE = 100
+export const MIN_SNAP_TOLERANCE = 1
+export const MAX_SNAP_TOLERANCE = 50
+
 /**
  * Snap a point to the nearest grid intersection
  * @param {Object} point - Point object {x, y}
@@ -291,7 +304,7 @@ export const drawDimension = (ctx, start, end, color = '#000000', width = 2) =>
   const midX = (start.x + end.x) / 2
   const midY = (start.y + end.y) / 2
 
-  ctx.fillText(`${Math.round(distance)}px`, midX, midY - 15)
+  ctx.fillText(formatLength(distance), midX, midY - 15)
 
   // Draw arrowheads
   drawArrowhead(ctx, start.x, start.y, end.x, end.y, color, width)
@@ -343,26 +356,6 @@ export const getMousePos = (event, canvas) => {
   }
 }
 
-/**
- * Save canvas state to history
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- * @returns {ImageData} Canvas image data
- */
-export const saveCanvasState = (ctx, width, height) => {
-  return ctx.getImageData(0, 0, width, height)
-}
-
-/**
- * Restore canvas state from history
- * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {ImageData} imageData - Canvas image data
- */
-export const restoreCanvasState = (ctx, imageData) => {
-  ctx.putImageData(imageData, 0, 0)
-}
-
 /**
  * Clear the entire canvas
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -489,6 +482,145 @@ export const calculateMidpoint = (start, end) => {
   }
 }
 
+/**
+ * Get the corner points of a rectangle object in drawing order
+ * @param {Object} obj - Rectangle vector object {x, y, width, height}
+ * @returns {Array} Four corner points {x, y}
+ */
+export const getRectangleCorners = (obj) => [
+  { x: obj.x, y: obj.y },
+  { x: obj.x + obj.width, y: obj.y },
+  { x: obj.x + obj.width, y: obj.y + obj.height },
+  { x: obj.x, y: obj.y + obj.height }
+]
+
+/**
+ * Get the world-coordinate bounding box of a vector object
+ * @param {Object} obj - Vector object
+ * @returns {Object|null} {minX, minY, maxX, maxY} or null for unknown/empty objects
+ */
+export const getObjectBounds = (obj) => {
+  let points = []
+  if (obj.type === 'line') {
+    points = [obj.start, obj.end]
+  } else if (obj.type === 'rectangle') {
+    points = getRectangleCorners(obj)
+  } else if (obj.type === 'circle') {
+    points = [
+      { x: obj.x - obj.radius, y: obj.y - obj.radius },
+      { x: obj.x + obj.radius, y: obj.y + obj.radius }
+    ]
+  } else if (obj.type === 'polyline') {
+    // Arcs can reach beyond the vertices
+    points = flattenPolyline(obj)
+  } else if (obj.type === 'arc' || obj.type === 'ellipse') {
+    points = flattenCurve(obj)
+  } else if (obj.type === 'dimension') {
+    const geometry = getDimensionGeometry(obj)
+    points = geometry
+      ? [
+          ...geometry.extensionLines.concat(geometry.dimensionLines).flatMap(line => [line.start, line.end]),
+          ...geometry.arcs.flatMap(arc => getArcPoints(arc)),
+          geometry.text.position
+        ]
+      : [obj.point1, obj.point2].filter(Boolean)
+  }
+
+  if (!points || points.length === 0) return null
+  return {
+    minX: Math.min(...points.map(point => point.x)),
+    minY: Math.min(...points.map(point => point.y)),
+    maxX: Math.max(...points.map(point => point.x)),
+    maxY: Math.max(...points.map(point => point.y))
+  }
+}
+
+/**
+ * Get the combined bounding box of several vector objects
+ * @param {Array} objects - Vector objects
+ * @returns {Object|null} {minX, minY, maxX, maxY} or null when nothing has bounds
+ */
+export const getObjectsBounds = (objects) => {
+  return objects.reduce((bounds, obj) => {
+    const objBounds = getObjectBounds(obj)
+    if (!objBounds) return bounds
+    if (!bounds) return objBounds
+    return {
+      minX: Math.min(bounds.minX, objBounds.minX),
+      minY: Math.min(bounds.minY, objBounds.minY),
+      maxX: Math.max(bounds.maxX, objBounds.maxX),
+      maxY: Math.max(bounds.maxY, objBounds.maxY)
+    }
+  }, null)
+}
+
+// Snap point types, in the order getObjectSnapPoints() lists them
+export const SNAP_TYPES = ['endpoints', 'midpoints', 'centers', 'corners', 'quadrants']
+
+/**
+ * Snap points of one object by type. The position of a point in its list
+ * is stable while the object keeps its shape, so associative dimensions
+ * refer to a feature as { snapType, index } (see dimension-utils.js).
+ * @param {Object} obj - Vector object
+ * @returns {Object} { endpoints, midpoints, centers, corners, quadrants } arrays of points
+ */
+export const getObjectSnapPoints = (obj) => {
+  const snapPoints = {
+    endpoints: [],
+    midpoints: [],
+    centers: [],
+    corners: [],
+    quadrants: []
+  }
+
+  if (obj.type === 'line') {
+    // Line endpoints
+    snapPoints.endpoints.push(obj.start, obj.end)
+    // Line midpoint
+    snapPoints.midpoints.push(calculateMidpoint(obj.start, obj.end))
+  } else if (obj.type === 'rectangle') {
+    // Rectangle corners and the middles of its sides
+    const corners = getRectangleCorners(obj)
+    snapPoints.corners.push(...corners)
+    snapPoints.midpoints.push(...corners.map((corner, i) => calculateMidpoint(corner, corners[(i + 1) % corners.length])))
+    // Rectangle center
+    snapPoints.centers.push({
+      x: obj.x + obj.width / 2,
+      y: obj.y + obj.height / 2
+    })
+  } else if (obj.type === 'circle') {
+    // Circle center and quadrants
+    snapPoints.centers.push({ x: obj.x, y: obj.y })
+    snapPoints.quadrants.push(...getCurveQuadrants({ ...obj, type: 'arc', startAngle: 0, endAngle: 2 * Math.PI }))
+  } else if (obj.type === 'arc' || (obj.type === 'ellipse' && !isFullEllipse(obj))) {
+    // Arc or elliptical arc ends, middle, center and the quadrants it passes
+    snapPoints.endpoints.push(...getCurveEndpoints(obj))
+    snapPoints.midpoints.push(getCurveMidpoint(obj))
+    snapPoints.centers.push({ x: obj.x, y: obj.y })
+    snapPoints.quadrants.push(...getCurveQuadrants(obj))
+  } else if (obj.type === 'ellipse') {
+    // Ellipse center and axis ends
+    snapPoints.centers.push({ x: obj.x, y: obj.y })
+    snapPoints.quadrants.push(...getCurveQuadrants(obj))
+  } else if (obj.type === 'polyline') {
+    // Every vertex, the middle of every segment (on the arc for bulged
+    // ones) and the centers of arc segments
+    snapPoints.endpoints.push(...obj.points.map(point => ({ x: point.x, y: point.y })))
+    getPolylineSegments(obj).forEach(segment => {
+      snapPoints.midpoints.push(getSegmentMidpoint(segment))
+      const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+      if (arc) snapPoints.centers.push(arc.center)
+    })
+  } else if (obj.type === 'dimension') {
+    const dimensionSnaps = getDimensionSnapPoints(obj)
+    snapPoints.endpoints.push(...dimensionSnaps.endpoints)
+    snapPoints.midpoints.push(...dimensionSnaps.midpoints)
+    snapPoints.centers.push(...dimensionSnaps.centers)
+  }
+
+  return snapPoints
+}
+
 /**
  * Get all snap points from vector objects with different types
  * @param {Array} vectorObjects - Array of vector objects
@@ -499,38 +631,46 @@ export const getAllSnapPoints = (vectorObjects) => {
     endpoints: [],
     midpoints: [],
     centers: [],
-    corners: []
+    corners: [],
+    quadrants: []
   }
 
   vectorObjects.forEach(obj => {
-    if (obj.type === 'line') {
-      // Line endpoints
-      snapPoints.endpoints.push(obj.start, obj.end)
-      // Line midpoint
-      snapPoints.midpoints.push(calculateMidpoint(obj.start, obj.end))
-    } else if (obj.type === 'rectangle') {
-      // Rectangle corners
-      const corners = [
-        { x: obj.x, y: obj.y },
-        { x: obj.x + obj.width, y: obj.y },
-        { x: obj.x + obj.width, y: obj.y + obj.height },
-        { x: obj.x, y: obj.y + obj.height }
-      ]
-      snapPoints.corners.push(...corners)
-      // Rectangle center
-      snapPoints.centers.push({
-        x: obj.x + obj.width / 2,
-        y: obj.y + obj.height / 2
-      })
-    } else if (obj.type === 'circle') {
-      // Circle center
-      snapPoints.centers.push({ x: obj.x, y: obj.y })
-    }
+    const objectSnaps = getObjectSnapPoints(obj)
+    SNAP_TYPES.forEach(type => snapPoints[type].push(...objectSnaps[type]))
   })
 
   return snapPoints
 }
 
+/**
+ * Snap points of a dimension, by type: the ends and middle of linear,
+ * aligned, radius and diameter dimension lines, the ends and middle of an
+ * angular dimension's arc, and the vertex or circle center of angular,
+ * radius and diameter dimensions
+ * @param {Object} obj - Dimension object
+ * @returns {Object} { endpoints, midpoints, centers } arrays of points
+ */
+export const getDimensionSnapPoints = (obj) => {
+  const snaps = { endpoints: [], midpoints: [], centers: [] }
+  const geometry = getDimensionGeometry(obj)
+  if (!geometry) return snaps
+
+  geometry.dimensionLines.forEach(line => {
+    snaps.endpoints.push(line.start, line.end)
+    snaps.midpoints.push(calculateMidpoint(line.start, line.end))
+  })
+  geometry.arcs.forEach(arc => {
+    const [start, middle, end] = getArcPoints(arc, 2)
+    snaps.endpoints.push(start, end)
+    snaps.midpoints.push(middle)
+  })
+  if (obj.center) {
+    snaps.centers.push({ ...obj.center })
+  }
+  return snaps
+}
+
 /**
  * Get snap points within proximity of mouse position
  * @param {Object} mousePos - Mouse position {x, y}
@@ -544,6 +684,7 @@ export const getSnapPointsInProximity = (mousePos, snapPoints, proximity = 50) =
     midpoints: [],
     centers: [],
     corners: [],
+    quadrants: [],
     grid: []
   }
 
@@ -575,6 +716,13 @@ export const getSnapPointsInProximity = (mousePos, snapPoints, proximity = 50) =
     }
   })
 
+  // Check quadrants
+  snapPoints.quadrants?.forEach(point => {
+    if (calculateDistance(mousePos, point) <= proximity) {
+      nearbySnaps.quadrants.push({ ...point, type: 'quadrant' })
+    }
+  })
+
   return nearbySnaps
 }
 
@@ -612,10 +760,29 @@ export const getGridSnapPointsInProximity = (mousePos, gridSize, panOffset, zoom
   return gridSnaps
 }
 
+// Key of drawSnapPointsByType()'s data for each snap type (see
+// findObjectSnap in osnap-utils.js)
+export const SNAP_MARKER_KEYS = {
+  endpoint: 'endpoints',
+  corner: 'corners',
+  midpoint: 'midpoints',
+  center: 'centers',
+  quadrant: 'quadrants',
+  intersection: 'intersections',
+  apparent: 'apparentIntersections',
+  perpendicular: 'perpendiculars',
+  tangent: 'tangents',
+  nearest: 'nearest',
+  extension: 'extensions',
+  parallel: 'parallels',
+  grid: 'grid'
+}
+
 /**
  * Draw snap points with visual distinction based on type
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Object} snapData - Object containing different types of snap points
+ * @param {Object} snapData - Object containing different types of snap points,
+ *   keyed as in SNAP_MARKER_KEYS
  */
 export const drawSnapPointsByType = (ctx, snapData) => {
   if (!snapData) return
@@ -679,6 +846,122 @@ export const drawSnapPointsByType = (ctx, snapData) => {
     })
   }
 
+  // Draw quadrants (purple outlined diamonds)
+  if (snapData.quadrants && snapData.quadrants.length > 0) {
+    ctx.strokeStyle = '#9C27B0'
+    ctx.lineWidth = 2
+    snapData.quadrants.forEach(point => {
+      ctx.beginPath()
+      ctx.moveTo(point.x, point.y - 5)
+      ctx.lineTo(point.x + 5, point.y)
+      ctx.lineTo(point.x, point.y + 5)
+      ctx.lineTo(point.x - 5, point.y)
+      ctx.closePath()
+      ctx.stroke()
+    })
+  }
+
+  // Draw intersections (orange crosses)
+  if (snapData.intersections && snapData.intersections.length > 0) {
+    ctx.strokeStyle = '#F4511E'
+    ctx.lineWidth = 2
+    snapData.intersections.forEach(point => {
+      ctx.beginPath()
+      ctx.moveTo(point.x - 5, point.y - 5)
+      ctx.lineTo(point.x + 5, point.y + 5)
+      ctx.moveTo(point.x + 5, point.y - 5)
+      ctx.lineTo(point.x - 5, point.y + 5)
+      ctx.stroke()
+    })
+  }
+
+  // Draw apparent intersections (orange crosses in a box)
+  if (snapData.apparentIntersections && snapData.apparentIntersections.length > 0) {
+    ctx.strokeStyle = '#F4511E'
+    ctx.lineWidth = 1
+    snapData.apparentIntersections.forEach(point => {
+      ctx.strokeRect(point.x - 5, point.y - 5, 10, 10)
+      ctx.beginPath()
+      ctx.moveTo(point.x - 3, point.y - 3)
+      ctx.lineTo(point.x + 3, point.y + 3)
+      ctx.moveTo(point.x + 3, point.y - 3)
+      ctx.lineTo(point.x - 3, point.y + 3)
+      ctx.stroke()
+    })
+  }
+
+  // Draw perpendiculars (teal right-angle marks)
+  if (snapData.perpendiculars && snapData.perpendiculars.length > 0) {
+    ctx.strokeStyle = '#00897B'
+    ctx.lineWidth = 2
+    snapData.perpendiculars.forEach(point => {
+      ctx.beginPath()
+      ctx.moveTo(point.x - 5, point.y - 5)
+      ctx.lineTo(point.x - 5, point.y + 5)
+      ctx.lineTo(point.x + 5, point.y + 5)
+      ctx.moveTo(point.x - 5, point.y)
+      ctx.lineTo(point.x, point.y)
+      ctx.lineTo(point.x, point.y + 5)
+      ctx.stroke()
+    })
+  }
+
+  // Draw tangents (indigo circles with a line across the top)
+  if (snapData.tangents && snapData.tangents.length > 0) {
+    ctx.strokeStyle = '#3949AB'
+    ctx.lineWidth = 2
+    snapData.tangents.forEach(point => {
+      ctx.beginPath()
+      ctx.arc(point.x, point.y, 4, 0, 2 * Math.PI)
+      ctx.moveTo(point.x - 6, point.y - 4)
+      ctx.lineTo(point.x + 6, point.y - 4)
+      ctx.stroke()
+    })
+  }
+
+  // Draw nearest points (brown hourglasses)
+  if (snapData.nearest && snapData.nearest.length > 0) {
+    ctx.strokeStyle = '#6D4C41'
+    ctx.lineWidth = 2
+    snapData.nearest.forEach(point => {
+      ctx.beginPath()
+      ctx.moveTo(point.x - 5, point.y - 5)
+      ctx.lineTo(point.x + 5, point.y - 5)
+      ctx.lineTo(point.x - 5, point.y + 5)
+      ctx.lineTo(point.x + 5, point.y + 5)
+      ctx.closePath()
+      ctx.stroke()
+    })
+  }
+
+  // Draw extensions (cyan small crosses)
+  if (snapData.extensions && snapData.extensions.length > 0) {
+    ctx.strokeStyle = '#00ACC1'
+    ctx.lineWidth = 2
+    snapData.extensions.forEach(point => {
+      ctx.beginPath()
+      ctx.moveTo(point.x - 3, point.y)
+      ctx.lineTo(point.x + 3, point.y)
+      ctx.moveTo(point.x, point.y - 3)
+      ctx.lineTo(point.x, point.y + 3)
+      ctx.stroke()
+    })
+  }
+
+  // Draw parallels (purple pairs of slanted lines)
+  if (snapData.parallels && snapData.parallels.length > 0) {
+    ctx.strokeStyle = '#8E24AA'
+    ctx.lineWidth = 2
+    snapData.parallels.forEach(point => {
+      ctx.beginPath()
+      ctx.moveTo(point.x - 5, point.y + 3)
+      ctx.lineTo(point.x + 1, point.y - 5)
+      ctx.moveTo(point.x - 1, point.y + 5)
+      ctx.lineTo(point.x + 5, point.y - 3)
+      ctx.stroke()
+    })
+  }
+
   // Draw grid points (gray crosses)
   if (snapData.grid && snapData.grid.length > 0) {
     ctx.strokeStyle = '#888888'
@@ -707,9 +990,12 @@ export const drawSnapPointsByType = (ctx, snapData) => {
  * @param {number} width - Line width in pixels (constant)
  * @param {Object} panOffset - Pan offset {x, y}
  * @param {number} zoomLevel - Current zoom level
+ * @param {Array} dashPattern - Screen dash array from getDashPattern() (linetypes.js);
+ *   empty keeps the context's dash (solid unless a caller set one)
  */
-export const drawLineWithConstantWidth = (ctx, x1, y1, x2, y2, color = '#000000', width = 2, panOffset = { x: 0, y: 0 }, zoomLevel = 1) => {
+export const drawLineWithConstantWidth = (ctx, x1, y1, x2, y2, color = '#000000', width = 2, panOffset = { x: 0, y: 0 }, zoomLevel = 1, dashPattern = []) => {
   ctx.save()
+  if (dashPattern.length > 0) ctx.setLineDash(dashPattern)
 
   // Transform world coordinates to screen coordinates
   const screenX1 = x1 * zoomLevel + panOffset.x
@@ -740,9 +1026,11 @@ export const drawLineWithConstantWidth = (ctx, x1, y1, x2, y2, color = '#000000'
  * @param {boolean} filled - Whether to fill the rectangle
  * @param {Object} panOffset - Pan offset {x, y}
  * @param {number} zoomLevel - Current zoom level
+ * @param {Array} dashPattern - Screen dash array (see drawLineWithConstantWidth)
  */
-export const drawRectangleWithConstantWidth = (ctx, x, y, width, height, color = '#000000', lineWidth = 2, filled = false, panOffset = { x: 0, y: 0 }, zoomLevel = 1) => {
+export const drawRectangleWithConstantWidth = (ctx, x, y, width, height, color = '#000000', lineWidth = 2, filled = false, panOffset = { x: 0, y: 0 }, zoomLevel = 1, dashPattern = []) => {
   ctx.save()
+  if (dashPattern.length > 0) ctx.setLineDash(dashPattern)
 
   // Transform world coordinates to screen coordinates
   const screenX = x * zoomLevel + panOffset.x
@@ -776,9 +1064,11 @@ export const drawRectangleWithConstantWidth = (ctx, x, y, width, height, color =
  * @param {boolean} filled - Whether to fill the circle
  * @param {Object} panOffset - Pan offset {x, y}
  * @param {number} zoomLevel - Current zoom level
+ * @param {Array} dashPattern - Screen dash array (see drawLineWithConstantWidth)
  */
-export const drawCircleWithConstantWidth = (ctx, x, y, radius, color = '#000000', lineWidth = 2, filled = false, panOffset = { x: 0, y: 0 }, zoomLevel = 1) => {
+export const drawCircleWithConstantWidth = (ctx, x, y, radius, color = '#000000', lineWidth = 2, filled = false, panOffset = { x: 0, y: 0 }, zoomLevel = 1, dashPattern = []) => {
   ctx.save()
+  if (dashPattern.length > 0) ctx.setLineDash(dashPattern)
 
   // Transform world coordinates to screen coordinates
   const screenX = x * zoomLevel + panOffset.x
@@ -800,19 +1090,82 @@ export const drawCircleWithConstantWidth = (ctx, x, y, radius, color = '#000000'
   ctx.restore()
 }
 
+/**
+ * Draw an arc with constant line width regardless of zoom level
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Center X coordinate in world coordinates
+ * @param {number} y - Center Y coordinate in world coordinates
+ * @param {number} radius - Radius in world coordinates
+ * @param {number} startAngle - Start angle in radians
+ * @param {number} endAngle - End angle in radians, reached with increasing
+ *   angles (clockwise on screen; see curve-utils.js)
+ * @param {string} color - Line color
+ * @param {number} lineWidth - Line width in pixels (constant)
+ * @param {Object} panOffset - Pan offset {x, y}
+ * @param {number} zoomLevel - Current zoom level
+ * @param {Array} dashPattern - Screen dash array (see drawLineWithConstantWidth)
+ */
+export const drawArcWithConstantWidth = (ctx, x, y, radius, startAngle, endAngle, color = '#000000', lineWidth = 2, panOffset = { x: 0, y: 0 }, zoomLevel = 1, dashPattern = []) => {
+  ctx.save()
+  if (dashPattern.length > 0) ctx.setLineDash(dashPattern)
+
+  // Screen and world angles agree (uniform scale, both Y down)
+  ctx.beginPath()
+  ctx.arc(x * zoomLevel + panOffset.x, y * zoomLevel + panOffset.y, radius * zoomLevel, startAngle, endAngle)
+  ctx.strokeStyle = color
+  ctx.lineWidth = lineWidth
+  ctx.stroke()
+
+  ctx.restore()
+}
+
+/**
+ * Draw an ellipse or elliptical arc with constant line width regardless of zoom level
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Center X coordinate in world coordinates
+ * @param {number} y - Center Y coordinate in world coordinates
+ * @param {Object} majorAxis - Vector from the center to the end of the major axis {x, y}
+ * @param {number} ratio - Minor axis length over major axis length
+ * @param {number} startAngle - Start parameter in radians
+ * @param {number} endAngle - End parameter in radians (see curve-utils.js)
+ * @param {string} color - Line color
+ * @param {number} lineWidth - Line width in pixels (constant)
+ * @param {Object} panOffset - Pan offset {x, y}
+ * @param {number} zoomLevel - Current zoom level
+ * @param {Array} dashPattern - Screen dash array (see drawLineWithConstantWidth)
+ */
+export const drawEllipseWithConstantWidth = (ctx, x, y, majorAxis, ratio, startAngle, endAngle, color = '#000000', lineWidth = 2, panOffset = { x: 0, y: 0 }, zoomLevel = 1, dashPattern = []) => {
+  const { major, minor, rotation } = getEllipseAxes({ majorAxis, ratio })
+  ctx.save()
+  if (dashPattern.length > 0) ctx.setLineDash(dashPattern)
+
+  // Canvas ellipse angles are the same parameters, measured from the rotated major axis
+  ctx.beginPath()
+  ctx.ellipse(x * zoomLevel + panOffset.x, y * zoomLevel + panOffset.y, major * zoomLevel, minor * zoomLevel, rotation, startAngle, endAngle)
+  ctx.strokeStyle = color
+  ctx.lineWidth = lineWidth
+  ctx.stroke()
+
+  ctx.restore()
+}
+
 /**
  * Draw a polyline with constant line width regardless of zoom level
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Array} points - Array of point objects with x, y coordinates in world coordinates
+ * @param {Array} points - Array of point objects with x, y coordinates in world
+ *   coordinates and optional bulges (see polyline-utils.js)
  * @param {string} color - Line color
  * @param {number} width - Line width in pixels (constant)
  * @param {Object} panOffset - Pan offset {x, y}
  * @param {number} zoomLevel - Current zoom level
+ * @param {Array} dashPattern - Screen dash array (see drawLineWithConstantWidth)
+ * @param {boolean} closed - Whether the last point connects back to the first
  */
-export const drawPolylineWithConstantWidth = (ctx, points, color = '#000000', width = 2, panOffset = { x: 0, y: 0 }, zoomLevel = 1) => {
+export const drawPolylineWithConstantWidth = (ctx, points, color = '#000000', width = 2, panOffset = { x: 0, y: 0 }, zoomLevel = 1, dashPattern = [], closed = false) => {
   if (points.length < 2) return
 
   ctx.save()
+  if (dashPattern.length > 0) ctx.setLineDash(dashPattern)
 
   // Transform first point to screen coordinates
   const screenX = points[0].x * zoomLevel + panOffset.x
@@ -821,12 +1174,23 @@ export const drawPolylineWithConstantWidth = (ctx, points, color = '#000000', wi
   ctx.beginPath()
   ctx.moveTo(screenX, screenY)
 
-  // Draw remaining points
-  for (let i = 1; i < points.length; i++) {
-    const screenX = points[i].x * zoomLevel + panOffset.x
-    const screenY = points[i].y * zoomLevel + panOffset.y
-    ctx.lineTo(screenX, screenY)
-  }
+  // Draw the segments; screen and world angles agree (uniform scale, both Y down)
+  getPolylineSegments({ points, closed }).forEach(segment => {
+    const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+    if (arc) {
+      ctx.arc(
+        arc.center.x * zoomLevel + panOffset.x,
+        arc.center.y * zoomLevel + panOffset.y,
+        arc.radius * zoomLevel,
+        arc.startAngle,
+        arc.endAngle,
+        arc.endAngle < arc.startAngle
+      )
+    } else {
+      ctx.lineTo(segment.end.x * zoomLevel + panOffset.x, segment.end.y * zoomLevel + panOffset.y)
+    }
+  })
+  if (closed) ctx.closePath()
 
   ctx.strokeStyle = color
   ctx.lineWidth = width
@@ -862,83 +1226,497 @@ export const drawPointWithConstantSize = (ctx, x, y, color = '#000000', size = 3
 }
 
 /**
- * Draw AutoCAD-style dimension with extension lines and dimension line
+ * Draw selection grips as constant-size squares
  * @param {CanvasRenderingContext2D} ctx - Canvas context
- * @param {Object} point1 - First dimension point {x, y} in world coordinates
- * @param {Object} point2 - Second dimension point {x, y} in world coordinates
- * @param {Object} dimensionLinePos - Dimension line position {x, y} in world coordinates
- * @param {string} color - Line color
- * @param {number} width - Line width in pixels (constant)
+ * @param {Array} points - Grip points {x, y} in world coordinates
+ * @param {string} color - Grip fill color
+ * @param {number} size - Grip square size in pixels (constant)
  * @param {Object} panOffset - Pan offset {x, y}
  * @param {number} zoomLevel - Current zoom level
  */
-export const drawAutoCADDimension = (ctx, point1, point2, dimensionLinePos, color = '#000000', width = 2, panOffset = { x: 0, y: 0 }, zoomLevel = 1) => {
-  if (!point1 || !point2 || !dimensionLinePos) return
+export const drawGripsWithConstantSize = (ctx, points, color = '#1E88E5', size = 8, panOffset = { x: 0, y: 0 }, zoomLevel = 1) => {
+  ctx.save()
+  ctx.setLineDash([])
+  ctx.fillStyle = color
+  ctx.strokeStyle = '#FFFFFF'
+  ctx.lineWidth = 1
+
+  points.forEach(point => {
+    const screenX = point.x * zoomLevel + panOffset.x
+    const screenY = point.y * zoomLevel + panOffset.y
+    ctx.fillRect(screenX - size / 2, screenY - size / 2, size, size)
+    ctx.strokeRect(screenX - size / 2, screenY - size / 2, size, size)
+  })
 
+  ctx.restore()
+}
+
+/**
+ * Draw the rubber-band box of a window or crossing selection
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} start - Corner where the drag started {x, y} in screen coordinates
+ * @param {Object} end - Current corner {x, y} in screen coordinates
+ * @param {boolean} crossing - Crossing boxes are green and dashed, window boxes blue and solid
+ */
+export const drawSelectionBox = (ctx, start, end, crossing = false) => {
   ctx.save()
+  ctx.beginPath()
+  ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y)
+  ctx.fillStyle = crossing ? 'rgba(0, 170, 0, 0.1)' : 'rgba(30, 136, 229, 0.1)'
+  ctx.fill()
+  ctx.setLineDash(crossing ? [6, 4] : [])
+  ctx.strokeStyle = crossing ? '#00AA00' : '#1E88E5'
+  ctx.lineWidth = 1
+  ctx.stroke()
+  ctx.restore()
+}
 
-  // Transform world coordinates to screen coordinates
-  const screenP1X = point1.x * zoomLevel + panOffset.x
-  const screenP1Y = point1.y * zoomLevel + panOffset.y
-  const screenP2X = point2.x * zoomLevel + panOffset.x
-  const screenP2Y = point2.y * zoomLevel + panOffset.y
-  const screenDimX = dimensionLinePos.x * zoomLevel + panOffset.x
-  const screenDimY = dimensionLinePos.y * zoomLevel + panOffset.y
+// Keep rotated text readable: angles between -90 (inclusive) and 90 degrees
+const readableAngle = (angle) => {
+  let readable = Math.atan2(Math.sin(angle), Math.cos(angle))
+  if (readable >= Math.PI / 2) readable -= Math.PI
+  else if (readable < -Math.PI / 2) readable += Math.PI
+  return readable
+}
+
+// Linear dimension measured along `angle`: the dimension line runs in that
+// direction through dimensionLinePos and each extension line drops onto it
+// from its measured point, square to the line
+const getLinearDimensionGeometry = (point1, point2, dimensionLinePos, angle, { extensionOffset = 0, extensionBeyond = 0, aligned = false }) => {
+  const ux = Math.cos(angle)
+  const uy = Math.sin(angle)
+  const nx = -uy
+  const ny = ux
+
+  const value = Math.abs((point2.x - point1.x) * ux + (point2.y - point1.y) * uy)
+  if (value < 1e-9) return null
+
+  // Extension lines run from the measured points towards the dimension line;
+  // the gap never exceeds the offset, so they cannot flip direction
+  const project = (point) => {
+    const offset = (dimensionLinePos.x - point.x) * nx + (dimensionLinePos.y - point.y) * ny
+    const dimPoint = { x: point.x + nx * offset, y: point.y + ny * offset }
+    const side = offset < 0 ? -1 : 1
+    const gap = Math.min(extensionOffset, Math.abs(offset))
+    return {
+      dimPoint,
+      extensionLine: {
+        start: { x: point.x + nx * side * gap, y: point.y + ny * side * gap },
+        end: { x: dimPoint.x + nx * side * extensionBeyond, y: dimPoint.y + ny * side * extensionBeyond }
+      }
+    }
+  }
+  const first = project(point1)
+  const second = project(point2)
+  const lineAngle = Math.atan2(second.dimPoint.y - first.dimPoint.y, second.dimPoint.x - first.dimPoint.x)
+
+  return {
+    extensionLines: [first.extensionLine, second.extensionLine],
+    dimensionLines: [{ start: first.dimPoint, end: second.dimPoint }],
+    arcs: [],
+    arrows: [
+      { tip: first.dimPoint, angle: lineAngle },
+      { tip: second.dimPoint, angle: lineAngle + Math.PI }
+    ],
+    text: {
+      position: calculateMidpoint(first.dimPoint, second.dimPoint),
+      angle: aligned ? readableAngle(lineAngle) : 0,
+      direction: lineAngle
+    },
+    value
+  }
+}
+
+// Angular dimension: the arc through dimensionLinePos about the vertex
+// (obj.center), sweeping clockwise on screen from the ray through point1 to
+// the ray through point2. Extension lines reach out to the arc when it lies
+// beyond the measured points.
+const getAngularDimensionGeometry = (obj, { extensionOffset = 0, extensionBeyond = 0, aligned = false }) => {
+  const { center } = obj
+  const startAngle = Math.atan2(obj.point1.y - center.y, obj.point1.x - center.x)
+  const endAngle = Math.atan2(obj.point2.y - center.y, obj.point2.x - center.x)
+  const sweep = ((endAngle - startAngle) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI)
+  const radius = calculateDistance(center, obj.dimensionLinePos)
+  if (sweep < 1e-9 || radius === 0) return null
+
+  const at = (angle, distance) => ({ x: center.x + Math.cos(angle) * distance, y: center.y + Math.sin(angle) * distance })
+  const extensionLines = []
+  ;[[obj.point1, startAngle], [obj.point2, endAngle]].forEach(([point, angle]) => {
+    const distance = calculateDistance(center, point)
+    if (radius > distance) {
+      extensionLines.push({
+        start: at(angle, distance + Math.min(extensionOffset, radius - distance)),
+        end: at(angle, radius + extensionBeyond)
+      })
+    }
+  })
+
+  const middle = startAngle + sweep / 2
+  return {
+    extensionLines,
+    dimensionLines: [],
+    arcs: [{ center: { ...center }, radius, startAngle, endAngle: startAngle + sweep }],
+    // Arrow directions follow the arc's tangent into the arc
+    arrows: [
+      { tip: at(startAngle, radius), angle: startAngle + Math.PI / 2 },
+      { tip: at(startAngle + sweep, radius), angle: startAngle + sweep - Math.PI / 2 }
+    ],
+    text: {
+      position: at(middle, radius),
+      angle: aligned ? readableAngle(middle + Math.PI / 2) : 0,
+      direction: middle + Math.PI / 2
+    },
+    value: sweep
+  }
+}
+
+// Radius and diameter dimensions of the circle about obj.center through
+// obj.point1. The dimension line points from the center towards
+// dimensionLinePos, where the text goes; placed outside the circle it
+// continues out to the text as a leader.
+const getRadialDimensionGeometry = (obj, diameter, { aligned = false }) => {
+  const { center } = obj
+  const radius = calculateDistance(center, obj.point1)
+  if (radius === 0) return null
+
+  let distance = calculateDistance(center, obj.dimensionLinePos)
+  let direction = obj.dimensionLinePos
+  if (distance === 0) {
+    direction = obj.point1
+    distance = radius
+  }
+  const ux = (direction.x - center.x) / distance
+  const uy = (direction.y - center.y) / distance
+  const angle = Math.atan2(uy, ux)
+  const tip = { x: center.x + ux * radius, y: center.y + uy * radius }
+  const outside = distance > radius
+
+  let dimensionLine
+  let arrows
+  if (diameter) {
+    const farTip = { x: center.x - ux * radius, y: center.y - uy * radius }
+    dimensionLine = { start: farTip, end: outside ? { ...obj.dimensionLinePos } : tip }
+    arrows = [
+      { tip, angle: angle + Math.PI },
+      { tip: farTip, angle }
+    ]
+  } else if (outside) {
+    // Leader from the circle out to the text, arrow on the circle
+    dimensionLine = { start: tip, end: { ...obj.dimensionLinePos } }
+    arrows = [{ tip, angle }]
+  } else {
+    dimensionLine = { start: { ...center }, end: tip }
+    arrows = [{ tip, angle: angle + Math.PI }]
+  }
+
+  return {
+    extensionLines: [],
+    dimensionLines: [dimensionLine],
+    arcs: [],
+    arrows,
+    text: {
+      position: { ...obj.dimensionLinePos },
+      angle: aligned ? readableAngle(angle) : 0,
+      direction: angle
+    },
+    value: diameter ? radius * 2 : radius
+  }
+}
+
+// Point fields each dimension type needs (see getDimensionGeometry)
+export const DIMENSION_POINT_FIELDS = {
+  aligned: ['point1', 'point2', 'dimensionLinePos'],
+  linear: ['point1', 'point2', 'dimensionLinePos'],
+  angular: ['center', 'point1', 'point2', 'dimensionLinePos'],
+  radius: ['center', 'point1', 'dimensionLinePos'],
+  diameter: ['center', 'point1', 'dimensionLinePos']
+}
 
-  // Calculate extension line endpoints
-  const lineAngle = Math.atan2(screenP2Y - screenP1Y, screenP2X - screenP1X)
-  const perpAngle = lineAngle + Math.PI / 2
+/**
+ * Compute the geometry of a dimension object in world coordinates.
+ * Shared by the canvas renderer, hit-testing, snapping and the exporters so
+ * exploded dimensions match what is drawn on screen.
+ *
+ * Dimension types (obj.dimType; objects without one are aligned):
+ *   aligned  - point1 to point2, dimension line parallel to them through dimensionLinePos
+ *   linear   - point1 to point2 measured along obj.angle (0 horizontal, PI/2 vertical)
+ *   angular  - angle at obj.center from the ray through point1 clockwise (on
+ *              screen) to the ray through point2, arc through dimensionLinePos
+ *   radius   - circle about obj.center through point1, text at dimensionLinePos
+ *   diameter - same as radius, measuring across the circle
+ * @param {Object} obj - Dimension object
+ * @param {Object} options - { extensionOffset: gap between each measured point
+ *   and its extension line, extensionBeyond: how far extension lines run past
+ *   the dimension line, aligned: turn the text with the dimension line }.
+ *   Lengths are world units; all default to 0/false.
+ * @returns {Object|null} { extensionLines: [{start, end}], dimensionLines: [{start, end}],
+ *   arcs: [{center, radius, startAngle, endAngle}], arrows: [{tip, angle}],
+ *   text: {position, angle, direction}, value } or null for a degenerate dimension.
+ *   text.direction is the angle of the line or arc tangent the text sits on.
+ *   Arcs sweep clockwise on screen from startAngle to endAngle. Arrow angles
+ *   point from the tip into the dimension line (the way the barbs open);
+ *   an aligned text angle is kept readable (between -90 and 90 degrees on
+ *   screen); value is in world pixels, or radians for angular dimensions.
+ */
+export const getDimensionGeometry = (obj, options = {}) => {
+  const dimType = obj?.dimType || 'aligned'
+  const fields = DIMENSION_POINT_FIELDS[dimType]
+  if (!fields || fields.some(field => !obj[field])) return null
+
+  switch (dimType) {
+    case 'linear':
+      return getLinearDimensionGeometry(obj.point1, obj.point2, obj.dimensionLinePos, obj.angle || 0, options)
+    case 'angular':
+      return getAngularDimensionGeometry(obj, options)
+    case 'radius':
+    case 'diameter':
+      return getRadialDimensionGeometry(obj, dimType === 'diameter', options)
+    default: {
+      const angle = Math.atan2(obj.point2.y - obj.point1.y, obj.point2.x - obj.point1.x)
+      return getLinearDimensionGeometry(obj.point1, obj.point2, obj.dimensionLinePos, angle, options)
+    }
+  }
+}
 
-  // Calculate perpendicular distance from dimension line to the line between points
-  const lineLength = Math.sqrt(Math.pow(screenP2X - screenP1X, 2) + Math.pow(screenP2Y - screenP1Y, 2))
-  const perpDistance = ((screenDimX - screenP1X) * (screenP2Y - screenP1Y) - (screenDimY - screenP1Y) * (screenP2X - screenP1X)) / lineLength
+/**
+ * Points along a dimension arc, for hit-testing, bounds and exporters that
+ * have no arc primitive
+ * @param {Object} arc - Arc from getDimensionGeometry()
+ * @param {number} segments - Number of straight segments
+ * @returns {Array} segments + 1 points {x, y}
+ */
+export const getArcPoints = (arc, segments = 16) => {
+  const points = []
+  for (let i = 0; i <= segments; i++) {
+    const angle = arc.startAngle + (arc.endAngle - arc.startAngle) * i / segments
+    points.push({ x: arc.center.x + Math.cos(angle) * arc.radius, y: arc.center.y + Math.sin(angle) * arc.radius })
+  }
+  return points
+}
 
-  // Calculate extension line start points (projection of dimension line onto the line between points)
-  const t1 = ((screenDimX - screenP1X) * (screenP2X - screenP1X) + (screenDimY - screenP1Y) * (screenP2Y - screenP1Y)) / (lineLength * lineLength)
-  const t2 = Math.max(0, Math.min(1, t1)) // Clamp to line segment
+/**
+ * Shape of a dimension line terminator, shared by the canvas and the
+ * exporters
+ * @param {Object} tip - Terminator point {x, y}
+ * @param {number} angle - Direction from the tip into the dimension line, radians
+ * @param {string} terminator - 'arrow', 'tick' or 'dot' (see TERMINATORS)
+ * @param {number} size - Terminator size, in the units of tip
+ * @returns {Object} { paths, dot }: open paths (arrays of points) to
+ *   stroke, and a filled dot { center, radius } or null
+ */
+export const getDimensionTerminator = (tip, angle, terminator, size) => {
+  if (size <= 0) return { paths: [], dot: null }
+
+  if (terminator === 'dot') {
+    return { paths: [], dot: { center: { x: tip.x, y: tip.y }, radius: size / 4 } }
+  }
+
+  if (terminator === 'tick') {
+    // Oblique stroke at 45 degrees through the tip; both ends slant the same way
+    const tickAngle = angle + Math.PI / 4
+    const dx = Math.cos(tickAngle) * size / 2
+    const dy = Math.sin(tickAngle) * size / 2
+    return { paths: [[{ x: tip.x - dx, y: tip.y - dy }, { x: tip.x + dx, y: tip.y + dy }]], dot: null }
+  }
+
+  // Open arrow with barbs 30 degrees either side of the dimension line
+  const spread = Math.PI / 6
+  const barb = (offset) => ({ x: tip.x + size * Math.cos(angle + offset), y: tip.y + size * Math.sin(angle + offset) })
+  return { paths: [[barb(-spread), { x: tip.x, y: tip.y }, barb(spread)]], dot: null }
+}
 
-  const extStartX = screenP1X + t2 * (screenP2X - screenP1X)
-  const extStartY = screenP1Y + t2 * (screenP2Y - screenP1Y)
+/**
+ * Draw a dimension line terminator at constant screen size
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} tip - Terminator point {x, y} in screen coordinates
+ * @param {number} angle - Direction from the tip into the dimension line, radians
+ * @param {string} terminator - 'arrow', 'tick' or 'dot' (see TERMINATORS)
+ * @param {number} size - Terminator size in screen pixels
+ * @param {string} color - Color
+ * @param {number} width - Line width in pixels (constant)
+ */
+export const drawDimensionTerminator = (ctx, tip, angle, terminator, size, color = '#000000', width = 2) => {
+  const { paths, dot } = getDimensionTerminator(tip, angle, terminator, size)
 
-  // Draw extension lines
   ctx.beginPath()
-  ctx.moveTo(screenP1X, screenP1Y)
-  ctx.lineTo(extStartX, extStartY)
-  ctx.moveTo(screenP2X, screenP2Y)
-  ctx.lineTo(extStartX, extStartY)
+  if (dot) {
+    ctx.arc(dot.center.x, dot.center.y, dot.radius, 0, 2 * Math.PI)
+    ctx.fillStyle = color
+    ctx.fill()
+    return
+  }
+
+  paths.forEach(path => path.forEach((point, i) => {
+    if (i === 0) {
+      ctx.moveTo(point.x, point.y)
+    } else {
+      ctx.lineTo(point.x, point.y)
+    }
+  }))
   ctx.strokeStyle = color
   ctx.lineWidth = width
   ctx.stroke()
+}
+
+/**
+ * Center and angle of a dimension's text for the style's text placement
+ * (see TEXT_PLACEMENTS). Text beside the dimension line clears it by 0.4
+ * of the text height.
+ * @param {Object} text - Text geometry { position, angle, direction } from
+ *   getDimensionGeometry()
+ * @param {string} placement - 'centered', 'above' or 'aligned'
+ * @param {number} textHeight - Text height, in the units of text.position
+ * @param {number} textWidth - Width of the text, in the same units
+ * @returns {Object} { position, angle }: text centered on position, turned
+ *   by angle (radians)
+ */
+export const getDimensionTextPlacement = (text, placement, textHeight, textWidth) => {
+  const textGap = textHeight * 0.4
+
+  if (placement === 'aligned') {
+    // Rotated with the line, on its "above" side (-Y in the rotated frame)
+    const distance = textGap + textHeight / 2
+    return {
+      position: { x: text.position.x + Math.sin(text.angle) * distance, y: text.position.y - Math.cos(text.angle) * distance },
+      angle: text.angle
+    }
+  }
+
+  if (placement === 'above') {
+    // Horizontal text moved off the line along its normal, on the upper
+    // side (left for vertical lines), far enough for the text box to clear it
+    const angle = text.direction
+    let nx = -Math.sin(angle)
+    let ny = Math.cos(angle)
+    if (ny > 0 || (ny === 0 && nx > 0)) {
+      nx = -nx
+      ny = -ny
+    }
+    const distance = Math.abs(nx) * textWidth / 2 + Math.abs(ny) * textHeight / 2 + textGap
+    return { position: { x: text.position.x + nx * distance, y: text.position.y + ny * distance }, angle: 0 }
+  }
+
+  return { position: { x: text.position.x, y: text.position.y }, angle: 0 }
+}
+
+// Average width of an Arial character as a fraction of the text height,
+// for output that cannot measure its text (the exporters)
+const AVERAGE_CHARACTER_WIDTH = 0.6
+
+/**
+ * Estimated width of a line of Arial text, for output that cannot measure it
+ * @param {string} text - Text
+ * @param {number} textHeight - Text height
+ * @returns {number} Width in the units of textHeight
+ */
+export const estimateTextWidth = (text, textHeight) => text.length * textHeight * AVERAGE_CHARACTER_WIDTH
+
+/**
+ * Draw AutoCAD-style dimension with extension lines and dimension line.
+ * Text, terminators and extension line gaps come from the dimension style,
+ * whose paper-inch sizes are drawn at a constant screen size.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} dimension - Dimension object in world coordinates (see getDimensionGeometry)
+ * @param {Object} panOffset - Pan offset {x, y}
+ * @param {number} zoomLevel - Current zoom level
+ * @param {Object} style - Dimension style (see dimension-styles.js)
+ * @param {Object} documentUnits - { units, precision } used by the 'units' text format
+ */
+export const drawAutoCADDimension = (ctx, dimension, panOffset = { x: 0, y: 0 }, zoomLevel = 1, style = DEFAULT_DIM_STYLE, documentUnits = {}) => {
+  // Paper inches to screen pixels, and to world units for the geometry
+  const screenSize = (inches) => inchesToPixels(inches)
+  const geometry = getDimensionGeometry(dimension, {
+    extensionOffset: screenSize(style.extensionOffset) / zoomLevel,
+    extensionBeyond: screenSize(style.extensionBeyond) / zoomLevel,
+    aligned: style.textPlacement === 'aligned'
+  })
+  if (!geometry) return
+
+  const color = dimension.color || '#000000'
+  const width = dimension.lineWidth || 2
+
+  ctx.save()
 
-  // Draw dimension line (perpendicular to extension lines)
-  const dimLineLength = Math.abs(perpDistance)
-  const dimLineStartX = extStartX - (perpDistance / Math.abs(perpDistance)) * dimLineLength * Math.cos(perpAngle)
-  const dimLineStartY = extStartY - (perpDistance / Math.abs(perpDistance)) * dimLineLength * Math.sin(perpAngle)
-  const dimLineEndX = extStartX + (perpDistance / Math.abs(perpDistance)) * dimLineLength * Math.cos(perpAngle)
-  const dimLineEndY = extStartY + (perpDistance / Math.abs(perpDistance)) * dimLineLength * Math.sin(perpAngle)
+  // Transform world coordinates to screen coordinates
+  const toScreen = (point) => ({
+    x: point.x * zoomLevel + panOffset.x,
+    y: point.y * zoomLevel + panOffset.y
+  })
 
+  // Draw extension lines, dimension lines and arcs
   ctx.beginPath()
-  ctx.moveTo(dimLineStartX, dimLineStartY)
-  ctx.lineTo(dimLineEndX, dimLineEndY)
+  geometry.extensionLines.concat(geometry.dimensionLines).forEach(line => {
+    const start = toScreen(line.start)
+    const end = toScreen(line.end)
+    ctx.moveTo(start.x, start.y)
+    ctx.lineTo(end.x, end.y)
+  })
+  geometry.arcs.forEach(arc => {
+    const center = toScreen(arc.center)
+    const radius = arc.radius * zoomLevel
+    ctx.moveTo(center.x + Math.cos(arc.startAngle) * radius, center.y + Math.sin(arc.startAngle) * radius)
+    ctx.arc(center.x, center.y, radius, arc.startAngle, arc.endAngle)
+  })
+  ctx.strokeStyle = color
+  ctx.lineWidth = width
   ctx.stroke()
 
-  // Draw arrowheads on dimension line
-  drawArrowheadWithConstantSize(ctx, dimLineStartX, dimLineStartY, dimLineEndX, dimLineEndY, color, width)
-  drawArrowheadWithConstantSize(ctx, dimLineEndX, dimLineEndY, dimLineStartX, dimLineStartY, color, width)
+  geometry.arrows.forEach(arrow => {
+    drawDimensionTerminator(ctx, toScreen(arrow.tip), arrow.angle, style.terminator, screenSize(style.arrowSize), color, width)
+  })
 
-  // Calculate and draw dimension text
-  const distance = Math.sqrt(Math.pow(point2.x - point1.x, 2) + Math.pow(point2.y - point1.y, 2))
-  ctx.font = '12px Arial'
+  // Draw the dimension text
+  const text = formatDimensionText(geometry.value, style, documentUnits, dimension.dimType)
+  const textHeight = screenSize(style.textHeight)
+  ctx.font = `${textHeight}px Arial`
   ctx.fillStyle = color
   ctx.textAlign = 'center'
   ctx.textBaseline = 'middle'
-
-  // Position text at the dimension line position
-  ctx.fillText(`${Math.round(distance)}px`, screenDimX, screenDimY)
+  const placed = getDimensionTextPlacement(
+    { ...geometry.text, position: toScreen(geometry.text.position) },
+    style.textPlacement,
+    textHeight,
+    ctx.measureText(text).width
+  )
+  ctx.translate(placed.position.x, placed.position.y)
+  ctx.rotate(placed.angle)
+  ctx.fillText(text, 0, 0)
 
   ctx.restore()
 }
 
+/**
+ * Draw one vector object from cadStore.vectorObjects with constant line width.
+ * This is the single place that maps object types to drawing calls, so the
+ * canvas and plot output (see pdf-plot.js) render identical geometry.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context, or any object with the same drawing API
+ * @param {Object} obj - Vector object with its linetype resolved and
+ *   linetypeScale the effective scale (cadStore.displayObjects)
+ * @param {Object} panOffset - Pan offset {x, y}
+ * @param {number} zoomLevel - Current zoom level
+ * @param {Object} dimensionFormat - Document settings dimensions depend on:
+ *   { units, precision, styles } (cadStore.dimensionFormat)
+ */
+export const drawVectorObject = (ctx, obj, panOffset = { x: 0, y: 0 }, zoomLevel = 1, dimensionFormat = {}) => {
+  const dash = getDashPattern(obj.linetype, obj.linetypeScale, zoomLevel)
+  if (obj.type === 'line') {
+    drawLineWithConstantWidth(ctx, obj.start.x, obj.start.y, obj.end.x, obj.end.y, obj.color, obj.lineWidth, panOffset, zoomLevel, dash)
+  } else if (obj.type === 'rectangle') {
+    drawRectangleWithConstantWidth(ctx, obj.x, obj.y, obj.width, obj.height, obj.color, obj.lineWidth, obj.filled, panOffset, zoomLevel, dash)
+  } else if (obj.type === 'circle') {
+    drawCircleWithConstantWidth(ctx, obj.x, obj.y, obj.radius, obj.color, obj.lineWidth, obj.filled, panOffset, zoomLevel, dash)
+  } else if (obj.type === 'arc') {
+    drawArcWithConstantWidth(ctx, obj.x, obj.y, obj.radius, obj.startAngle, obj.endAngle, obj.color, obj.lineWidth, panOffset, zoomLevel, dash)
+  } else if (obj.type === 'ellipse') {
+    drawEllipseWithConstantWidth(ctx, obj.x, obj.y, obj.majorAxis, obj.ratio, obj.startAngle, obj.endAngle, obj.color, obj.lineWidth, panOffset, zoomLevel, dash)
+  } else if (obj.type === 'polyline') {
+    drawPolylineWithConstantWidth(ctx, obj.points, obj.color, obj.lineWidth, panOffset, zoomLevel, dash, !!obj.closed)
+  } else if (obj.type === 'dimension') {
+    const style = findDimStyle(dimensionFormat.styles, obj.style)
+    drawAutoCADDimension(ctx, obj, panOffset, zoomLevel, style, dimensionFormat)
+  }
+}
+
 /**
  * Draw a dimension line with constant line width regardless of zoom level (legacy function)
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -982,7 +1760,7 @@ export const drawDimensionWithConstantWidth = (ctx, start, end, color = '#000000
   const midX = (screenStartX + screenEndX) / 2
   const midY = (screenStartY + screenEndY) / 2
 
-  ctx.fillText(`${Math.round(distance)}px`, midX, midY - 15)
+  ctx.fillText(formatLength(distance), midX, midY - 15)
 
   // Draw arrowheads with constant size
   drawArrowheadWithConstantSize(ctx, screenStartX, screenStartY, screenEndX, screenEndY, color, width)
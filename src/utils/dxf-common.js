@@ -0,0 +1,52 @@
+// Tables shared by the DXF exporter and importer
+
+// AutoCAD Color Index (ACI) base colors
+export const ACI_COLORS = [
+  { index: 1, rgb: [255, 0, 0] },
+  { index: 2, rgb: [255, 255, 0] },
+  { index: 3, rgb: [0, 255, 0] },
+  { index: 4, rgb: [0, 255, 255] },
+  { index: 5, rgb: [0, 0, 255] },
+  { index: 6, rgb: [255, 0, 255] },
+  // 7 is drawn black on white backgrounds and white on black ones
+  { index: 7, rgb: [0, 0, 0] },
+  { index: 8, rgb: [128, 128, 128] },
+  { index: 9, rgb: [192, 192, 192] }
+]
+
+// Standard DXF lineweights in hundredths of a millimetre
+export const DXF_LINEWEIGHTS = [0, 5, 9, 13, 15, 18, 20, 25, 30, 35, 40, 50, 53, 60, 70, 80, 90, 100, 106, 120, 140, 158, 200, 211]
+
+// $INSUNITS codes: label and inches per drawing unit
+export const INSUNITS = {
+  0: { label: 'Unitless (treated as inches)', inchesPerUnit: 1 },
+  1: { label: 'Inches', inchesPerUnit: 1 },
+  2: { label: 'Feet', inchesPerUnit: 12 },
+  4: { label: 'Millimetres', inchesPerUnit: 1 / 25.4 },
+  5: { label: 'Centimetres', inchesPerUnit: 1 / 2.54 },
+  6: { label: 'Metres', inchesPerUnit: 1000 / 25.4 },
+  8: { label: 'Microinches', inchesPerUnit: 1e-6 },
+  9: { label: 'Mils', inchesPerUnit: 1e-3 },
+  10: { label: 'Yards', inchesPerUnit: 36 }
+}
+
+/**
+ * Parse a #RRGGBB color
+ * @param {string} color - Hex color
+ * @returns {Array|null} [r, g, b] or null when not a hex color
+ */
+export const parseHexColor = (color) => {
+  const match = /^#?([0-9a-f]{6})$/i.exec(color || '')
+  if (!match) return null
+  const value = parseInt(match[1], 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+/**
+ * Format [r, g, b] as an upper-case #RRGGBB color
+ * @param {Array} rgb - [r, g, b]
+ * @returns {string} Hex color
+ */
+export const rgbToHex = (rgb) => {
+  return '#' + rgb.map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()
+}
@@ -0,0 +1,535 @@
+// ASCII DXF exporter for cadStore.vectorObjects
+//
+// Output is an AutoCAD 2000 (AC1015) DXF, which CNC nesting, CAM and CAD
+// packages read: every table, record, block and entity has a handle
+// (group 5) and its owner's handle (330), with $HANDSEED one past the last,
+// and carries its subclass markers (100). Beside the linetypes and layers,
+// the tables hold the records R2000 readers expect (ByBlock/ByLayer
+// linetypes, layer 0, the Standard text and dimension styles, the ACAD
+// application and the model and paper space block records), and the
+// OBJECTS section the root dictionary. Entities are owned by *Model_Space.
+// World pixels (96 px per inch, Y down) become real inches or millimetres
+// with Y up, as DXF expects.
+//
+// Object mapping:
+//   line      -> LINE
+//   rectangle -> closed LWPOLYLINE
+//   polyline  -> LWPOLYLINE (closed flag, bulges with their sign flipped for Y up)
+//   circle    -> CIRCLE
+//   arc       -> ARC
+//   ellipse   -> ELLIPSE (full or elliptical arc)
+//   dimension -> exploded geometry (LINE extension/dimension lines, ARC for
+//                angular dimensions, LWPOLYLINE terminators and a TEXT value),
+//                so it looks the same in every reader without needing
+//                dimension blocks
+//
+// Dimensions are drawn with their style (see dimension-styles.js) as the
+// canvas draws them at 100% zoom: the style's paper sizes become real
+// sizes, and the text is formatted in the document units.
+//
+// Layers become the LAYER table (off layers get a negative color, frozen and
+// locked layers their flags) and every entity is placed on its object's
+// layer. ByLayer colors and widths are written as DXF's BYLAYER values
+// (color 256, lineweight -1), and ByLayer linetypes as BYLAYER.
+//
+// The LTYPE table defines every library linetype (see linetypes.js); the
+// patterns are in inches, so they are converted to the export units, and
+// the global linetype scale becomes $LTSCALE.
+
+import {
+  estimateTextWidth,
+  getDimensionGeometry,
+  getDimensionTerminator,
+  getDimensionTextPlacement,
+  getRectangleCorners
+} from './drawing-utils.js'
+import { DEFAULT_DIM_STYLE, findDimStyle, formatDimensionText } from './dimension-styles.js'
+import { inchesToPixels, pixelsToInches, pixelsToMillimetres } from './units.js'
+import { ACI_COLORS, DXF_LINEWEIGHTS, parseHexColor } from './dxf-common.js'
+import { BYLAYER, DEFAULT_LAYER, DEFAULT_LAYER_NAME } from './layers.js'
+import { DEFAULT_LINETYPE, LINETYPES } from './linetypes.js'
+import { getCurveSweep, normalizeAngle } from './curve-utils.js'
+
+// Export units: label for the UI, $INSUNITS code and units per inch
+export const DXF_UNITS = {
+  in: { label: 'Inches', insunits: 1, perInch: 1, precision: 4 },
+  mm: { label: 'Millimetres', insunits: 4, perInch: 25.4, precision: 3 }
+}
+
+// DXF color and lineweight values meaning "use the layer's"
+const DXF_COLOR_BYLAYER = 256
+const DXF_LINEWEIGHT_BYLAYER = -1
+
+// LAYER flag bits (group 70)
+const LAYER_FROZEN = 1
+const LAYER_LOCKED = 4
+
+/**
+ * Make a layer name valid in DXF, which forbids some punctuation
+ * @param {string} name - Layer name
+ * @returns {string} Name with forbidden characters replaced by '_'
+ */
+export const layerNameToDXF = (name) => (name || DEFAULT_LAYER_NAME).replace(/[<>/\\":;?*|=,`]/g, '_')
+
+/**
+ * Map a hex color to the nearest ACI color
+ * @param {string} color - Hex color
+ * @returns {Object} { aci, trueColor } where trueColor is the 24-bit value
+ *   (group 420) when the color is not an exact ACI match, otherwise null
+ */
+export const colorToDXF = (color) => {
+  const rgb = parseHexColor(color)
+  if (!rgb) return { aci: 7, trueColor: null }
+
+  let best = ACI_COLORS[0]
+  let bestDistance = Infinity
+  ACI_COLORS.forEach(candidate => {
+    const distance = candidate.rgb.reduce((sum, channel, i) => sum + Math.pow(channel - rgb[i], 2), 0)
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  })
+
+  return {
+    aci: best.index,
+    trueColor: bestDistance === 0 ? null : (rgb[0] << 16) + (rgb[1] << 8) + rgb[2]
+  }
+}
+
+/**
+ * Map a screen line width in pixels to the nearest standard DXF lineweight
+ * @param {number} lineWidth - Line width in pixels (96 px per inch)
+ * @returns {number} Lineweight in hundredths of a millimetre
+ */
+export const lineWidthToDXF = (lineWidth) => {
+  const hundredthsMm = pixelsToMillimetres(lineWidth || 0) * 100
+  return DXF_LINEWEIGHTS.reduce((best, weight) =>
+    Math.abs(weight - hundredthsMm) < Math.abs(best - hundredthsMm) ? weight : best
+  , DXF_LINEWEIGHTS[0])
+}
+
+/**
+ * Create a DXF writer collecting group code/value pairs
+ * @param {Object} unit - Entry from DXF_UNITS
+ * @param {Object} handles - Handle counter { next } shared with other
+ *   writers of the same file
+ * @returns {Object} Writer with pair(), point(), length(), handle() and
+ *   toString(), and owner: the handle entities are written as owned by
+ */
+const createWriter = (unit, handles = { next: 1 }) => {
+  const lines = []
+  const formatNumber = (value) => {
+    const rounded = Number(value.toFixed(unit.precision))
+    // Avoid "-0" in the output
+    return String(rounded === 0 ? 0 : rounded)
+  }
+
+  return {
+    pair(code, value) {
+      lines.push(String(code), typeof value === 'number' ? formatNumber(value) : String(value))
+    },
+    // Write a world-pixel point as DXF X/Y/Z groups (base code 10, 11, ...)
+    point(baseCode, point) {
+      this.pair(baseCode, pixelsToInches(point.x) * unit.perInch)
+      this.pair(baseCode + 10, -pixelsToInches(point.y) * unit.perInch)
+      this.pair(baseCode + 20, 0)
+    },
+    // Convert a world-pixel length to export units
+    length(pixels) {
+      return pixelsToInches(pixels) * unit.perInch
+    },
+    // Take the next free handle, as DXF's hexadecimal string
+    handle() {
+      return (handles.next++).toString(16).toUpperCase()
+    },
+    owner: '0',
+    toString() {
+      return lines.join('\n') + '\n'
+    }
+  }
+}
+
+/**
+ * Start a table, record, block or object: its type, handle, owner handle
+ * and subclass markers
+ * @param {Object} writer - DXF writer
+ * @param {string} type - Entity or object type
+ * @param {string} owner - Owner handle ('0' for none)
+ * @param {Array} subclasses - Subclass marker names
+ * @param {Object} options - { handle, handleCode }: a handle taken
+ *   beforehand, and the group it is written in (DIMSTYLE uses 105)
+ * @returns {string} The handle
+ */
+const writeStart = (writer, type, owner, subclasses, { handle = writer.handle(), handleCode = 5 } = {}) => {
+  writer.pair(0, type)
+  writer.pair(handleCode, handle)
+  writer.pair(330, owner)
+  subclasses.forEach(subclass => writer.pair(100, subclass))
+  return handle
+}
+
+/**
+ * Write the common entity groups: type, handle, layer, color and
+ * lineweight
+ * @param {Object} writer - DXF writer
+ * @param {string} type - Entity type
+ * @param {Object} object - Source vector object
+ */
+const writeEntityHeader = (writer, type, object) => {
+  writeStart(writer, type, writer.owner, ['AcDbEntity'])
+  writer.pair(8, layerNameToDXF(object.layer))
+  if (object.color === BYLAYER) {
+    writer.pair(62, DXF_COLOR_BYLAYER)
+  } else {
+    const color = colorToDXF(object.color)
+    writer.pair(62, color.aci)
+    if (color.trueColor !== null) {
+      writer.pair(420, color.trueColor)
+    }
+  }
+  writer.pair(370, object.lineWidth === BYLAYER ? DXF_LINEWEIGHT_BYLAYER : lineWidthToDXF(object.lineWidth))
+  // Dimensions are exploded into continuous lines
+  if (object.type === 'dimension') {
+    writer.pair(6, DEFAULT_LINETYPE.toUpperCase())
+  } else {
+    writer.pair(6, (object.linetype || BYLAYER).toUpperCase())
+    if (object.linetypeScale && object.linetypeScale !== 1) {
+      writer.pair(48, object.linetypeScale)
+    }
+  }
+}
+
+// Write a symbol table with its records, which it owns; a table's name
+// comes before its handle, and the DIMSTYLE table has a subclass of its own
+const writeTable = (writer, name, records, writeRecord = () => {}, subclass = null) => {
+  const handle = writer.handle()
+  writer.pair(0, 'TABLE')
+  writer.pair(2, name)
+  writer.pair(5, handle)
+  writer.pair(330, '0')
+  writer.pair(100, 'AcDbSymbolTable')
+  writer.pair(70, records.length)
+  if (subclass) {
+    writer.pair(100, subclass)
+    writer.pair(71, records.length)
+  }
+  records.forEach(record => writeRecord(record, handle))
+  writer.pair(0, 'ENDTAB')
+}
+
+// One LTYPE table record; pattern lengths go from inches to export units
+const writeLinetype = (writer, name, linetype, unit, owner) => {
+  const pattern = linetype.pattern.map(length => length * unit.perInch)
+  writeStart(writer, 'LTYPE', owner, ['AcDbSymbolTableRecord', 'AcDbLinetypeTableRecord'])
+  writer.pair(2, name.toUpperCase())
+  writer.pair(70, 0)
+  writer.pair(3, linetype.description)
+  writer.pair(72, 65)
+  writer.pair(73, pattern.length)
+  writer.pair(40, pattern.reduce((sum, length) => sum + Math.abs(length), 0))
+  pattern.forEach(length => {
+    writer.pair(49, length)
+    writer.pair(74, 0)
+  })
+}
+
+// One LAYER table record
+const writeLayer = (writer, layer, owner) => {
+  const color = colorToDXF(layer.color)
+  writeStart(writer, 'LAYER', owner, ['AcDbSymbolTableRecord', 'AcDbLayerTableRecord'])
+  writer.pair(2, layerNameToDXF(layer.name))
+  writer.pair(70, (layer.frozen ? LAYER_FROZEN : 0) | (layer.locked ? LAYER_LOCKED : 0))
+  // A negative color number turns the layer off
+  writer.pair(62, layer.on ? color.aci : -color.aci)
+  if (color.trueColor !== null) {
+    writer.pair(420, color.trueColor)
+  }
+  writer.pair(6, (layer.linetype || DEFAULT_LINETYPE).toUpperCase())
+  writer.pair(370, lineWidthToDXF(layer.lineWidth))
+}
+
+const writeLine = (writer, object, start, end) => {
+  writeEntityHeader(writer, 'LINE', object)
+  writer.pair(100, 'AcDbLine')
+  writer.point(10, start)
+  writer.point(11, end)
+}
+
+const writeLWPolyline = (writer, object, points, closed) => {
+  writeEntityHeader(writer, 'LWPOLYLINE', object)
+  writer.pair(100, 'AcDbPolyline')
+  writer.pair(90, points.length)
+  writer.pair(70, closed ? 1 : 0)
+  points.forEach(point => {
+    writer.pair(10, writer.length(point.x))
+    writer.pair(20, -writer.length(point.y))
+    if (point.bulge) {
+      // Bulges have no units, so they keep more places than coordinates
+      writer.pair(42, String(Number((-point.bulge).toFixed(8))))
+    }
+  })
+}
+
+const writeCircle = (writer, object) => {
+  writeEntityHeader(writer, 'CIRCLE', object)
+  writer.pair(100, 'AcDbCircle')
+  writer.point(10, { x: object.x, y: object.y })
+  writer.pair(40, writer.length(object.radius))
+}
+
+// Arc sweeping clockwise on screen (Y down) from startAngle to endAngle;
+// with Y up that is counter-clockwise from -endAngle to -startAngle
+const writeArc = (writer, object, arc) => {
+  writeEntityHeader(writer, 'ARC', object)
+  writer.pair(100, 'AcDbCircle')
+  writer.point(10, arc.center)
+  writer.pair(40, writer.length(arc.radius))
+  writer.pair(100, 'AcDbArc')
+  writer.pair(50, -arc.endAngle * 180 / Math.PI)
+  writer.pair(51, -arc.startAngle * 180 / Math.PI)
+}
+
+// Ellipse parameters run the other way with Y up, like arc angles; the
+// major axis endpoint (group 11) is relative to the center. Ratio and
+// parameters keep more decimals than coordinates, as bulges do.
+const writeEllipse = (writer, object) => {
+  const startAngle = normalizeAngle(-object.endAngle)
+  writeEntityHeader(writer, 'ELLIPSE', object)
+  writer.pair(100, 'AcDbEllipse')
+  writer.point(10, { x: object.x, y: object.y })
+  writer.point(11, object.majorAxis)
+  writer.pair(40, String(Number(object.ratio.toFixed(8))))
+  writer.pair(41, String(Number(startAngle.toFixed(8))))
+  writer.pair(42, String(Number((startAngle + getCurveSweep(object)).toFixed(8))))
+}
+
+const writeText = (writer, object, position, height, text, angle) => {
+  writeEntityHeader(writer, 'TEXT', object)
+  writer.pair(100, 'AcDbText')
+  writer.point(10, position)
+  writer.pair(40, height)
+  writer.pair(1, text)
+  // DXF angles are counter-clockwise with Y up
+  writer.pair(50, -angle * 180 / Math.PI)
+  // Middle-center justification around the alignment point
+  writer.pair(72, 1)
+  writer.point(11, position)
+  // The vertical alignment is in a second AcDbText subclass
+  writer.pair(100, 'AcDbText')
+  writer.pair(73, 2)
+}
+
+// Filled dot terminator: a closed two-vertex LWPOLYLINE of half-circle
+// bulges as wide as the dot's radius (AutoCAD's DONUT with no hole)
+const writeDot = (writer, object, dot) => {
+  writeEntityHeader(writer, 'LWPOLYLINE', object)
+  writer.pair(100, 'AcDbPolyline')
+  writer.pair(90, 2)
+  writer.pair(70, 1)
+  writer.pair(43, writer.length(dot.radius))
+  ;[-1, 1].forEach(side => {
+    writer.pair(10, writer.length(dot.center.x + side * dot.radius / 2))
+    writer.pair(20, -writer.length(dot.center.y))
+    writer.pair(42, 1)
+  })
+}
+
+// Returns false when the dimension has no geometry to write
+const writeDimension = (writer, object, dimensionFormat) => {
+  const style = findDimStyle(dimensionFormat.styles, object.style)
+  const geometry = getDimensionGeometry(object, {
+    extensionOffset: inchesToPixels(style.extensionOffset),
+    extensionBeyond: inchesToPixels(style.extensionBeyond),
+    aligned: style.textPlacement === 'aligned'
+  })
+  if (!geometry) return false
+
+  geometry.extensionLines.concat(geometry.dimensionLines).forEach(line => {
+    writeLine(writer, object, line.start, line.end)
+  })
+  geometry.arcs.forEach(arc => writeArc(writer, object, arc))
+
+  geometry.arrows.forEach(arrow => {
+    const { paths, dot } = getDimensionTerminator(arrow.tip, arrow.angle, style.terminator, inchesToPixels(style.arrowSize))
+    paths.forEach(path => writeLWPolyline(writer, object, path, false))
+    if (dot) writeDot(writer, object, dot)
+  })
+
+  const text = formatDimensionText(geometry.value, style, dimensionFormat, object.dimType)
+  const textHeight = inchesToPixels(style.textHeight)
+  const placed = getDimensionTextPlacement(geometry.text, style.textPlacement, textHeight, estimateTextWidth(text, textHeight))
+  writeText(
+    writer,
+    object,
+    placed.position,
+    writer.length(textHeight),
+    // DXF text writes the degree and diameter symbols as control codes
+    text.replace(/\u00B0/g, '%%d').replace(/\u00D8/g, '%%c'),
+    placed.angle
+  )
+  return true
+}
+
+/**
+ * Export vector objects as an ASCII DXF document
+ * @param {Array} vectorObjects - cadStore.vectorObjects
+ * @param {Object} options - { units: 'in' | 'mm', layers: cadStore.layers,
+ *   linetypeScale: cadStore.linetypeScale, dimensionFormat:
+ *   cadStore.dimensionFormat (document units and dimension styles) }
+ * @returns {Object} { dxf: file contents, skipped: { type: count } of the
+ *   objects that could not be written }
+ */
+export const exportDXF = (vectorObjects, { units = 'in', layers = [DEFAULT_LAYER], linetypeScale = 1, dimensionFormat = {} } = {}) => {
+  const unit = DXF_UNITS[units] || DXF_UNITS.in
+  // The header is written last, once $HANDSEED is known, and goes first
+  const handles = { next: 1 }
+  const header = createWriter(unit, handles)
+  const writer = createWriter(unit, handles)
+
+  writer.pair(0, 'SECTION')
+  writer.pair(2, 'CLASSES')
+  writer.pair(0, 'ENDSEC')
+
+  // TABLES: the linetype library and the document's layers, beside the
+  // records every R2000 drawing has
+  writer.pair(0, 'SECTION')
+  writer.pair(2, 'TABLES')
+  writeTable(writer, 'VPORT', [])
+  const linetypes = [
+    ['ByBlock', { description: '', pattern: [] }],
+    ['ByLayer', { description: '', pattern: [] }],
+    ...Object.entries(LINETYPES)
+  ]
+  writeTable(writer, 'LTYPE', linetypes, ([name, linetype], owner) => writeLinetype(writer, name, linetype, unit, owner))
+  const tableLayers = layers.some(layer => layerNameToDXF(layer.name) === DEFAULT_LAYER_NAME)
+    ? layers
+    : [DEFAULT_LAYER, ...layers]
+  writeTable(writer, 'LAYER', tableLayers, (layer, owner) => writeLayer(writer, layer, owner))
+  writeTable(writer, 'STYLE', ['Standard'], (name, owner) => {
+    writeStart(writer, 'STYLE', owner, ['AcDbSymbolTableRecord', 'AcDbTextStyleTableRecord'])
+    writer.pair(2, name)
+    writer.pair(70, 0)
+    writer.pair(40, 0)
+    writer.pair(41, 1)
+    writer.pair(50, 0)
+    writer.pair(71, 0)
+    writer.pair(42, DEFAULT_DIM_STYLE.textHeight * unit.perInch)
+    writer.pair(3, 'txt')
+    writer.pair(4, '')
+  })
+  writeTable(writer, 'VIEW', [])
+  writeTable(writer, 'UCS', [])
+  writeTable(writer, 'APPID', ['ACAD'], (name, owner) => {
+    writeStart(writer, 'APPID', owner, ['AcDbSymbolTableRecord', 'AcDbRegAppTableRecord'])
+    writer.pair(2, name)
+    writer.pair(70, 0)
+  })
+  writeTable(writer, 'DIMSTYLE', ['Standard'], (name, owner) => {
+    writeStart(writer, 'DIMSTYLE', owner, ['AcDbSymbolTableRecord', 'AcDbDimStyleTableRecord'], { handleCode: 105 })
+    writer.pair(2, name)
+    writer.pair(70, 0)
+  }, 'AcDbDimStyleTable')
+  const blockRecords = {}
+  writeTable(writer, 'BLOCK_RECORD', ['*Model_Space', '*Paper_Space'], (name, owner) => {
+    blockRecords[name] = writeStart(writer, 'BLOCK_RECORD', owner, ['AcDbSymbolTableRecord', 'AcDbBlockTableRecord'])
+    writer.pair(2, name)
+  })
+  writer.pair(0, 'ENDSEC')
+
+  // BLOCKS: the empty model and paper space blocks
+  writer.pair(0, 'SECTION')
+  writer.pair(2, 'BLOCKS')
+  Object.entries(blockRecords).forEach(([name, owner]) => {
+    const paperSpace = name === '*Paper_Space'
+    writeStart(writer, 'BLOCK', owner, ['AcDbEntity'])
+    if (paperSpace) writer.pair(67, 1)
+    writer.pair(8, DEFAULT_LAYER_NAME)
+    writer.pair(100, 'AcDbBlockBegin')
+    writer.pair(2, name)
+    writer.pair(70, 0)
+    writer.point(10, { x: 0, y: 0 })
+    writer.pair(3, name)
+    writer.pair(1, '')
+    writeStart(writer, 'ENDBLK', owner, ['AcDbEntity'])
+    if (paperSpace) writer.pair(67, 1)
+    writer.pair(8, DEFAULT_LAYER_NAME)
+    writer.pair(100, 'AcDbBlockEnd')
+  })
+  writer.pair(0, 'ENDSEC')
+
+  // ENTITIES, in model space. Objects left out are counted by type for the
+  // caller to report.
+  const skipped = {}
+  const skip = (type) => {
+    skipped[type] = (skipped[type] || 0) + 1
+  }
+  writer.owner = blockRecords['*Model_Space']
+  writer.pair(0, 'SECTION')
+  writer.pair(2, 'ENTITIES')
+  vectorObjects.forEach(object => {
+    switch (object.type) {
+      case 'line':
+        writeLine(writer, object, object.start, object.end)
+        break
+      case 'rectangle':
+        writeLWPolyline(writer, object, getRectangleCorners(object), true)
+        break
+      case 'polyline':
+        writeLWPolyline(writer, object, object.points, !!object.closed)
+        break
+      case 'circle':
+        writeCircle(writer, object)
+        break
+      case 'arc':
+        writeArc(writer, object, {
+          center: { x: object.x, y: object.y },
+          radius: object.radius,
+          startAngle: object.startAngle,
+          endAngle: object.startAngle + getCurveSweep(object)
+        })
+        break
+      case 'ellipse':
+        writeEllipse(writer, object)
+        break
+      case 'dimension':
+        if (!writeDimension(writer, object, dimensionFormat)) skip(object.type)
+        break
+      default:
+        skip(object.type)
+    }
+  })
+  writer.pair(0, 'ENDSEC')
+
+  // OBJECTS: the root dictionary and the group dictionary it names
+  const rootDictionary = writer.handle()
+  const groupDictionary = writer.handle()
+  writer.pair(0, 'SECTION')
+  writer.pair(2, 'OBJECTS')
+  writeStart(writer, 'DICTIONARY', '0', ['AcDbDictionary'], { handle: rootDictionary })
+  writer.pair(281, 1)
+  writer.pair(3, 'ACAD_GROUP')
+  writer.pair(350, groupDictionary)
+  writeStart(writer, 'DICTIONARY', rootDictionary, ['AcDbDictionary'], { handle: groupDictionary })
+  writer.pair(281, 1)
+  writer.pair(0, 'ENDSEC')
+
+  writer.pair(0, 'EOF')
+
+  // HEADER: the version, the next free handle, drawing units so importers
+  // scale correctly, and the global linetype scale
+  header.pair(0, 'SECTION')
+  header.pair(2, 'HEADER')
+  header.pair(9, '$ACADVER')
+  header.pair(1, 'AC1015')
+  header.pair(9, '$HANDSEED')
+  header.pair(5, header.handle())
+  header.pair(9, '$INSUNITS')
+  header.pair(70, unit.insunits)
+  header.pair(9, '$MEASUREMENT')
+  header.pair(70, units === 'mm' ? 1 : 0)
+  header.pair(9, '$LTSCALE')
+  header.pair(40, linetypeScale)
+  header.pair(0, 'ENDSEC')
+  return { dxf: header.toString() + writer.toString(), skipped }
+}
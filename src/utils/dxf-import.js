@@ -0,0 +1,419 @@
+// ASCII DXF importer producing cadStore.vectorObjects entries
+//
+// Supported entities and what they become:
+//   LINE                 -> line
+//   LWPOLYLINE, POLYLINE -> polyline (closed flag and bulge arcs kept; bulges
+//                           change sign with the Y flip)
+//   CIRCLE               -> circle
+//   ARC                  -> arc
+//   ELLIPSE              -> ellipse (full or elliptical arc)
+//   DIMENSION            -> dimension (linear, aligned, 2-line angular, radius
+//                           and diameter, from the definition points)
+// Everything else is counted in the `skipped` summary.
+//
+// LAYER table records become layers (a negative color means off; flags give
+// frozen and locked) and every object keeps its entity's layer. Entity
+// colors, lineweights and linetypes that are BYLAYER, or missing, become
+// ByLayer. Linetypes are matched to the library by name (unknown ones are
+// drawn continuous), and the file's $LTSCALE is folded into each object's
+// linetype scale.
+//
+// Coordinates are scaled from the $INSUNITS drawing units to world pixels
+// (96 px per inch) and Y is flipped, since DXF is Y up and the canvas Y down.
+
+import { inchesToPixels, millimetresToPixels } from './units.js'
+import { ACI_COLORS, INSUNITS, rgbToHex } from './dxf-common.js'
+import { createAngularDimension } from './dimension-utils.js'
+import { BYLAYER, DEFAULT_LAYER, DEFAULT_LAYER_NAME, normalizeLayers } from './layers.js'
+import { DEFAULT_LINETYPE, MIN_LINETYPE_SCALE, MAX_LINETYPE_SCALE, findLinetypeName } from './linetypes.js'
+import { ellipseFromAxes, normalizeAngle } from './curve-utils.js'
+
+// Sweeps smaller than this, in radians, are taken as a whole turn
+const FULL_SWEEP_TOLERANCE = 1e-6
+
+const DEFAULT_COLOR = '#000000'
+const DEFAULT_LINE_WIDTH = 2
+
+// DXF color number meaning "use the layer's"
+const DXF_COLOR_BYLAYER = 256
+
+/**
+ * Split DXF text into [code, value] group pairs
+ * @param {string} text - DXF file contents
+ * @returns {Array} Group pairs [[code, value], ...]
+ */
+const readGroups = (text) => {
+  const lines = text.split(/\r?\n/)
+  const groups = []
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10)
+    if (isNaN(code)) {
+      throw new Error(`Invalid group code "${lines[i].trim()}" on line ${i + 1}`)
+    }
+    groups.push([code, lines[i + 1].trim()])
+  }
+  return groups
+}
+
+/**
+ * Collect the groups of each section by name
+ * @param {Array} groups - Group pairs
+ * @returns {Object} { HEADER: [...], ENTITIES: [...], ... }
+ */
+const readSections = (groups) => {
+  const sections = {}
+  let current = null
+  for (let i = 0; i < groups.length; i++) {
+    const [code, value] = groups[i]
+    if (code === 0 && value === 'SECTION' && groups[i + 1]?.[0] === 2) {
+      current = groups[i + 1][1]
+      sections[current] = []
+      i++
+    } else if (code === 0 && value === 'ENDSEC') {
+      current = null
+    } else if (current) {
+      sections[current].push(groups[i])
+    }
+  }
+  return sections
+}
+
+/**
+ * Group entity section pairs into entities, attaching POLYLINE vertices
+ * @param {Array} groups - ENTITIES section group pairs
+ * @returns {Array} Entities { type, groups, vertices? }
+ */
+const readEntities = (groups) => {
+  const entities = []
+  let polyline = null
+  // Entity (or vertex) that following non-zero groups belong to
+  let current = null
+  groups.forEach(([code, value]) => {
+    if (code !== 0) {
+      if (current) current.groups.push([code, value])
+      return
+    }
+
+    current = { type: value, groups: [] }
+    if (value === 'VERTEX' && polyline) {
+      polyline.vertices.push(current)
+    } else if (value === 'SEQEND' && polyline) {
+      polyline = null
+    } else {
+      if (value === 'POLYLINE') {
+        current.vertices = []
+        polyline = current
+      } else {
+        polyline = null
+      }
+      entities.push(current)
+    }
+  })
+  return entities
+}
+
+// First value of a group code as a number, or a fallback
+const numberGroup = (entity, code, fallback = 0) => {
+  const group = entity.groups.find(([groupCode]) => groupCode === code)
+  const value = group ? parseFloat(group[1]) : NaN
+  return isNaN(value) ? fallback : value
+}
+
+/**
+ * Read the $INSUNITS header variable
+ * @param {Array} headerGroups - HEADER section group pairs
+ * @returns {number} INSUNITS code (0 when missing)
+ */
+const readInsUnits = (headerGroups = []) => {
+  const index = headerGroups.findIndex(([code, value]) => code === 9 && value === '$INSUNITS')
+  if (index < 0) return 0
+  const value = parseInt(headerGroups[index + 1]?.[1], 10)
+  return isNaN(value) ? 0 : value
+}
+
+/**
+ * Read the $LTSCALE header variable (global linetype scale)
+ * @param {Array} headerGroups - HEADER section group pairs
+ * @returns {number} Linetype scale (1 when missing or not positive)
+ */
+const readLtScale = (headerGroups = []) => {
+  const index = headerGroups.findIndex(([code, value]) => code === 9 && value === '$LTSCALE')
+  if (index < 0) return 1
+  const value = parseFloat(headerGroups[index + 1]?.[1])
+  return isNaN(value) || value <= 0 ? 1 : value
+}
+
+// First value of a group code as a string, or a fallback
+const stringGroup = (entity, code, fallback = '') => {
+  const group = entity.groups.find(([groupCode]) => groupCode === code)
+  return group && group[1] ? group[1] : fallback
+}
+
+/**
+ * Map DXF color groups (62 ACI, 420 true color) to a hex color
+ * @param {Object} entity - Entity or LAYER record with groups
+ * @returns {string} Hex color, or BYLAYER for entities using their layer's
+ */
+const readColor = (entity) => {
+  const trueColor = entity.groups.find(([code]) => code === 420)
+  if (trueColor) {
+    const value = parseInt(trueColor[1], 10)
+    return rgbToHex([(value >> 16) & 255, (value >> 8) & 255, value & 255])
+  }
+  // Layer records use the sign of the color to turn the layer off
+  const aci = Math.abs(numberGroup(entity, 62, DXF_COLOR_BYLAYER))
+  if (aci === DXF_COLOR_BYLAYER) return BYLAYER
+  const match = ACI_COLORS.find(color => color.index === aci)
+  // ByBlock and colors outside the base table fall back to black
+  return match ? rgbToHex(match.rgb) : DEFAULT_COLOR
+}
+
+/**
+ * Map the 370 lineweight (hundredths of a millimetre) to a pixel line width
+ * @param {Object} entity - Entity with groups
+ * @returns {number|string} Line width in pixels, or BYLAYER
+ */
+const readLineWidth = (entity) => {
+  const lineweight = numberGroup(entity, 370, -1)
+  // -1 is ByLayer (the default); -2 ByBlock and -3 Default are not supported
+  if (lineweight === -1) return BYLAYER
+  if (lineweight < 0) return DEFAULT_LINE_WIDTH
+  return Math.max(1, Math.round(millimetresToPixels(lineweight / 100)))
+}
+
+/**
+ * Map the group 6 linetype name to a library linetype
+ * @param {Object} entity - Entity or LAYER record with groups
+ * @returns {string} Library linetype name, or BYLAYER for entities using their layer's
+ */
+const readLinetype = (entity) => {
+  const name = stringGroup(entity, 6, BYLAYER)
+  // ByBlock is not supported and is treated like ByLayer
+  if (['BYLAYER', 'BYBLOCK'].includes(name.toUpperCase())) return BYLAYER
+  return findLinetypeName(name) || DEFAULT_LINETYPE
+}
+
+/**
+ * Read the LAYER records of the TABLES section
+ * @param {Array} tableGroups - TABLES section group pairs
+ * @returns {Array} Layers (see utils/layers.js)
+ */
+const readLayers = (tableGroups = []) => {
+  return readEntities(tableGroups)
+    .filter(record => record.type === 'LAYER')
+    .map(record => {
+      const flags = numberGroup(record, 70)
+      const color = readColor(record)
+      const lineWidth = readLineWidth(record)
+      const linetype = readLinetype(record)
+      return {
+        name: stringGroup(record, 2, DEFAULT_LAYER_NAME),
+        on: numberGroup(record, 62, 7) >= 0,
+        frozen: (flags & 1) === 1,
+        locked: (flags & 4) === 4,
+        color: color === BYLAYER ? DEFAULT_LAYER.color : color,
+        lineWidth: lineWidth === BYLAYER ? DEFAULT_LAYER.lineWidth : lineWidth,
+        linetype: linetype === BYLAYER ? DEFAULT_LAYER.linetype : linetype
+      }
+    })
+}
+
+/**
+ * Convert a counter-clockwise DXF angle range (Y up) to the clockwise world
+ * range of arcs and ellipses (see curve-utils.js)
+ * @param {number} start - DXF start angle or parameter, radians
+ * @param {number} end - DXF end angle or parameter, radians
+ * @returns {Object} { startAngle, endAngle }
+ */
+const toWorldAngles = (start, end) => {
+  const startAngle = normalizeAngle(-end)
+  // A whole ellipse written with rounded parameters can be left with a
+  // sliver of sweep
+  const sweep = normalizeAngle(end - start)
+  return { startAngle, endAngle: startAngle + (sweep < FULL_SWEEP_TOLERANCE ? 2 * Math.PI : sweep) }
+}
+
+// Read LWPOLYLINE vertices: each 10 starts a vertex, 20/42 complete it
+const readLWPolylineVertices = (entity) => {
+  const vertices = []
+  entity.groups.forEach(([code, value]) => {
+    if (code === 10) {
+      vertices.push({ x: parseFloat(value), y: 0, bulge: 0 })
+    } else if (vertices.length > 0 && code === 20) {
+      vertices[vertices.length - 1].y = parseFloat(value)
+    } else if (vertices.length > 0 && code === 42) {
+      vertices[vertices.length - 1].bulge = parseFloat(value)
+    }
+  })
+  return vertices
+}
+
+/**
+ * Import DXF text as vector objects
+ * @param {string} text - DXF file contents
+ * @returns {Object} { objects, layers, skipped: { TYPE: count }, units: label }
+ * @throws {Error} When the file is not a readable ASCII DXF
+ */
+export const importDXF = (text) => {
+  const sections = readSections(readGroups(text))
+  if (!sections.ENTITIES) {
+    throw new Error('No ENTITIES section found (binary DXF is not supported)')
+  }
+
+  const insunits = readInsUnits(sections.HEADER)
+  const unit = INSUNITS[insunits] || INSUNITS[0]
+  const scale = inchesToPixels(unit.inchesPerUnit)
+  const ltScale = readLtScale(sections.HEADER)
+
+  // DXF point (Y up, drawing units) to world point (Y down, pixels)
+  const toWorld = (point) => ({ x: point.x * scale, y: -point.y * scale })
+  const groupPoint = (entity, code) => ({ x: numberGroup(entity, code), y: numberGroup(entity, code + 10) })
+
+  const objects = []
+  const skipped = {}
+  const skip = (type) => {
+    skipped[type] = (skipped[type] || 0) + 1
+  }
+
+  readEntities(sections.ENTITIES).forEach(entity => {
+    const style = {
+      layer: stringGroup(entity, 8, DEFAULT_LAYER_NAME),
+      color: readColor(entity),
+      lineWidth: readLineWidth(entity),
+      linetype: readLinetype(entity),
+      linetypeScale: Math.max(MIN_LINETYPE_SCALE, Math.min(numberGroup(entity, 48, 1) * ltScale, MAX_LINETYPE_SCALE))
+    }
+    // Points in DXF units, with DXF bulges (counter-clockwise positive, Y up)
+    const addPolyline = (points, closed = false) => {
+      if (points.length < 2) {
+        skip(entity.type)
+        return
+      }
+      const worldPoints = points.map(point => point.bulge ? { ...toWorld(point), bulge: -point.bulge } : toWorld(point))
+      objects.push({ type: 'polyline', points: worldPoints, closed, ...style })
+    }
+
+    switch (entity.type) {
+      case 'LINE':
+        objects.push({ type: 'line', start: toWorld(groupPoint(entity, 10)), end: toWorld(groupPoint(entity, 11)), ...style })
+        break
+      case 'LWPOLYLINE': {
+        const closed = (numberGroup(entity, 70) & 1) === 1
+        addPolyline(readLWPolylineVertices(entity), closed)
+        break
+      }
+      case 'POLYLINE': {
+        const flags = numberGroup(entity, 70)
+        // 16 = polygon mesh, 64 = polyface mesh: not 2D outlines
+        if (flags & (16 | 64)) {
+          skip('POLYLINE (mesh)')
+          break
+        }
+        const vertices = entity.vertices.map(vertex => ({
+          ...groupPoint(vertex, 10),
+          bulge: numberGroup(vertex, 42)
+        }))
+        addPolyline(vertices, (flags & 1) === 1)
+        break
+      }
+      case 'CIRCLE': {
+        const radius = numberGroup(entity, 40) * scale
+        if (radius <= 0) {
+          skip(entity.type)
+          break
+        }
+        const center = toWorld(groupPoint(entity, 10))
+        objects.push({ type: 'circle', x: center.x, y: center.y, radius, filled: false, ...style })
+        break
+      }
+      case 'ARC': {
+        const radius = numberGroup(entity, 40) * scale
+        if (radius <= 0) {
+          skip(entity.type)
+          break
+        }
+        const center = toWorld(groupPoint(entity, 10))
+        const angles = toWorldAngles(numberGroup(entity, 50) * Math.PI / 180, numberGroup(entity, 51) * Math.PI / 180)
+        objects.push({ type: 'arc', x: center.x, y: center.y, radius, ...angles, ...style })
+        break
+      }
+      case 'ELLIPSE': {
+        // The major axis endpoint (11) is relative to the center; the
+        // parameters (41, 42) default to a full ellipse
+        const axis = groupPoint(entity, 11)
+        const majorAxis = { x: axis.x * scale, y: -axis.y * scale }
+        const angles = toWorldAngles(numberGroup(entity, 41), numberGroup(entity, 42, 2 * Math.PI))
+        const ellipse = ellipseFromAxes(
+          toWorld(groupPoint(entity, 10)),
+          majorAxis,
+          Math.hypot(majorAxis.x, majorAxis.y) * numberGroup(entity, 40, 1),
+          angles.startAngle,
+          angles.endAngle
+        )
+        if (!ellipse) {
+          skip(entity.type)
+          break
+        }
+        objects.push({ type: 'ellipse', ...ellipse, ...style })
+        break
+      }
+      case 'DIMENSION': {
+        // Low 3 bits of group 70 give the dimension type
+        const dimensionType = numberGroup(entity, 70) & 7
+        const point = (code) => toWorld(groupPoint(entity, code))
+        let fields = null
+        if (dimensionType === 0) {
+          // Rotated, horizontal or vertical; DXF angles are CCW with Y up
+          fields = {
+            dimType: 'linear',
+            angle: -numberGroup(entity, 50) * Math.PI / 180,
+            point1: point(13),
+            point2: point(14),
+            dimensionLinePos: point(10)
+          }
+        } else if (dimensionType === 1) {
+          fields = { dimType: 'aligned', point1: point(13), point2: point(14), dimensionLinePos: point(10) }
+        } else if (dimensionType === 2) {
+          // Two lines (13-14 and 10-15) and a point on the arc (16)
+          fields = createAngularDimension({ start: point(13), end: point(14) }, { start: point(10), end: point(15) }, point(16))
+          if (!fields) {
+            // Parallel or zero-length lines have no angle to measure
+            skip('DIMENSION (2-line angular, parallel lines)')
+            break
+          }
+        } else if (dimensionType === 3) {
+          // Opposite points on the circle (15 and 10); text at 11
+          const far = point(10)
+          const near = point(15)
+          fields = {
+            dimType: 'diameter',
+            center: { x: (far.x + near.x) / 2, y: (far.y + near.y) / 2 },
+            point1: near,
+            dimensionLinePos: point(11)
+          }
+        } else if (dimensionType === 4) {
+          // Center (10) and a point on the circle (15); text at 11
+          fields = { dimType: 'radius', center: point(10), point1: point(15), dimensionLinePos: point(11) }
+        }
+        if (!fields) {
+          skip('DIMENSION (3-point angular/ordinate)')
+          break
+        }
+        objects.push({ type: 'dimension', ...fields, ...style })
+        break
+      }
+      default:
+        skip(entity.type)
+    }
+  })
+
+  // Layers from the table, plus any that entities use without a record
+  const layers = readLayers(sections.TABLES)
+  objects.forEach(object => {
+    if (!layers.some(layer => layer.name === object.layer)) {
+      layers.push({ name: object.layer })
+    }
+  })
+
+  return { objects, layers: normalizeLayers(layers), skipped, units: unit.label }
+}
@@ -0,0 +1,87 @@
+// Browser file helpers used by save/open, import and export actions.
+// Everything stays local: files are written through a download link and
+// read through a file input, no server involved.
+
+/**
+ * Make sure a file name ends with the given extension
+ * @param {string} filename - File name typed by the user
+ * @param {string} extension - Extension including the dot, e.g. '.bcad'
+ * @returns {string} File name with the extension
+ */
+export const ensureExtension = (filename, extension) => {
+  const name = (filename || '').trim() || 'Untitled'
+  return name.toLowerCase().endsWith(extension.toLowerCase()) ? name : name + extension
+}
+
+/**
+ * Offer a Blob to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.style.display = 'none'
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadTextFile = (filename, text, mimeType = 'text/plain') => {
+  downloadBlob(filename, new Blob([text], { type: mimeType }))
+}
+
+/**
+ * Ask the user to pick a single file
+ * @param {string} accept - Accept filter for the file input, e.g. '.bcad,.json'
+ * @returns {Promise<File|null>} Picked file, or null when the picker was cancelled
+ */
+export const pickFile = (accept = '') => {
+  return new Promise((resolve) => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = accept
+    input.addEventListener('change', () => {
+      resolve(input.files && input.files.length > 0 ? input.files[0] : null)
+    })
+    input.addEventListener('cancel', () => resolve(null))
+    input.click()
+  })
+}
+
+/**
+ * Read a picked file as text
+ * @param {File} file - File from pickFile() or a file input
+ * @returns {Promise<string>} File contents
+ */
+export const readTextFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`))
+    reader.readAsText(file)
+  })
+}
+
+/**
+ * Describe what an importer or exporter skipped, most frequent first
+ * @param {Object} skipped - { type: count } from importDXF()/importSVG() or
+ *   exportDXF()/exportSVG()
+ * @returns {string} e.g. "3 TEXT, 1 HATCH", or '' when nothing was skipped
+ */
+export const formatSkippedSummary = (skipped) => {
+  return Object.entries(skipped)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, count]) => `${count} ${type}`)
+    .join(', ')
+}
@@ -0,0 +1,307 @@
+// Rounded and bevelled corners (FILLET, CHAMFER)
+//
+// A corner is where two straight pieces meet: two lines, run on or cut
+// back to where they cross, or two neighbouring straight segments of a
+// polyline or rectangle at their shared vertex. FILLET joins the pieces
+// with an arc of a given radius touching both; CHAMFER with a straight
+// bevel cutting them at two distances from the corner, or at a distance
+// and an angle to the first piece. A radius or distances of zero leave a
+// sharp corner, which brings two lines together where they cross.
+//
+// With trimming on, the pieces are cut back to the arc or bevel, which
+// joins a polyline as a segment (a rectangle becoming a closed polyline);
+// with it off they are left alone and the arc or bevel is a new object.
+//
+// Sizes are { radius } for a fillet, and { distance1, distance2 } or
+// { distance, angle } (radians) for a chamfer.
+
+import { getRectangleCorners } from './drawing-utils.js'
+import { getBulgeArc } from './polyline-utils.js'
+import { normalizeAngle } from './curve-utils.js'
+import { getEdgeLength, getEdgeParameter, getEdgePoint, intersectLines } from './geometry-utils.js'
+import { getObjectEdges } from './trim-utils.js'
+import { getObjectStyle } from './layers.js'
+
+// Points closer than this are the same point, and a piece may be cut back
+// this much further than it reaches (world pixels)
+const POINT_EPSILON = 1e-6
+
+// Corners closer than this to a straight line (radians) are not corners
+const ANGLE_EPSILON = 1e-9
+
+const CORNER_TYPES = ['line', 'rectangle', 'polyline']
+
+const along = (point, direction, distance) => ({
+  x: point.x + direction.x * distance,
+  y: point.y + direction.y * distance
+})
+
+const directionFrom = (from, to) => {
+  const length = Math.hypot(to.x - from.x, to.y - from.y)
+  return { x: (to.x - from.x) / length, y: (to.y - from.y) / length }
+}
+
+const dot = (a, b) => a.x * b.x + a.y * b.y
+
+// A rectangle as the closed polyline it becomes once a corner changes
+const toPolyline = (obj) => {
+  if (obj.type !== 'rectangle') return obj
+  const polyline = { ...obj, type: 'polyline', points: getRectangleCorners(obj), closed: true }
+  delete polyline.x
+  delete polyline.y
+  delete polyline.width
+  delete polyline.height
+  delete polyline.filled
+  return polyline
+}
+
+/**
+ * Check whether an object can take part in a corner
+ * @param {Object} obj - Vector object
+ * @returns {boolean} True for lines, rectangles and polylines
+ */
+export const canCorner = (obj) => CORNER_TYPES.includes(obj?.type)
+
+// Index of the segment of a polyline or rectangle nearest a point, or -1
+// when that segment is an arc
+const pickedSegment = (obj, point) => {
+  const edges = getObjectEdges(obj)
+  let nearest = -1
+  let nearestDistance = Infinity
+  edges.forEach((edge, i) => {
+    if (getEdgeLength(edge) === 0) return
+    const onEdge = getEdgePoint(edge, Math.min(1, Math.max(0, getEdgeParameter(edge, point))))
+    const distance = Math.hypot(point.x - onEdge.x, point.y - onEdge.y)
+    if (distance < nearestDistance) {
+      nearest = i
+      nearestDistance = distance
+    }
+  })
+  return nearest >= 0 && !edges[nearest].center ? nearest : -1
+}
+
+// Corner of a polyline at a vertex, or null when a segment either side is
+// missing (the ends of an open polyline), an arc or of no length, or the
+// vertex is no corner at all
+const polylineCorner = (polyline, index) => {
+  const { points, closed } = polyline
+  const count = points.length
+  if (!closed && (index === 0 || index === count - 1)) return null
+  const previous = points[(index + count - 1) % count]
+  const vertex = points[index]
+  const next = points[(index + 1) % count]
+  if (previous.bulge || vertex.bulge) return null
+  const reach1 = Math.hypot(previous.x - vertex.x, previous.y - vertex.y)
+  const reach2 = Math.hypot(next.x - vertex.x, next.y - vertex.y)
+  if (reach1 <= POINT_EPSILON || reach2 <= POINT_EPSILON) return null
+  const corner = {
+    vertex: { x: vertex.x, y: vertex.y },
+    first: { direction: directionFrom(vertex, previous), reach: reach1, to: previous },
+    second: { direction: directionFrom(vertex, next), reach: reach2, to: next },
+    polyline,
+    index
+  }
+  return Math.PI - cornerAngle(corner) > ANGLE_EPSILON ? corner : null
+}
+
+// Angle between the pieces of a corner, 0 to π
+const cornerAngle = (corner) => Math.acos(Math.min(1, Math.max(-1, dot(corner.first.direction, corner.second.direction))))
+
+/**
+ * Find the corner between two picked objects
+ * @param {Object} first - { obj, point }: a line, or a rectangle or
+ *   polyline with the point on one of its straight segments
+ * @param {Object} second - { obj, point }: another line, or the same
+ *   rectangle or polyline on the neighbouring segment
+ * @returns {Object|null} Corner { vertex, first, second } with the
+ *   direction and reach of each piece from the vertex (the side of a line
+ *   it was picked on), or null when the picks make no corner: parallel
+ *   lines, segments that do not meet, arc segments...
+ */
+export const findCorner = (first, second) => {
+  if (first.obj.type === 'line' && second.obj.type === 'line') {
+    if (first.obj.id === second.obj.id) return null
+    const [vertex] = intersectLines(first.obj, second.obj)
+    if (!vertex) return null
+    const [side1, side2] = [first, second].map(({ obj, point }) => {
+      const direction = directionFrom(obj.start, obj.end)
+      // The part of a line on the side of the crossing it was picked on
+      // is the part kept
+      const sign = dot({ x: point.x - vertex.x, y: point.y - vertex.y }, direction) < 0 ? -1 : 1
+      const toward = { x: direction.x * sign, y: direction.y * sign }
+      const reach = Math.max(...[obj.start, obj.end].map(end => dot({ x: end.x - vertex.x, y: end.y - vertex.y }, toward)))
+      return { direction: toward, reach }
+    })
+    if (side1.reach <= POINT_EPSILON || side2.reach <= POINT_EPSILON) return null
+    return { vertex, first: side1, second: side2, lines: [first.obj, second.obj] }
+  }
+
+  if (first.obj.id !== second.obj.id || !['rectangle', 'polyline'].includes(first.obj.type)) return null
+  const polyline = toPolyline(first.obj)
+  const a = pickedSegment(polyline, first.point)
+  const b = pickedSegment(polyline, second.point)
+  if (a < 0 || b < 0) return null
+  // Segment i runs from vertex i to the next one
+  const count = polyline.points.length
+  if ((a + 1) % count === b) return polylineCorner(polyline, b)
+  if ((b + 1) % count === a) return polylineCorner(polyline, a)
+  return null
+}
+
+// Point a piece of a corner is cut at, the vertex it runs to when it is
+// used up
+const cutPoint = (corner, side, cut) => side.to && cut >= side.reach - POINT_EPSILON
+  ? { x: side.to.x, y: side.to.y }
+  : along(corner.vertex, side.direction, cut)
+
+// How far from the vertex the pieces of a corner are cut back for a size,
+// or null when the size does not fit the angle
+const cutBacks = (corner, size) => {
+  const angle = cornerAngle(corner)
+  if (size.radius !== undefined) {
+    if (size.radius === 0) return [0, 0]
+    if (angle < ANGLE_EPSILON) return null
+    const cut = size.radius / Math.tan(angle / 2)
+    return [cut, cut]
+  }
+  if (size.angle !== undefined) {
+    // Law of sines in the triangle the bevel cuts off: the angle at the
+    // first cut is the chamfer angle
+    if (size.distance === 0) return [0, 0]
+    if (size.angle + angle >= Math.PI) return null
+    return [size.distance, size.distance * Math.sin(size.angle) / Math.sin(angle + size.angle)]
+  }
+  return [size.distance1, size.distance2]
+}
+
+// Bulge of the arc (0 for a bevel) joining a corner's first cut to its
+// second: it turns as the pieces do
+const jointBulge = (corner, size) => {
+  if (size.radius === undefined) return 0
+  const incoming = { x: -corner.first.direction.x, y: -corner.first.direction.y }
+  const outgoing = corner.second.direction
+  const turn = Math.atan2(incoming.x * outgoing.y - incoming.y * outgoing.x, dot(incoming, outgoing))
+  return Math.tan(turn / 4)
+}
+
+// Arc or bevel line joining two cut points, with a source's style, or null
+// when the points meet
+const jointObject = (start, end, bulge, style) => {
+  if (Math.hypot(end.x - start.x, end.y - start.y) <= POINT_EPSILON) return null
+  const arc = getBulgeArc(start, end, bulge)
+  if (!arc) return { type: 'line', ...style, start, end }
+  // Arc objects run the way of increasing angle
+  const startAngle = normalizeAngle(Math.min(arc.startAngle, arc.endAngle))
+  return {
+    type: 'arc',
+    ...style,
+    x: arc.center.x,
+    y: arc.center.y,
+    radius: arc.radius,
+    startAngle,
+    endAngle: startAngle + Math.abs(arc.endAngle - arc.startAngle)
+  }
+}
+
+// Drop vertices left on top of the next one where a corner used up a
+// whole segment
+const dropZeroSegments = (points, closed) => points.filter((point, i) => {
+  const next = points[i + 1] || (closed ? points[0] : null)
+  return !next || !!point.bulge || Math.hypot(next.x - point.x, next.y - point.y) > POINT_EPSILON
+})
+
+// Round or bevel corners of a polyline at some of its vertices. Each
+// corner must leave room for those already made on its segments.
+const cornerVertices = (polyline, indices, size, trim) => {
+  const { points, closed } = polyline
+  const count = points.length
+  const style = getObjectStyle(polyline)
+  // Length cut from the start and end of each segment so far
+  const used = points.map(() => ({ start: 0, end: 0 }))
+  const replaced = points.map(point => [point])
+  const added = []
+  let done = 0
+  let skipped = 0
+  indices.forEach(index => {
+    const corner = polylineCorner(polyline, index)
+    if (!corner) return
+    const cuts = cutBacks(corner, size)
+    const before = (index + count - 1) % count
+    if (!cuts || cuts[0] + used[before].start > corner.first.reach + POINT_EPSILON ||
+      cuts[1] + used[index].end > corner.second.reach + POINT_EPSILON) {
+      skipped++
+      return
+    }
+    if (cuts[0] === 0 && cuts[1] === 0) return
+    used[before].end = cuts[0]
+    used[index].start = cuts[1]
+    done++
+    const start = cutPoint(corner, corner.first, cuts[0])
+    const end = cutPoint(corner, corner.second, cuts[1])
+    const bulge = jointBulge(corner, size)
+    if (trim) {
+      replaced[index] = [bulge ? { ...start, bulge } : start, end]
+    } else {
+      const joint = jointObject(start, end, bulge, style)
+      if (joint) added.push(joint)
+    }
+  })
+  const object = trim && done > 0
+    ? { ...polyline, points: dropZeroSegments(replaced.flat(), closed) }
+    : null
+  return { object, added, done, skipped }
+}
+
+/**
+ * Round or bevel a corner (FILLET, CHAMFER)
+ * @param {Object} corner - Corner from findCorner()
+ * @param {Object} size - { radius }, { distance1, distance2 } or
+ *   { distance, angle } (see above)
+ * @param {boolean} trim - Cut the pieces back to the arc or bevel
+ * @returns {Object|null} { first, second, added }: the replacements of the
+ *   first and second picked objects (null when unchanged; a polyline
+ *   corner only has a first) and new objects, or null when the size is
+ *   too large for the corner
+ */
+export const makeCorner = (corner, size, trim = true) => {
+  if (corner.polyline) {
+    const result = cornerVertices(corner.polyline, [corner.index], size, trim)
+    if (result.skipped > 0) return null
+    return { first: result.object, second: null, added: result.added }
+  }
+
+  const cuts = cutBacks(corner, size)
+  if (!cuts) return null
+  const start = along(corner.vertex, corner.first.direction, cuts[0])
+  const end = along(corner.vertex, corner.second.direction, cuts[1])
+  const joint = jointObject(start, end, jointBulge(corner, size), getObjectStyle(corner.lines[0]))
+  const added = joint ? [joint] : []
+  if (!trim) return { first: null, second: null, added }
+
+  // Each line keeps its end on the picked side and runs to its cut
+  const [first, second] = [corner.first, corner.second].map((side, i) => {
+    if (cuts[i] > side.reach - POINT_EPSILON) return null
+    const line = corner.lines[i]
+    const cut = i === 0 ? start : end
+    const startReach = dot({ x: line.start.x - corner.vertex.x, y: line.start.y - corner.vertex.y }, side.direction)
+    return startReach === side.reach ? { ...line, end: cut } : { ...line, start: cut }
+  })
+  if (!first || !second) return null
+  return { first, second, added }
+}
+
+/**
+ * Round or bevel every corner of a polyline or rectangle (the Polyline
+ * option of FILLET and CHAMFER)
+ * @param {Object} obj - Polyline or rectangle
+ * @param {Object} size - { radius }, { distance1, distance2 } or
+ *   { distance, angle } (see above)
+ * @param {boolean} trim - Build the arcs or bevels into the polyline
+ * @returns {Object} { object, added, done, skipped }: the replacement
+ *   polyline (null when unchanged), new objects, and the number of
+ *   corners made and of those skipped as too small for the size
+ */
+export const cornerPolyline = (obj, size, trim = true) => {
+  const polyline = toPolyline(obj)
+  return cornerVertices(polyline, polyline.points.map((point, i) => i), size, trim)
+}
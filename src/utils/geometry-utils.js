@@ -0,0 +1,253 @@
+// Intersections of lines, circles and the edges of objects
+//
+// Shapes are taken as whole: a line { start, end } runs on past both
+// points and a circle is { x, y, radius }. Edges are the bounded pieces
+// objects are made of:
+//   straight edge { start, end }
+//   arc edge      { center, radius, startAngle, sweep }, sweep signed and
+//                 ±2π for a whole circle
+// and are measured by a parameter t running from 0 at the start of the
+// edge to 1 at its end. Angles are world angles (Y down), so a positive
+// sweep turns clockwise on screen, like a positive bulge in a polyline.
+
+import { getBulgeArc } from './polyline-utils.js'
+
+// Points closer than this are the same point (world pixels)
+const POINT_EPSILON = 1e-6
+
+const TWO_PI = 2 * Math.PI
+
+/**
+ * Where two lines cross, both taken as infinite
+ * @param {Object} a - Line { start, end }
+ * @param {Object} b - Line { start, end }
+ * @returns {Array} The crossing point {x, y}, or none for parallel lines
+ */
+export const intersectLines = (a, b) => {
+  const d1x = a.end.x - a.start.x
+  const d1y = a.end.y - a.start.y
+  const d2x = b.end.x - b.start.x
+  const d2y = b.end.y - b.start.y
+  const denominator = d1x * d2y - d1y * d2x
+  if (Math.abs(denominator) <= Math.hypot(d1x, d1y) * Math.hypot(d2x, d2y) * 1e-9) return []
+  const t = ((b.start.x - a.start.x) * d2y - (b.start.y - a.start.y) * d2x) / denominator
+  return [{ x: a.start.x + d1x * t, y: a.start.y + d1y * t }]
+}
+
+/**
+ * Where a line, taken as infinite, crosses a circle
+ * @param {Object} line - Line { start, end }
+ * @param {Object} circle - Circle { x, y, radius }
+ * @returns {Array} Points {x, y}: none, or two (the same point twice for a
+ *   tangent line)
+ */
+export const intersectLineCircle = (line, circle) => {
+  const dx = line.end.x - line.start.x
+  const dy = line.end.y - line.start.y
+  const length = Math.hypot(dx, dy)
+  // Foot of the perpendicular from the center, and the half chord either side
+  const t = ((circle.x - line.start.x) * dx + (circle.y - line.start.y) * dy) / (length * length)
+  const foot = { x: line.start.x + dx * t, y: line.start.y + dy * t }
+  const distance = Math.hypot(circle.x - foot.x, circle.y - foot.y)
+  if (distance > circle.radius) return []
+  const half = Math.sqrt(circle.radius * circle.radius - distance * distance) / length
+  return [-1, 1].map(side => ({ x: foot.x + dx * half * side, y: foot.y + dy * half * side }))
+}
+
+/**
+ * Where two circles cross
+ * @param {Object} a - Circle { x, y, radius }
+ * @param {Object} b - Circle { x, y, radius }
+ * @returns {Array} Points {x, y}: none, or two (the same point twice for
+ *   touching circles)
+ */
+export const intersectCircles = (a, b) => {
+  const distance = Math.hypot(b.x - a.x, b.y - a.y)
+  if (distance === 0 || distance > a.radius + b.radius || distance < Math.abs(a.radius - b.radius)) return []
+  // Distance from a's center to the chord, and the half chord
+  const along = (distance * distance + a.radius * a.radius - b.radius * b.radius) / (2 * distance)
+  const half = Math.sqrt(Math.max(0, a.radius * a.radius - along * along))
+  const ux = (b.x - a.x) / distance
+  const uy = (b.y - a.y) / distance
+  return [-1, 1].map(side => ({
+    x: a.x + ux * along - uy * half * side,
+    y: a.y + uy * along + ux * half * side
+  }))
+}
+
+/**
+ * Where two lines or circles cross, all taken as whole
+ * @param {Object} a - Line { start, end } or circle { x, y, radius }
+ * @param {Object} b - Line { start, end } or circle { x, y, radius }
+ * @returns {Array} Points {x, y}
+ */
+export const intersectShapes = (a, b) => {
+  if (a.start && b.start) return intersectLines(a, b)
+  if (a.start) return intersectLineCircle(a, b)
+  return b.start ? intersectLineCircle(b, a) : intersectCircles(a, b)
+}
+
+const isArcEdge = (edge) => !!edge.center
+
+/**
+ * Edge of a polyline segment
+ * @param {Object} segment - Segment {start, end, bulge} (see polyline-utils.js)
+ * @returns {Object} Straight or arc edge
+ */
+export const segmentToEdge = (segment) => {
+  const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+  if (!arc) return { start: { x: segment.start.x, y: segment.start.y }, end: { x: segment.end.x, y: segment.end.y } }
+  return { center: arc.center, radius: arc.radius, startAngle: arc.startAngle, sweep: arc.endAngle - arc.startAngle }
+}
+
+/**
+ * Bulge of an edge as a polyline segment (0 for a straight edge)
+ * @param {Object} edge - Straight or arc edge
+ * @returns {number} tan(sweep / 4)
+ */
+export const getEdgeBulge = (edge) => isArcEdge(edge) ? Math.tan(edge.sweep / 4) : 0
+
+/**
+ * Line or circle an edge lies on
+ * @param {Object} edge - Straight or arc edge
+ * @returns {Object} Line { start, end } or circle { x, y, radius }
+ */
+export const getEdgeShape = (edge) => isArcEdge(edge)
+  ? { x: edge.center.x, y: edge.center.y, radius: edge.radius }
+  : { start: edge.start, end: edge.end }
+
+/**
+ * Point of an edge at a parameter; parameters past 0 or 1 run on along
+ * the line or circle
+ * @param {Object} edge - Straight or arc edge
+ * @param {number} t - Parameter, 0 at the start and 1 at the end
+ * @returns {Object} Point {x, y}
+ */
+export const getEdgePoint = (edge, t) => {
+  if (!isArcEdge(edge)) {
+    return { x: edge.start.x + (edge.end.x - edge.start.x) * t, y: edge.start.y + (edge.end.y - edge.start.y) * t }
+  }
+  const angle = edge.startAngle + edge.sweep * t
+  return { x: edge.center.x + Math.cos(angle) * edge.radius, y: edge.center.y + Math.sin(angle) * edge.radius }
+}
+
+/**
+ * Parameter of the point of an edge's line or circle nearest a point. On
+ * an arc it is taken within half a turn of the arc's middle, and on a
+ * whole circle within [0, 1).
+ * @param {Object} edge - Straight or arc edge
+ * @param {Object} point - Point {x, y}
+ * @returns {number} Parameter, 0 at the start and 1 at the end
+ */
+export const getEdgeParameter = (edge, point) => {
+  if (!isArcEdge(edge)) {
+    const dx = edge.end.x - edge.start.x
+    const dy = edge.end.y - edge.start.y
+    const lengthSquared = dx * dx + dy * dy
+    return lengthSquared === 0 ? 0 : ((point.x - edge.start.x) * dx + (point.y - edge.start.y) * dy) / lengthSquared
+  }
+  const angle = Math.atan2(point.y - edge.center.y, point.x - edge.center.x)
+  if (Math.abs(edge.sweep) >= TWO_PI) {
+    const turned = (angle - edge.startAngle) * Math.sign(edge.sweep)
+    return ((turned % TWO_PI) + TWO_PI) % TWO_PI / TWO_PI
+  }
+  const middle = edge.startAngle + edge.sweep / 2
+  const near = middle + Math.atan2(Math.sin(angle - middle), Math.cos(angle - middle))
+  return (near - edge.startAngle) / edge.sweep
+}
+
+/**
+ * Length of an edge
+ * @param {Object} edge - Straight or arc edge
+ * @returns {number} Length in world pixels
+ */
+export const getEdgeLength = (edge) => isArcEdge(edge)
+  ? edge.radius * Math.abs(edge.sweep)
+  : Math.hypot(edge.end.x - edge.start.x, edge.end.y - edge.start.y)
+
+/**
+ * Part of an edge between two parameters
+ * @param {Object} edge - Straight or arc edge
+ * @param {number} from - Parameter where the part starts
+ * @param {number} to - Parameter where it ends (beyond 1 to lengthen it)
+ * @returns {Object} Edge of the same kind
+ */
+export const getSubEdge = (edge, from, to) => {
+  if (!isArcEdge(edge)) return { start: getEdgePoint(edge, from), end: getEdgePoint(edge, to) }
+  return { ...edge, startAngle: edge.startAngle + edge.sweep * from, sweep: edge.sweep * (to - from) }
+}
+
+/**
+ * The same edge run the other way
+ * @param {Object} edge - Straight or arc edge
+ * @returns {Object} Edge from the old end to the old start
+ */
+export const reverseEdge = (edge) => isArcEdge(edge)
+  ? { ...edge, startAngle: edge.startAngle + edge.sweep, sweep: -edge.sweep }
+  : { start: edge.end, end: edge.start }
+
+/**
+ * Box round an edge (round its whole circle for an arc, which is enough
+ * to rule out crossings)
+ * @param {Object} edge - Straight or arc edge
+ * @returns {Object} {minX, minY, maxX, maxY}
+ */
+export const getEdgeBounds = (edge) => {
+  if (isArcEdge(edge)) {
+    return {
+      minX: edge.center.x - edge.radius,
+      minY: edge.center.y - edge.radius,
+      maxX: edge.center.x + edge.radius,
+      maxY: edge.center.y + edge.radius
+    }
+  }
+  return {
+    minX: Math.min(edge.start.x, edge.end.x),
+    minY: Math.min(edge.start.y, edge.end.y),
+    maxX: Math.max(edge.start.x, edge.end.x),
+    maxY: Math.max(edge.start.y, edge.end.y)
+  }
+}
+
+/**
+ * Check whether two boxes overlap or touch
+ * @param {Object} a - {minX, minY, maxX, maxY}
+ * @param {Object} b - {minX, minY, maxX, maxY}
+ * @returns {boolean}
+ */
+export const boundsTouch = (a, b) => a.minX <= b.maxX + POINT_EPSILON && b.minX <= a.maxX + POINT_EPSILON &&
+  a.minY <= b.maxY + POINT_EPSILON && b.minY <= a.maxY + POINT_EPSILON
+
+/**
+ * Check whether a parameter lies on an edge, allowing for rounding at its
+ * ends
+ * @param {Object} edge - Straight or arc edge
+ * @param {number} t - Parameter
+ * @returns {boolean}
+ */
+export const isOnEdge = (edge, t) => {
+  const slack = POINT_EPSILON / (getEdgeLength(edge) || 1)
+  return t >= -slack && t <= 1 + slack
+}
+
+/**
+ * Where two edges cross. Overlapping collinear lines and concentric arcs
+ * have no single crossing and give none.
+ * @param {Object} a - Straight or arc edge
+ * @param {Object} b - Straight or arc edge
+ * @returns {Array} Crossings { point, t, u }, t the parameter on a and u
+ *   the one on b, both clamped to [0, 1]
+ */
+export const intersectEdges = (a, b) => {
+  if (!boundsTouch(getEdgeBounds(a), getEdgeBounds(b))) return []
+  const crossings = []
+  intersectShapes(getEdgeShape(a), getEdgeShape(b)).forEach(point => {
+    const t = getEdgeParameter(a, point)
+    const u = getEdgeParameter(b, point)
+    if (!isOnEdge(a, t) || !isOnEdge(b, u)) return
+    // A tangent gives the same point twice
+    if (crossings.some(crossing => Math.hypot(crossing.point.x - point.x, crossing.point.y - point.y) <= POINT_EPSILON)) return
+    crossings.push({ point, t: Math.min(1, Math.max(0, t)), u: Math.min(1, Math.max(0, u)) })
+  })
+  return crossings
+}
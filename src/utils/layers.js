@@ -0,0 +1,142 @@
+// Layers (AutoCAD's LAYER): named groups of objects sharing display
+// properties, saved with the document
+//
+// Every object names its layer in obj.layer; objects without one, or naming
+// a layer that no longer exists, are on layer '0', which always exists.
+// An object's color, lineWidth and linetype may be BYLAYER to use its
+// layer's. Layers that are off or frozen are not drawn, plotted, snapped to
+// or selected; locked layers are drawn and snapped to but their objects
+// cannot be selected, so they cannot be edited.
+
+import { DEFAULT_LINETYPE, findLinetypeName } from './linetypes.js'
+
+export const DEFAULT_LAYER_NAME = '0'
+
+// Property value meaning "use the layer's"
+export const BYLAYER = 'ByLayer'
+
+export const DEFAULT_LAYER = {
+  name: DEFAULT_LAYER_NAME,
+  on: true,
+  frozen: false,
+  locked: false,
+  color: '#000000',
+  linetype: DEFAULT_LINETYPE,
+  lineWidth: 2
+}
+
+// Line width range in screen pixels, as for objects
+export const MIN_LINE_WIDTH = 1
+export const MAX_LINE_WIDTH = 20
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+
+/**
+ * Build a complete, valid layer from partial or untrusted data (a file, an
+ * import, the layers panel); anything missing or invalid takes the default
+ * @param {Object} layer - Layer fields
+ * @returns {Object} Normalized layer
+ */
+export const normalizeLayer = (layer = {}) => {
+  const normalized = { ...DEFAULT_LAYER }
+
+  if (typeof layer.name === 'string' && layer.name.trim()) {
+    normalized.name = layer.name.trim()
+  }
+  ;['on', 'frozen', 'locked'].forEach(field => {
+    if (typeof layer[field] === 'boolean') normalized[field] = layer[field]
+  })
+  if (typeof layer.color === 'string' && HEX_COLOR.test(layer.color)) {
+    normalized.color = layer.color.toUpperCase()
+  }
+  // Unknown linetypes (from a file) fall back to Continuous
+  if (findLinetypeName(layer.linetype)) {
+    normalized.linetype = findLinetypeName(layer.linetype)
+  }
+  if (typeof layer.lineWidth === 'number' && Number.isFinite(layer.lineWidth)) {
+    normalized.lineWidth = Math.max(MIN_LINE_WIDTH, Math.min(Math.round(layer.lineWidth), MAX_LINE_WIDTH))
+  }
+
+  return normalized
+}
+
+/**
+ * Normalize a list of layers: unique names, and '0' always present
+ * @param {Array} layers - Layer objects
+ * @returns {Array} Normalized layers
+ */
+export const normalizeLayers = (layers) => {
+  const normalized = []
+  const names = new Set()
+  ;(Array.isArray(layers) ? layers : []).forEach(layer => {
+    const candidate = normalizeLayer(layer)
+    if (!names.has(candidate.name)) {
+      names.add(candidate.name)
+      normalized.push(candidate)
+    }
+  })
+  if (!names.has(DEFAULT_LAYER_NAME)) {
+    normalized.unshift({ ...DEFAULT_LAYER })
+  }
+  return normalized
+}
+
+/**
+ * Find a layer by name, falling back to layer '0'
+ * @param {Array} layers - Document layers (cadStore.layers)
+ * @param {string} name - Layer name from an object
+ * @returns {Object} Layer
+ */
+export const findLayer = (layers = [], name = DEFAULT_LAYER_NAME) => {
+  return layers.find(layer => layer.name === name) ||
+    layers.find(layer => layer.name === DEFAULT_LAYER_NAME) ||
+    DEFAULT_LAYER
+}
+
+/**
+ * Check whether a layer's objects are drawn and snapped to
+ * @param {Object} layer - Layer
+ * @returns {boolean} True when the layer is on and thawed
+ */
+export const isLayerVisible = (layer) => layer.on && !layer.frozen
+
+/**
+ * Check whether a layer's objects can be selected (and so edited)
+ * @param {Object} layer - Layer
+ * @returns {boolean} True when the layer is visible and unlocked
+ */
+export const isLayerSelectable = (layer) => isLayerVisible(layer) && !layer.locked
+
+/**
+ * Replace an object's ByLayer properties with its layer's values, for
+ * drawing and export
+ * @param {Object} obj - Vector object
+ * @param {Array} layers - Document layers
+ * @returns {Object} Copy with concrete color, lineWidth and linetype
+ */
+export const resolveObjectStyle = (obj, layers) => {
+  const layer = findLayer(layers, obj.layer)
+  return {
+    ...obj,
+    color: !obj.color || obj.color === BYLAYER ? layer.color : obj.color,
+    lineWidth: !obj.lineWidth || obj.lineWidth === BYLAYER ? layer.lineWidth : obj.lineWidth,
+    linetype: !obj.linetype || obj.linetype === BYLAYER ? layer.linetype : obj.linetype
+  }
+}
+
+// Object properties that style an object rather than shape it
+const STYLE_FIELDS = ['layer', 'color', 'lineWidth', 'linetype', 'linetypeScale']
+
+/**
+ * Style of an object, for new objects made from it (OFFSET, FILLET...)
+ * @param {Object} obj - Vector object
+ * @returns {Object} Its layer, color, lineWidth, linetype and linetypeScale,
+ *   those it has
+ */
+export const getObjectStyle = (obj) => {
+  const style = {}
+  STYLE_FIELDS.forEach(field => {
+    if (obj[field] !== undefined) style[field] = obj[field]
+  })
+  return style
+}
@@ -0,0 +1,69 @@
+// Linetypes (AutoCAD's LTYPE): dash patterns for lines, rectangles, circles,
+// arcs, ellipses and polylines
+//
+// Patterns use the DXF convention: positive values are dashes, negative
+// values gaps and 0 a dot, all in drawing inches, so a pattern keeps its
+// real size at every zoom and on a plot. An object's pattern is scaled by
+// its own linetype scale (obj.linetypeScale, AutoCAD's CELTSCALE) times the
+// document's global scale (LTSCALE). Objects name their linetype in
+// obj.linetype, which may be BYLAYER (see layers.js). Dimensions are always
+// continuous.
+
+import { inchesToPixels } from './units.js'
+
+export const DEFAULT_LINETYPE = 'Continuous'
+
+// Library, after the patterns of AutoCAD's acad.lin
+export const LINETYPES = {
+  Continuous: { description: 'Solid line', pattern: [] },
+  Dashed: { description: 'Dashed __ __ __', pattern: [0.5, -0.25] },
+  Hidden: { description: 'Hidden _ _ _ _', pattern: [0.25, -0.125] },
+  Center: { description: 'Center ____ _ ____', pattern: [1.25, -0.25, 0.25, -0.25] },
+  Phantom: { description: 'Phantom ____ _ _ ____', pattern: [1.25, -0.25, 0.25, -0.25, 0.25, -0.25] },
+  Dot: { description: 'Dot . . . .', pattern: [0, -0.25] }
+}
+
+// Linetype scale range (global and per object)
+export const MIN_LINETYPE_SCALE = 0.01
+export const MAX_LINETYPE_SCALE = 100
+
+// Patterns shorter than this on screen are drawn solid, as AutoCAD does,
+// instead of as a haze of sub-pixel dashes
+const MIN_PATTERN_PIXELS = 4
+
+// Screen length of a dot: canvas and PDF draw nothing for a zero-length
+// dash with butt caps
+const DOT_PIXELS = 1
+
+/**
+ * Find a library linetype by name, ignoring case (DXF files use HIDDEN)
+ * @param {string} name - Linetype name
+ * @returns {string|null} Library name, or null when unknown
+ */
+export const findLinetypeName = (name) => {
+  const upper = String(name || '').toUpperCase()
+  return Object.keys(LINETYPES).find(key => key.toUpperCase() === upper) || null
+}
+
+/**
+ * Check a linetype scale
+ * @param {*} scale - Candidate scale
+ * @returns {boolean} True when it is a number within the allowed range
+ */
+export const isValidLinetypeScale = (scale) => typeof scale === 'number' &&
+  Number.isFinite(scale) && scale >= MIN_LINETYPE_SCALE && scale <= MAX_LINETYPE_SCALE
+
+/**
+ * Screen dash array for drawing a linetype with setLineDash()
+ * @param {string} linetype - Library linetype name
+ * @param {number} scale - Effective linetype scale (object scale times global scale)
+ * @param {number} zoomLevel - Current zoom level (screen pixels per world pixel)
+ * @returns {Array} Dash and gap lengths in screen pixels; empty for a solid line
+ */
+export const getDashPattern = (linetype, scale = 1, zoomLevel = 1) => {
+  const pattern = LINETYPES[linetype]?.pattern || []
+  if (pattern.length === 0) return []
+  const pixels = pattern.map(length => Math.abs(inchesToPixels(length)) * scale * zoomLevel)
+  if (pixels.reduce((sum, length) => sum + length, 0) < MIN_PATTERN_PIXELS) return []
+  return pixels.map((length, i) => pattern[i] === 0 ? DOT_PIXELS : length)
+}
@@ -0,0 +1,685 @@
+// Parallel copies of objects (OFFSET)
+//
+// Internally an offset is signed: positive towards the side of positive
+// angles from the direction of travel (that direction turned +90°,
+// clockwise on screen). Circles, arcs and ellipses run in the direction of
+// increasing angle, so their positive side is the inside. offsetObject()
+// takes a plain distance and a point on the side to offset towards.
+//
+// Lines, circles and arcs offset exactly. Rectangles and polylines offset
+// segment by segment: each straight segment moves sideways and each arc
+// segment keeps its center and changes radius, disappearing when the
+// radius reaches zero. Neighbouring segments are then joined again: inside
+// a corner, where they overlap, both are trimmed back to where they cross;
+// outside it, where a gap opens, they are extended until they meet (miter)
+// or bridged by an arc round the corner (round), as AutoCAD's OFFSETGAPTYPE
+// 0 and 1 do. An ellipse has no exact parallel curve in this model, so its
+// offset is a polyline through points of the true parallel curve.
+//
+// A large offset makes the joined outline cross itself (inside a narrow
+// notch, across an arc smaller than the offset...). The outline is then cut
+// wherever it crosses itself, or, for an open source, the circles of the
+// offset distance round its ends. Every piece nearer the source than the
+// offset distance is dropped and the rest are joined up again, so one
+// offset may give several polylines, or none.
+
+import { getRectangleCorners } from './drawing-utils.js'
+import { getBulgeArc, getPolylineSegments, getPolylineSignedArea, flattenPolyline } from './polyline-utils.js'
+import {
+  TWO_PI,
+  getCurveEndpoints,
+  getCurvePoint,
+  getCurveSweep,
+  isFullEllipse,
+  normalizeAngle
+} from './curve-utils.js'
+import { boundsTouch, intersectShapes } from './geometry-utils.js'
+import { getObjectStyle } from './layers.js'
+
+// Points closer than this are the same point, and pieces of an offset
+// closer than the offset distance less this to the source are dropped
+// (world pixels)
+const POINT_EPSILON = 1e-6
+
+// Slack on parameters along a segment (0 at its start, 1 at its end)
+const PARAMETER_EPSILON = 1e-9
+
+// Degrees of parameter between the points of an ellipse's offset, and
+// between the samples that start the search for the nearest point
+const ELLIPSE_STEP_DEGREES = 2
+
+const OFFSET_TYPES = ['line', 'rectangle', 'circle', 'arc', 'ellipse', 'polyline']
+
+const samePoint = (a, b) => Math.hypot(a.x - b.x, a.y - b.y) <= POINT_EPSILON
+
+// Angle of a point round a center, taken within half a turn of `near`
+const angleNear = (center, point, near) => {
+  const angle = Math.atan2(point.y - center.y, point.x - center.x)
+  return near + Math.atan2(Math.sin(angle - near), Math.cos(angle - near))
+}
+
+const pointAtAngle = (center, radius, angle) => ({
+  x: center.x + Math.cos(angle) * radius,
+  y: center.y + Math.sin(angle) * radius
+})
+
+// Polyline segments {start, end, bulge} (see polyline-utils.js)
+
+// Line or circle a segment lies on, with its arc when it has one and a box
+// round it (round the whole circle for an arc)
+const describeSegment = (segment) => {
+  const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+  return {
+    segment,
+    arc,
+    shape: arc ? { x: arc.center.x, y: arc.center.y, radius: arc.radius } : { start: segment.start, end: segment.end },
+    box: arc
+      ? { minX: arc.center.x - arc.radius, minY: arc.center.y - arc.radius, maxX: arc.center.x + arc.radius, maxY: arc.center.y + arc.radius }
+      : {
+          minX: Math.min(segment.start.x, segment.end.x),
+          minY: Math.min(segment.start.y, segment.end.y),
+          maxX: Math.max(segment.start.x, segment.end.x),
+          maxY: Math.max(segment.start.y, segment.end.y)
+        }
+  }
+}
+
+// Position of a point along a segment: 0 at its start, 1 at its end
+const segmentParameter = ({ segment, arc }, point) => {
+  if (!arc) {
+    const dx = segment.end.x - segment.start.x
+    const dy = segment.end.y - segment.start.y
+    return ((point.x - segment.start.x) * dx + (point.y - segment.start.y) * dy) / (dx * dx + dy * dy)
+  }
+  const middle = (arc.startAngle + arc.endAngle) / 2
+  return (angleNear(arc.center, point, middle) - arc.startAngle) / (arc.endAngle - arc.startAngle)
+}
+
+const segmentPoint = ({ segment, arc }, t) => {
+  if (!arc) {
+    return {
+      x: segment.start.x + (segment.end.x - segment.start.x) * t,
+      y: segment.start.y + (segment.end.y - segment.start.y) * t
+    }
+  }
+  return pointAtAngle(arc.center, arc.radius, arc.startAngle + (arc.endAngle - arc.startAngle) * t)
+}
+
+// Point of a segment nearest a point
+const closestOnSegment = (described, point) => {
+  const { segment, arc } = described
+  const t = segmentParameter(described, point)
+  if (t > 0 && t < 1) {
+    if (!arc) return segmentPoint(described, t)
+    const distance = Math.hypot(point.x - arc.center.x, point.y - arc.center.y)
+    if (distance > 0) {
+      return {
+        x: arc.center.x + (point.x - arc.center.x) / distance * arc.radius,
+        y: arc.center.y + (point.y - arc.center.y) / distance * arc.radius
+      }
+    }
+  }
+  const toStart = Math.hypot(point.x - segment.start.x, point.y - segment.start.y)
+  const toEnd = Math.hypot(point.x - segment.end.x, point.y - segment.end.y)
+  return toStart <= toEnd ? segment.start : segment.end
+}
+
+// Whether two segments lie on the same line or circle
+const sameShape = (a, b) => {
+  if (a.arc || b.arc) {
+    return !!(a.arc && b.arc) && samePoint(a.arc.center, b.arc.center) && Math.abs(a.arc.radius - b.arc.radius) <= POINT_EPSILON
+  }
+  const dx = a.segment.end.x - a.segment.start.x
+  const dy = a.segment.end.y - a.segment.start.y
+  const length = Math.hypot(dx, dy)
+  const across = (point) => Math.abs(dx * (point.y - a.segment.start.y) - dy * (point.x - a.segment.start.x)) / length
+  return across(b.segment.start) <= POINT_EPSILON && across(b.segment.end) <= POINT_EPSILON
+}
+
+// How far a point lies to the positive side of a segment (see the top of
+// this file): across a line, or in from an arc
+const segmentSide = ({ segment, arc }, point) => {
+  if (arc) {
+    const distance = Math.hypot(point.x - arc.center.x, point.y - arc.center.y)
+    return (arc.radius - distance) * Math.sign(arc.endAngle - arc.startAngle)
+  }
+  const dx = segment.end.x - segment.start.x
+  const dy = segment.end.y - segment.start.y
+  return (dx * (point.y - segment.start.y) - dy * (point.x - segment.start.x)) / Math.hypot(dx, dy)
+}
+
+const distanceToSegments = (described, point) => described.reduce((nearest, item) => {
+  const closest = closestOnSegment(item, point)
+  return Math.min(nearest, Math.hypot(point.x - closest.x, point.y - closest.y))
+}, Infinity)
+
+// Distance from a point to an ellipse or elliptical arc: the nearest of
+// evenly spaced samples, refined by a ternary search between its neighbours
+const distanceToEllipse = (obj, point) => {
+  const sweep = getCurveSweep(obj)
+  const steps = Math.ceil(sweep / (ELLIPSE_STEP_DEGREES * Math.PI / 180))
+  const squared = (t) => {
+    const p = getCurvePoint(obj, obj.startAngle + t)
+    return (p.x - point.x) ** 2 + (p.y - point.y) ** 2
+  }
+  let best = 0
+  for (let i = 1; i <= steps; i++) {
+    if (squared(sweep * i / steps) < squared(best)) best = sweep * i / steps
+  }
+  // A full ellipse has no ends to stop the search at
+  const full = isFullEllipse(obj)
+  let low = full ? best - sweep / steps : Math.max(0, best - sweep / steps)
+  let high = full ? best + sweep / steps : Math.min(sweep, best + sweep / steps)
+  for (let i = 0; i < 60; i++) {
+    const third = (high - low) / 3
+    if (squared(low + third) < squared(high - third)) {
+      high -= third
+    } else {
+      low += third
+    }
+  }
+  return Math.sqrt(squared((low + high) / 2))
+}
+
+// Offset elements: the moved segments while they are being joined, a line
+// { start, end } or an arc { center, radius, startAngle, endAngle } whose
+// angles are kept unwrapped, so trimming an arc past its other end turns it
+// round instead of making it almost a whole circle. `turn` is the sign of
+// the source arc's sweep, `index` the source segment.
+
+const isArcElement = (element) => !!element.center
+
+const elementPoint = (element, atEnd) => {
+  if (!isArcElement(element)) return atEnd ? element.end : element.start
+  return pointAtAngle(element.center, element.radius, atEnd ? element.endAngle : element.startAngle)
+}
+
+const elementShape = (element) => isArcElement(element)
+  ? { x: element.center.x, y: element.center.y, radius: element.radius }
+  : { start: element.start, end: element.end }
+
+// Direction of travel at an end of an element, as a unit vector
+const elementTangent = (element, atEnd) => {
+  if (!isArcElement(element)) {
+    const length = Math.hypot(element.end.x - element.start.x, element.end.y - element.start.y) || 1
+    return { x: (element.end.x - element.start.x) / length, y: (element.end.y - element.start.y) / length }
+  }
+  const angle = (atEnd ? element.endAngle : element.startAngle) + element.turn * Math.PI / 2
+  return { x: Math.cos(angle), y: Math.sin(angle) }
+}
+
+// How far a point lies beyond one end of an element, along it: a fraction
+// of a line, an angle of an arc. Negative when the point is within it.
+const elementOvershoot = (element, point, atEnd) => {
+  if (isArcElement(element)) {
+    return atEnd
+      ? element.turn * (angleNear(element.center, point, element.endAngle) - element.endAngle)
+      : element.turn * (element.startAngle - angleNear(element.center, point, element.startAngle))
+  }
+  const dx = element.end.x - element.start.x
+  const dy = element.end.y - element.start.y
+  const t = ((point.x - element.start.x) * dx + (point.y - element.start.y) * dy) / (dx * dx + dy * dy)
+  return atEnd ? t - 1 : -t
+}
+
+const moveElementEnd = (element, point, atEnd) => {
+  if (isArcElement(element)) {
+    const key = atEnd ? 'endAngle' : 'startAngle'
+    element[key] = angleNear(element.center, point, element[key])
+  } else {
+    element[atEnd ? 'end' : 'start'] = point
+  }
+}
+
+const elementToSegment = (element) => isArcElement(element)
+  ? {
+      start: elementPoint(element, false),
+      end: elementPoint(element, true),
+      bulge: Math.tan((element.endAngle - element.startAngle) / 4)
+    }
+  : { start: element.start, end: element.end, bulge: 0 }
+
+// Arc round a corner from one point to another, bulging out along `outward`
+const roundElement = (corner, from, to, outward) => {
+  const startAngle = Math.atan2(from.y - corner.y, from.x - corner.x)
+  const toAngle = Math.atan2(to.y - corner.y, to.x - corner.x)
+  let sweep = Math.atan2(Math.sin(toAngle - startAngle), Math.cos(toAngle - startAngle))
+  const middle = startAngle + sweep / 2
+  if (Math.cos(middle) * outward.x + Math.sin(middle) * outward.y < 0) {
+    sweep -= Math.sign(sweep || 1) * TWO_PI
+  }
+  return {
+    center: corner,
+    radius: Math.hypot(from.x - corner.x, from.y - corner.y),
+    startAngle,
+    endAngle: startAngle + sweep,
+    turn: Math.sign(sweep)
+  }
+}
+
+// Move every segment aside by the offset; arcs that shrink away are left out
+const offsetElements = (segments, offset) => segments.map((segment, index) => {
+  const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+  if (!arc) {
+    const length = Math.hypot(segment.end.x - segment.start.x, segment.end.y - segment.start.y)
+    const nx = -(segment.end.y - segment.start.y) / length * offset
+    const ny = (segment.end.x - segment.start.x) / length * offset
+    return {
+      index,
+      start: { x: segment.start.x + nx, y: segment.start.y + ny },
+      end: { x: segment.end.x + nx, y: segment.end.y + ny }
+    }
+  }
+  // The positive side of an arc running in the direction of positive
+  // angles is its center
+  const turn = Math.sign(arc.endAngle - arc.startAngle)
+  const radius = arc.radius - offset * turn
+  if (radius <= POINT_EPSILON) return null
+  return { index, center: arc.center, radius, startAngle: arc.startAngle, endAngle: arc.endAngle, turn }
+}).filter(Boolean)
+
+// Join the end of one element to the start of the next, trimming or
+// extending them. Returns the elements that bridge what is left between
+// them (none when they now meet). `corner` is the source vertex between
+// them, or null when segments between them disappeared.
+const joinElements = (a, b, corner, offset, round) => {
+  const end = elementPoint(a, true)
+  const start = elementPoint(b, false)
+  if (samePoint(end, start)) return []
+
+  const tangentA = elementTangent(a, true)
+  const tangentB = elementTangent(b, false)
+  const turn = tangentA.x * tangentB.y - tangentA.y * tangentB.x
+  const near = corner || end
+  const crossing = intersectShapes(elementShape(a), elementShape(b))
+    .sort((p, q) => Math.hypot(p.x - near.x, p.y - near.y) - Math.hypot(q.x - near.x, q.y - near.y))[0]
+
+  if (turn * offset > 0) {
+    // Inside the corner: trim both back to their crossing. When they do not
+    // cross, the straight bridge is nearer the source than the offset and
+    // is cut away with what else is too near.
+    const within = (element) => elementOvershoot(element, crossing, true) <= PARAMETER_EPSILON &&
+      elementOvershoot(element, crossing, false) <= PARAMETER_EPSILON
+    if (crossing && within(a) && within(b)) {
+      moveElementEnd(a, crossing, true)
+      moveElementEnd(b, crossing, false)
+      return []
+    }
+    return [{ start: end, end: start }]
+  }
+
+  // Outside the corner: extend both until they meet, or go round the corner
+  if (!round && crossing && elementOvershoot(a, crossing, true) >= -PARAMETER_EPSILON &&
+    elementOvershoot(b, crossing, false) >= -PARAMETER_EPSILON) {
+    moveElementEnd(a, crossing, true)
+    moveElementEnd(b, crossing, false)
+    return []
+  }
+  if (!corner) return [{ start: end, end: start }]
+  return [roundElement(corner, end, start, { x: tangentA.x - tangentB.x, y: tangentA.y - tangentB.y })]
+}
+
+// Add a piece to the end of a chain of pieces, making one piece of it and
+// the last when they continue the same line, or the same arc
+const appendPiece = (chain, piece) => {
+  const last = chain[chain.length - 1]
+  if (last) {
+    const a = describeSegment(last)
+    const b = describeSegment(piece)
+    const continues = a.arc
+      ? !!b.arc && sameShape(a, b) && Math.sign(last.bulge) === Math.sign(piece.bulge) &&
+        Math.abs(Math.atan(last.bulge) + Math.atan(piece.bulge)) < Math.PI / 2
+      : !b.arc && sameShape(a, b) && segmentParameter(a, piece.end) > 1
+    if (continues) {
+      chain[chain.length - 1] = {
+        ...last,
+        end: piece.end,
+        bulge: a.arc ? Math.tan(Math.atan(last.bulge) + Math.atan(piece.bulge)) : 0
+      }
+      return
+    }
+  }
+  chain.push(piece)
+}
+
+// Cut an offset outline where it crosses itself (and where it crosses the
+// `circles`), drop the pieces nearer the source than the offset and join
+// the rest up again. Segments may carry curve(t), the true point at t when
+// they only approximate the offset. Returns polylines { points, closed }.
+const clipOffset = (segments, offset, distanceToSource, circles = []) => {
+  const described = segments.map(describeSegment)
+  const cuts = segments.map(() => [])
+  const within = (item, point) => {
+    const t = segmentParameter(item, point)
+    return t >= -PARAMETER_EPSILON && t <= 1 + PARAMETER_EPSILON
+  }
+  const addCut = (i, point) => {
+    const { segment } = described[i]
+    if (samePoint(point, segment.start) || samePoint(point, segment.end)) return
+    cuts[i].push({ t: segmentParameter(described[i], point), point })
+  }
+  described.forEach((item, i) => {
+    for (let j = i + 1; j < described.length; j++) {
+      if (!boundsTouch(item.box, described[j].box)) continue
+      // Segments running along each other are cut where the other ends
+      const points = sameShape(item, described[j])
+        ? [item.segment.start, item.segment.end, described[j].segment.start, described[j].segment.end]
+        : intersectShapes(item.shape, described[j].shape)
+      points.forEach(point => {
+        if (within(item, point) && within(described[j], point)) {
+          addCut(i, point)
+          addCut(j, point)
+        }
+      })
+    }
+    circles.forEach(circle => {
+      intersectShapes(item.shape, circle).forEach(point => {
+        if (within(item, point)) addCut(i, point)
+      })
+    })
+  })
+
+  const pieces = described.flatMap((item, i) => {
+    const { segment } = item
+    const points = [{ t: 0, point: segment.start }, ...cuts[i].sort((p, q) => p.t - q.t), { t: 1, point: segment.end }]
+    return points.slice(1).map((to, k) => {
+      const from = points[k]
+      const middle = (from.t + to.t) / 2
+      return {
+        start: from.point,
+        end: to.point,
+        bulge: segment.bulge ? Math.tan(Math.atan(segment.bulge) * (to.t - from.t)) : 0,
+        middle: segment.curve ? segment.curve(middle) : segmentPoint(item, middle)
+      }
+    }).filter(piece => !samePoint(piece.start, piece.end))
+  })
+
+  // Where the outline runs over itself one copy is kept, or none when it
+  // doubles back (a spike of no width). Taking the pieces in order of
+  // their middles' x, only near neighbours need comparing.
+  const dropped = new Set()
+  const order = pieces.map((_, i) => i).sort((i, j) => pieces[i].middle.x - pieces[j].middle.x)
+  order.forEach((i, k) => {
+    for (let n = k + 1; n < order.length && pieces[order[n]].middle.x - pieces[i].middle.x <= POINT_EPSILON; n++) {
+      const a = pieces[i]
+      const b = pieces[order[n]]
+      if (!samePoint(a.middle, b.middle)) continue
+      if (samePoint(a.start, b.start) && samePoint(a.end, b.end)) {
+        dropped.add(Math.max(i, order[n]))
+      } else if (samePoint(a.start, b.end) && samePoint(a.end, b.start)) {
+        dropped.add(i)
+        dropped.add(order[n])
+      }
+    }
+  })
+  const kept = pieces.filter((_, i) => !dropped.has(i))
+
+  const chains = []
+  kept
+    .filter(piece => distanceToSource(piece.middle) >= Math.abs(offset) - POINT_EPSILON)
+    .forEach(piece => {
+      const last = chains[chains.length - 1]
+      if (last && samePoint(last[last.length - 1].end, piece.start)) {
+        appendPiece(last, piece)
+      } else {
+        chains.push([piece])
+      }
+    })
+  // Chains broken by a dropped loop meet again where it was cut off
+  for (let i = 0; i < chains.length; i++) {
+    const chain = chains[i]
+    const next = chains.findIndex(other => other !== chain && samePoint(chain[chain.length - 1].end, other[0].start))
+    if (next >= 0) {
+      chains[next].forEach(piece => appendPiece(chain, piece))
+      chains.splice(next, 1)
+      i = -1
+    }
+  }
+
+  return chains.map(chain => {
+    const closed = samePoint(chain[chain.length - 1].end, chain[0].start)
+    if (closed && chain.length > 1) {
+      // The outline may have been cut open in the middle of a segment
+      const joined = [chain[chain.length - 1]]
+      appendPiece(joined, chain[0])
+      if (joined.length === 1) {
+        chain.pop()
+        chain[0] = joined[0]
+      }
+    }
+    const points = chain.map(piece => piece.bulge
+      ? { x: piece.start.x, y: piece.start.y, bulge: piece.bulge }
+      : { x: piece.start.x, y: piece.start.y })
+    if (!closed) points.push({ x: chain[chain.length - 1].end.x, y: chain[chain.length - 1].end.y })
+    return { points, closed }
+  })
+}
+
+// Offset of a polyline (a rectangle as its closed outline)
+const offsetPolyline = (obj, offset, round) => {
+  const segments = getPolylineSegments(obj).filter(segment => !samePoint(segment.start, segment.end))
+  if (segments.length === 0) return []
+  const closed = !!obj.closed
+
+  const elements = offsetElements(segments, offset)
+  if (elements.length === 0) return []
+  const bridges = elements.map((element, i) => {
+    const next = elements[i + 1] || (closed ? elements[0] : null)
+    if (!next || next === element) return []
+    const adjacent = next.index === (element.index + 1) % segments.length
+    return joinElements(element, next, adjacent ? segments[next.index].start : null, offset, round)
+  })
+  const outline = elements
+    .flatMap((element, i) => [element, ...bridges[i]])
+    .map(elementToSegment)
+    .filter(segment => !samePoint(segment.start, segment.end))
+
+  const source = segments.map(describeSegment)
+  const ends = closed ? [] : [segments[0].start, segments[segments.length - 1].end]
+  return clipOffset(
+    outline,
+    offset,
+    (point) => distanceToSegments(source, point),
+    ends.map(point => ({ x: point.x, y: point.y, radius: Math.abs(offset) }))
+  )
+}
+
+// Offset of an ellipse or elliptical arc, through points of the true
+// parallel curve
+const offsetEllipse = (obj, offset) => {
+  const { majorAxis, ratio } = obj
+  const sweep = getCurveSweep(obj)
+  const full = isFullEllipse(obj)
+  const steps = Math.ceil(sweep / (ELLIPSE_STEP_DEGREES * Math.PI / 180))
+  const curve = (t) => {
+    const angle = obj.startAngle + t
+    const point = getCurvePoint(obj, angle)
+    // The curve's derivative turned +90°
+    const dx = -majorAxis.x * Math.sin(angle) - majorAxis.y * ratio * Math.cos(angle)
+    const dy = -majorAxis.y * Math.sin(angle) + majorAxis.x * ratio * Math.cos(angle)
+    const length = Math.hypot(dx, dy)
+    return { x: point.x - dy / length * offset, y: point.y + dx / length * offset }
+  }
+
+  const step = sweep / steps
+  const points = Array.from({ length: steps + 1 }, (_, i) => curve(step * i))
+  // A full ellipse ends where it starts
+  if (full) points[steps] = points[0]
+  const outline = points.slice(1).map((end, i) => ({
+    start: points[i],
+    end,
+    bulge: 0,
+    curve: (t) => curve(step * (i + t))
+  }))
+
+  const ends = full ? [] : getCurveEndpoints(obj)
+  return clipOffset(
+    outline,
+    offset,
+    (point) => distanceToEllipse(obj, point),
+    ends.map(point => ({ x: point.x, y: point.y, radius: Math.abs(offset) }))
+  )
+}
+
+// Whether a point is inside a closed outline, by counting crossings of a
+// ray to its right
+const pointInOutline = (point, outline) => {
+  let inside = false
+  for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+    const a = outline[i]
+    const b = outline[j]
+    if ((a.y > point.y) !== (b.y > point.y) &&
+      point.x < a.x + (point.y - a.y) / (b.y - a.y) * (b.x - a.x)) {
+      inside = !inside
+    }
+  }
+  return inside
+}
+
+// Side of an object a point is on: 1 for the positive side (see the top of
+// this file), -1 for the other
+const offsetSide = (obj, point) => {
+  switch (obj.type) {
+    case 'line': {
+      const cross = (obj.end.x - obj.start.x) * (point.y - obj.start.y) - (obj.end.y - obj.start.y) * (point.x - obj.start.x)
+      return cross >= 0 ? 1 : -1
+    }
+    case 'circle':
+    case 'arc':
+      return Math.hypot(point.x - obj.x, point.y - obj.y) < obj.radius ? 1 : -1
+    case 'ellipse': {
+      const major = Math.hypot(obj.majorAxis.x, obj.majorAxis.y)
+      const dx = point.x - obj.x
+      const dy = point.y - obj.y
+      const along = (dx * obj.majorAxis.x + dy * obj.majorAxis.y) / major
+      const across = (dy * obj.majorAxis.x - dx * obj.majorAxis.y) / major
+      return (along / major) ** 2 + (across / (major * obj.ratio)) ** 2 < 1 ? 1 : -1
+    }
+    case 'rectangle':
+      return offsetSide({ type: 'polyline', points: getRectangleCorners(obj), closed: true }, point)
+    case 'polyline': {
+      if (obj.closed) {
+        // Inside is the positive side of an outline running clockwise on screen
+        const inside = pointInOutline(point, flattenPolyline(obj))
+        return inside === getPolylineSignedArea(obj) > 0 ? 1 : -1
+      }
+      // The nearest segment decides; at a vertex shared by two, the one the
+      // point lies more squarely beside
+      let best = null
+      getPolylineSegments(obj).filter(segment => !samePoint(segment.start, segment.end)).forEach(segment => {
+        const item = describeSegment(segment)
+        const closest = closestOnSegment(item, point)
+        const distance = Math.hypot(point.x - closest.x, point.y - closest.y)
+        const across = segmentSide(item, point)
+        if (!best || distance < best.distance - POINT_EPSILON ||
+          (distance <= best.distance + POINT_EPSILON && Math.abs(across) > Math.abs(best.across))) {
+          best = { distance, across }
+        }
+      })
+      return !best || best.across >= 0 ? 1 : -1
+    }
+    default:
+      return 1
+  }
+}
+
+/**
+ * Check whether an object can be offset (dimensions cannot)
+ * @param {Object} obj - Vector object
+ * @returns {boolean} True for lines, rectangles, circles, arcs, ellipses and polylines
+ */
+export const canOffset = (obj) => OFFSET_TYPES.includes(obj?.type)
+
+/**
+ * Distance from a point to an object (OFFSET's through point)
+ * @param {Object} obj - Vector object that canOffset() accepts
+ * @param {Object} point - Point {x, y}
+ * @returns {number} Shortest distance in world pixels
+ */
+export const distanceToObject = (obj, point) => {
+  switch (obj.type) {
+    case 'circle':
+      return Math.abs(Math.hypot(point.x - obj.x, point.y - obj.y) - obj.radius)
+    case 'arc': {
+      // Within the sweep the circle is nearest, outside it an end
+      const angle = Math.atan2(point.y - obj.y, point.x - obj.x)
+      if (normalizeAngle(angle - obj.startAngle) <= getCurveSweep(obj)) {
+        return Math.abs(Math.hypot(point.x - obj.x, point.y - obj.y) - obj.radius)
+      }
+      return Math.min(...getCurveEndpoints(obj).map(end => Math.hypot(point.x - end.x, point.y - end.y)))
+    }
+    case 'ellipse':
+      return distanceToEllipse(obj, point)
+    case 'line':
+      return distanceToSegments([describeSegment({ start: obj.start, end: obj.end, bulge: 0 })], point)
+    case 'rectangle':
+      return distanceToObject({ type: 'polyline', points: getRectangleCorners(obj), closed: true }, point)
+    case 'polyline': {
+      const segments = getPolylineSegments(obj).filter(segment => !samePoint(segment.start, segment.end))
+      if (segments.length === 0) return Math.hypot(point.x - obj.points[0].x, point.y - obj.points[0].y)
+      return distanceToSegments(segments.map(describeSegment), point)
+    }
+    default:
+      return Infinity
+  }
+}
+
+/**
+ * Parallel copies of an object (OFFSET)
+ * @param {Object} obj - Vector object that canOffset() accepts
+ * @param {number} distance - Offset distance in world pixels (> 0)
+ * @param {Object} sidePoint - A point on the side to offset towards
+ * @param {boolean} round - Go round the outside corners of rectangles and
+ *   polylines with arcs instead of extending their segments to meet
+ * @returns {Array} New objects without ids, on the source's layer and with
+ *   its style: none when the offset vanishes (a circle offset inwards by
+ *   its radius or more), several when it falls apart. An ellipse gives
+ *   polylines; a rectangle gives a rectangle, or a polyline when its
+ *   corners are rounded.
+ */
+export const offsetObject = (obj, distance, sidePoint, round = false) => {
+  const offset = distance * offsetSide(obj, sidePoint)
+  const style = getObjectStyle(obj)
+  const toPolylines = (polylines) => polylines.map(polyline => ({ type: 'polyline', ...style, ...polyline }))
+
+  switch (obj.type) {
+    case 'line': {
+      const length = Math.hypot(obj.end.x - obj.start.x, obj.end.y - obj.start.y)
+      if (length === 0) return []
+      const nx = -(obj.end.y - obj.start.y) / length * offset
+      const ny = (obj.end.x - obj.start.x) / length * offset
+      return [{
+        type: 'line',
+        ...style,
+        start: { x: obj.start.x + nx, y: obj.start.y + ny },
+        end: { x: obj.end.x + nx, y: obj.end.y + ny }
+      }]
+    }
+    case 'circle':
+    case 'arc': {
+      const radius = obj.radius - offset
+      if (radius <= POINT_EPSILON) return []
+      const angles = obj.type === 'arc' ? { startAngle: obj.startAngle, endAngle: obj.endAngle } : {}
+      return [{ type: obj.type, ...style, x: obj.x, y: obj.y, radius, ...angles }]
+    }
+    case 'ellipse':
+      return toPolylines(offsetEllipse(obj, offset))
+    case 'rectangle': {
+      const polylines = offsetPolyline({ points: getRectangleCorners(obj), closed: true }, offset, round)
+      // Mitered corners keep it a rectangle
+      const [outline] = polylines
+      if (polylines.length === 1 && outline.closed && outline.points.length === 4 && !outline.points.some(point => point.bulge)) {
+        const xs = outline.points.map(point => point.x)
+        const ys = outline.points.map(point => point.y)
+        const x = Math.min(...xs)
+        const y = Math.min(...ys)
+        return [{ type: 'rectangle', ...style, x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y }]
+      }
+      return toPolylines(polylines)
+    }
+    case 'polyline':
+      return toPolylines(offsetPolyline(obj, offset, round))
+    default:
+      return []
+  }
+}
@@ -0,0 +1,261 @@
+// Running object snaps (OSNAP)
+//
+// Each mode can be switched on and off on its own:
+//   endpoint      - ends of lines, arcs and polyline segments, and rectangle
+//                   corners
+//   midpoint      - middles of lines, arcs, polyline segments and rectangle
+//                   sides
+//   center        - centers of circles, arcs, ellipses and rectangles
+//   quadrant      - points of circles, arcs and ellipses at 0, 90, 180 and 270°
+//   intersection  - where two objects, or two segments of one, cross
+//   apparent      - where two objects would cross with lines run on and arcs
+//                   made whole circles
+//   perpendicular - foot of the perpendicular from the base point
+//   tangent       - point of a circle or arc a line from the base point
+//                   touches
+//   nearest       - nearest point of an object
+//   extension     - on past the end of a line or arc, once acquired
+//   parallel      - from the base point parallel to a line, once acquired
+// The base point is where the cursor draws from, such as the start of the
+// line being drawn; perpendicular, tangent and parallel need one. Ends and
+// lines are acquired for extension and parallel by passing the cursor over
+// them (see getSnapPaths).
+//
+// Every snap lies within the aperture (tolerance) of the cursor. Snaps to a
+// point win over the extension and parallel paths, which win over nearest;
+// among equals the one closest to the cursor wins.
+
+import { getObjectSnapPoints } from './drawing-utils.js'
+import {
+  boundsTouch,
+  getEdgeBounds,
+  getEdgeLength,
+  getEdgeParameter,
+  getEdgePoint,
+  getEdgeShape,
+  intersectEdges,
+  intersectShapes,
+  isOnEdge,
+  reverseEdge
+} from './geometry-utils.js'
+import { getObjectEdges } from './trim-utils.js'
+
+// Running object snap modes and their names
+export const OSNAP_MODES = {
+  endpoint: 'Endpoint',
+  midpoint: 'Midpoint',
+  center: 'Center',
+  quadrant: 'Quadrant',
+  intersection: 'Intersection',
+  apparent: 'Apparent intersection',
+  perpendicular: 'Perpendicular',
+  tangent: 'Tangent',
+  nearest: 'Nearest',
+  extension: 'Extension',
+  parallel: 'Parallel'
+}
+
+export const DEFAULT_OSNAP_MODES = ['endpoint', 'midpoint', 'center', 'quadrant', 'intersection', 'extension']
+
+/**
+ * Mode that switches snaps of a type
+ * @param {string} type - Snap type from findObjectSnap() or getSnapPointsInProximity()
+ * @returns {string} Key of OSNAP_MODES ('endpoint' for rectangle corners)
+ */
+export const getSnapTypeMode = (type) => type === 'corner' ? 'endpoint' : type
+
+// Snap point lists of getObjectSnapPoints() and the snap type and mode of
+// each
+const POINT_SNAPS = [
+  { list: 'endpoints', type: 'endpoint', mode: 'endpoint' },
+  { list: 'corners', type: 'corner', mode: 'endpoint' },
+  { list: 'midpoints', type: 'midpoint', mode: 'midpoint' },
+  { list: 'centers', type: 'center', mode: 'center' },
+  { list: 'quadrants', type: 'quadrant', mode: 'quadrant' }
+]
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y)
+
+// Box reaching a distance round a point, for boundsTouch()
+const boxAround = (point, reach) => ({
+  minX: point.x - reach,
+  minY: point.y - reach,
+  maxX: point.x + reach,
+  maxY: point.y + reach
+})
+
+// Point of an edge nearest a point
+const nearestOnEdge = (edge, point) => getEdgePoint(edge, Math.min(1, Math.max(0, getEdgeParameter(edge, point))))
+
+// Distance from a point to the whole line or circle an edge lies on
+const distanceToShape = (edge, point) => {
+  const shape = getEdgeShape(edge)
+  if (!shape.start) return Math.abs(distance(shape, point) - shape.radius)
+  return distance(getEdgePoint(edge, getEdgeParameter(edge, point)), point)
+}
+
+// Edges of objects passing within the aperture of a point, with the point
+// of each nearest it
+const edgesNear = (objects, point, tolerance) => {
+  const box = boxAround(point, tolerance)
+  const near = []
+  objects.forEach(obj => getObjectEdges(obj).forEach(edge => {
+    if (!boundsTouch(getEdgeBounds(edge), box)) return
+    const nearest = nearestOnEdge(edge, point)
+    if (distance(nearest, point) <= tolerance) near.push({ edge, nearest })
+  }))
+  return near
+}
+
+// Feet of the perpendiculars from a point onto an edge's line or circle
+// that lie on the edge
+const perpendicularFeet = (edge, from) => {
+  const shape = getEdgeShape(edge)
+  let feet
+  if (shape.start) {
+    feet = [getEdgePoint(edge, getEdgeParameter(edge, from))]
+  } else {
+    const reach = distance(shape, from)
+    if (reach === 0) return []
+    feet = [1, -1].map(side => ({
+      x: shape.x + (from.x - shape.x) / reach * shape.radius * side,
+      y: shape.y + (from.y - shape.y) / reach * shape.radius * side
+    }))
+  }
+  return feet.filter(foot => isOnEdge(edge, getEdgeParameter(edge, foot)))
+}
+
+// Points of an arc edge a line from a point outside its circle touches
+const tangentPoints = (edge, from) => {
+  const shape = getEdgeShape(edge)
+  if (shape.start) return []
+  const reach = distance(shape, from)
+  if (reach <= shape.radius) return []
+  const toward = Math.atan2(from.y - shape.y, from.x - shape.x)
+  const spread = Math.acos(shape.radius / reach)
+  return [toward - spread, toward + spread]
+    .map(angle => ({ x: shape.x + Math.cos(angle) * shape.radius, y: shape.y + Math.sin(angle) * shape.radius }))
+    .filter(point => isOnEdge(edge, getEdgeParameter(edge, point)))
+}
+
+/**
+ * Ends and lines under the cursor, for the extension and parallel snaps to
+ * follow once the cursor moves on
+ * @param {Array} objects - Objects to snap to
+ * @param {Object} point - Cursor position in world coordinates
+ * @param {number} tolerance - Aperture in world units
+ * @returns {Object} { ends, lines }: edges running to an open end of a line,
+ *   arc or polyline near the point (the end at t = 1), and straight edges
+ *   passing near it
+ */
+export const getSnapPaths = (objects, point, tolerance) => {
+  const paths = { ends: [], lines: [] }
+  const box = boxAround(point, tolerance)
+  objects.forEach(obj => {
+    const edges = getObjectEdges(obj)
+    if (edges.length === 0) return
+    const open = ['line', 'arc'].includes(obj.type) || (obj.type === 'polyline' && !obj.closed)
+    if (open) {
+      [reverseEdge(edges[0]), edges[edges.length - 1]].forEach(edge => {
+        if (distance(getEdgePoint(edge, 1), point) <= tolerance) paths.ends.push(edge)
+      })
+    }
+    edges.forEach(edge => {
+      if (edge.start && getEdgeLength(edge) > 0 && boundsTouch(getEdgeBounds(edge), box) && distance(nearestOnEdge(edge, point), point) <= tolerance) {
+        paths.lines.push(edge)
+      }
+    })
+  })
+  return paths
+}
+
+/**
+ * Find the running object snap for the cursor
+ * @param {Object} point - Cursor position in world coordinates
+ * @param {Array} objects - Objects to snap to
+ * @param {Object} options - {
+ *     modes: names of the modes on (keys of OSNAP_MODES),
+ *     tolerance: aperture in world units,
+ *     base: point the cursor draws from, or null,
+ *     paths: { ends, lines } acquired with getSnapPaths(),
+ *     points: more endpoints, such as the vertices of a polyline being drawn,
+ *     extended: objects whose lines and circles are run on for apparent
+ *       intersections, when objects holds only those near the cursor
+ *       (defaults to objects)
+ *   }
+ * @returns {Object|null} { position, type, guide }: the snapped point, its
+ *   snap type (a mode, or 'corner' for rectangle corners) and for
+ *   extension and parallel the { start, end } of the path followed; null
+ *   when nothing is in the aperture
+ */
+export const findObjectSnap = (point, objects, options) => {
+  const { tolerance, base = null, paths = { ends: [], lines: [] }, points = [], extended = objects } = options
+  const modes = new Set(options.modes)
+  let best = null
+  let bestDistance = Infinity
+  // Keep a candidate when it is the closest to the cursor so far
+  const offer = (position, type, guide = null) => {
+    const away = distance(position, point)
+    // Ties go to the mode offered first
+    if (best ? away >= bestDistance : away > tolerance) return
+    best = { position: { x: position.x, y: position.y }, type, guide }
+    bestDistance = away
+  }
+
+  // Points of objects
+  const snapPoints = objects.map(getObjectSnapPoints)
+  if (modes.has('endpoint')) snapPoints.push({ endpoints: points })
+  POINT_SNAPS.forEach(({ list, type, mode }) => {
+    if (!modes.has(mode)) return
+    snapPoints.forEach(lists => lists[list]?.forEach(position => offer(position, type)))
+  })
+
+  const near = edgesNear(objects, point, tolerance)
+  if (modes.has('intersection')) {
+    near.forEach((a, i) => near.slice(i + 1).forEach(b => {
+      intersectEdges(a.edge, b.edge).forEach(crossing => offer(crossing.point, 'intersection'))
+    }))
+  }
+  if (modes.has('apparent')) {
+    const shapes = extended.flatMap(getObjectEdges).filter(edge => distanceToShape(edge, point) <= tolerance)
+    shapes.forEach((a, i) => shapes.slice(i + 1).forEach(b => {
+      intersectShapes(getEdgeShape(a), getEdgeShape(b)).forEach(crossing => {
+        // Crossings on both edges are real intersections
+        const real = isOnEdge(a, getEdgeParameter(a, crossing)) && isOnEdge(b, getEdgeParameter(b, crossing))
+        if (!real) offer(crossing, 'apparent')
+      })
+    }))
+  }
+  if (base && modes.has('perpendicular')) {
+    near.forEach(({ edge }) => perpendicularFeet(edge, base).forEach(foot => offer(foot, 'perpendicular')))
+  }
+  if (base && modes.has('tangent')) {
+    near.forEach(({ edge }) => tangentPoints(edge, base).forEach(touch => offer(touch, 'tangent')))
+  }
+  if (best) return best
+
+  // Paths
+  if (modes.has('extension')) {
+    paths.ends.forEach(edge => {
+      const t = getEdgeParameter(edge, point)
+      if (t > 1 && !isOnEdge(edge, t)) offer(getEdgePoint(edge, t), 'extension', { start: getEdgePoint(edge, 1), end: getEdgePoint(edge, t) })
+    })
+  }
+  if (base && modes.has('parallel')) {
+    paths.lines.forEach(edge => {
+      const length = distance(edge.start, edge.end)
+      const direction = { x: (edge.end.x - edge.start.x) / length, y: (edge.end.y - edge.start.y) / length }
+      const along = (point.x - base.x) * direction.x + (point.y - base.y) * direction.y
+      const position = { x: base.x + direction.x * along, y: base.y + direction.y * along }
+      // Not at the base point itself, nor along the line it was taken from
+      if (Math.abs(along) <= tolerance || distanceToShape(edge, base) <= tolerance) return
+      offer(position, 'parallel', { start: base, end: position })
+    })
+  }
+  if (best) return best
+
+  if (modes.has('nearest')) {
+    near.forEach(({ nearest }) => offer(nearest, 'nearest'))
+  }
+  return best
+}
@@ -0,0 +1,529 @@
+// Scaled PDF plot of cadStore.vectorObjects with a title block
+//
+// The PDF is written by hand (no library, no print server): one page, the
+// standard Helvetica font and a content stream of path and text operators.
+//
+// Drawing goes through createPdfContext(), a small recorder with the same
+// API as CanvasRenderingContext2D for the calls drawing-utils.js makes
+// (beginPath/moveTo/lineTo/rect/arc/ellipse/stroke/fill/fillText/save/restore,
+// translate/rotate and the style properties). The plot therefore reuses drawVectorObject(), the same
+// code that paints the canvas.
+//
+// Page coordinates given to the recorder are "paper pixels": 96 per inch,
+// Y down, origin at the top-left corner of the sheet, exactly like the
+// canvas. A single page matrix converts them to PDF points (72 per inch,
+// Y up). With zoomLevel = scale factor, one world pixel is 1/96 inch times
+// the scale on paper, and constant-size details (line widths, arrowheads,
+// dimension text) print at the size they have on screen.
+
+import { drawVectorObject, getObjectsBounds } from './drawing-utils.js'
+import { parseHexColor } from './dxf-common.js'
+import { PIXELS_PER_INCH, inchesToPixels } from './units.js'
+
+const POINTS_PER_INCH = 72
+
+// Plot scales: paper length per drawing length
+export const PLOT_SCALES = {
+  '1:1': { label: '1:1 (full size)', factor: 1 },
+  '1:2': { label: '1:2 (half size)', factor: 0.5 },
+  '1/4:1': { label: '1/4" = 1" (quarter size)', factor: 0.25 }
+}
+
+// Paper sizes in inches, portrait
+export const PAPER_SIZES = {
+  letter: { label: 'Letter (8.5 x 11 in)', width: 8.5, height: 11 },
+  legal: { label: 'Legal (8.5 x 14 in)', width: 8.5, height: 14 },
+  tabloid: { label: 'Tabloid (11 x 17 in)', width: 11, height: 17 },
+  a4: { label: 'A4 (210 x 297 mm)', width: 210 / 25.4, height: 297 / 25.4 },
+  a3: { label: 'A3 (297 x 420 mm)', width: 297 / 25.4, height: 420 / 25.4 }
+}
+
+// Sheet layout in inches
+const SHEET_MARGIN = 0.5
+const TITLE_BLOCK_HEIGHT = 0.75
+const PLOT_AREA_PADDING = 0.125
+
+// Title block cells, left to right: field, caption and share of the width
+const TITLE_BLOCK_CELLS = [
+  { field: 'jobName', caption: 'JOB', share: 0.36 },
+  { field: 'cabinetNumber', caption: 'CABINET NO.', share: 0.16 },
+  { field: 'date', caption: 'DATE', share: 0.16 },
+  { field: 'drafter', caption: 'DRAFTER', share: 0.16 },
+  { field: 'scale', caption: 'SCALE', share: 0.16 }
+]
+
+// Helvetica glyph widths for ASCII 32-126, in 1/1000 em (from the standard AFM).
+// Used to align centered and right-aligned text; other characters use DEFAULT_GLYPH_WIDTH.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+const DEFAULT_GLYPH_WIDTH = 556
+
+// Format a number for a PDF operator
+const num = (value) => {
+  const rounded = Number(value.toFixed(3))
+  return String(rounded === 0 ? 0 : rounded)
+}
+
+/**
+ * Encode text as a PDF literal string in WinAnsiEncoding.
+ * Latin-1 characters are written as octal escapes so the file stays ASCII;
+ * anything outside Latin-1 becomes '?'.
+ * @param {string} text - Text to encode
+ * @returns {string} e.g. "(Job \\(A\\))"
+ */
+const pdfString = (text) => {
+  let encoded = ''
+  for (const char of String(text)) {
+    const code = char.codePointAt(0)
+    if (char === '\\' || char === '(' || char === ')') {
+      encoded += '\\' + char
+    } else if (code >= 32 && code <= 126) {
+      encoded += char
+    } else if (code >= 160 && code <= 255) {
+      encoded += '\\' + code.toString(8).padStart(3, '0')
+    } else {
+      encoded += '?'
+    }
+  }
+  return `(${encoded})`
+}
+
+/**
+ * Measure text set in Helvetica
+ * @param {string} text - Text to measure
+ * @param {number} size - Font size
+ * @returns {number} Width in the same units as size
+ */
+const measureHelvetica = (text, size) => {
+  let width = 0
+  for (const char of String(text)) {
+    const code = char.codePointAt(0)
+    width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_GLYPH_WIDTH
+  }
+  return width * size / 1000
+}
+
+// PDF color operands for a CSS color; only #RRGGBB is understood, anything else is black
+const colorOperands = (color) => {
+  const rgb = parseHexColor(color) || [0, 0, 0]
+  return rgb.map(channel => num(channel / 255)).join(' ')
+}
+
+/**
+ * Create a canvas-like context that records PDF content stream operators
+ * @param {Object} options - { monochrome: draw every color as black }
+ * @returns {Object} Context with the CanvasRenderingContext2D subset used by
+ *   drawing-utils.js, plus toString() returning the recorded operators
+ */
+export const createPdfContext = ({ monochrome = false } = {}) => {
+  const operators = []
+  // Path segments since the last beginPath(), replayed by every paint call
+  let path = []
+  let hasCurrentPoint = false
+  const stateStack = []
+
+  const context = {
+    strokeStyle: '#000000',
+    fillStyle: '#000000',
+    lineWidth: 1,
+    lineCap: 'round',
+    lineJoin: 'round',
+    font: '10px Arial',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    lineDash: [],
+
+    save () {
+      stateStack.push({
+        strokeStyle: this.strokeStyle,
+        fillStyle: this.fillStyle,
+        lineWidth: this.lineWidth,
+        lineCap: this.lineCap,
+        lineJoin: this.lineJoin,
+        font: this.font,
+        textAlign: this.textAlign,
+        textBaseline: this.textBaseline,
+        lineDash: this.lineDash
+      })
+      operators.push('q')
+    },
+
+    restore () {
+      const state = stateStack.pop()
+      if (!state) return
+      Object.assign(this, state)
+      operators.push('Q')
+    },
+
+    // Transforms apply to everything recorded after them, like the canvas
+    // as long as they come before beginPath() (paths are written out when
+    // painted); save()/restore() scope them through q/Q
+    translate (x, y) {
+      operators.push(`1 0 0 1 ${num(x)} ${num(y)} cm`)
+    },
+
+    rotate (angle) {
+      const cos = Math.cos(angle)
+      const sin = Math.sin(angle)
+      operators.push(`${num(cos)} ${num(sin)} ${num(-sin)} ${num(cos)} 0 0 cm`)
+    },
+
+    setLineDash (segments) {
+      this.lineDash = [...segments]
+    },
+
+    getLineDash () {
+      return [...this.lineDash]
+    },
+
+    beginPath () {
+      path = []
+      hasCurrentPoint = false
+    },
+
+    moveTo (x, y) {
+      path.push(`${num(x)} ${num(y)} m`)
+      hasCurrentPoint = true
+    },
+
+    lineTo (x, y) {
+      path.push(`${num(x)} ${num(y)} ${hasCurrentPoint ? 'l' : 'm'}`)
+      hasCurrentPoint = true
+    },
+
+    closePath () {
+      path.push('h')
+    },
+
+    rect (x, y, width, height) {
+      path.push(`${num(x)} ${num(y)} ${num(width)} ${num(height)} re`)
+      hasCurrentPoint = true
+    },
+
+    // Canvas arc semantics (angles in radians, clockwise on a Y-down page
+    // unless counterclockwise), written as cubic Bezier segments of at most 90 degrees
+    arc (x, y, radius, startAngle, endAngle, counterclockwise = false) {
+      let sweep = endAngle - startAngle
+      if (!counterclockwise && sweep >= 2 * Math.PI) {
+        sweep = 2 * Math.PI
+      } else if (counterclockwise && sweep <= -2 * Math.PI) {
+        sweep = -2 * Math.PI
+      } else {
+        sweep = ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)
+        if (counterclockwise && sweep !== 0) sweep -= 2 * Math.PI
+      }
+
+      const start = { x: x + radius * Math.cos(startAngle), y: y + radius * Math.sin(startAngle) }
+      this.lineTo(start.x, start.y)
+
+      const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)))
+      const step = sweep / segments
+      // Control point distance for a Bezier approximating a circular arc of `step`
+      const handle = 4 / 3 * Math.tan(step / 4) * radius
+      for (let i = 0; i < segments; i++) {
+        const a0 = startAngle + step * i
+        const a1 = a0 + step
+        const p0 = { x: x + radius * Math.cos(a0), y: y + radius * Math.sin(a0) }
+        const p1 = { x: x + radius * Math.cos(a1), y: y + radius * Math.sin(a1) }
+        path.push([
+          num(p0.x - handle * Math.sin(a0)), num(p0.y + handle * Math.cos(a0)),
+          num(p1.x + handle * Math.sin(a1)), num(p1.y - handle * Math.cos(a1)),
+          num(p1.x), num(p1.y), 'c'
+        ].join(' '))
+      }
+    },
+
+    // Canvas ellipse semantics for the clockwise direction drawing-utils.js
+    // uses: parameters from the rotated major axis, as Bezier segments of at
+    // most 90 degrees of parameter
+    ellipse (x, y, radiusX, radiusY, rotation, startAngle, endAngle) {
+      let sweep = endAngle - startAngle
+      sweep = sweep >= 2 * Math.PI ? 2 * Math.PI : ((sweep % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI)
+
+      const cos = Math.cos(rotation)
+      const sin = Math.sin(rotation)
+      // Point and derivative at a parameter
+      const at = (t) => ({
+        x: x + radiusX * Math.cos(t) * cos - radiusY * Math.sin(t) * sin,
+        y: y + radiusX * Math.cos(t) * sin + radiusY * Math.sin(t) * cos
+      })
+      const tangent = (t) => ({
+        x: -radiusX * Math.sin(t) * cos - radiusY * Math.cos(t) * sin,
+        y: -radiusX * Math.sin(t) * sin + radiusY * Math.cos(t) * cos
+      })
+
+      const start = at(startAngle)
+      this.lineTo(start.x, start.y)
+
+      const segments = Math.max(1, Math.ceil(sweep / (Math.PI / 2)))
+      const step = sweep / segments
+      // The circular arc handle length, in parameter units
+      const handle = 4 / 3 * Math.tan(step / 4)
+      for (let i = 0; i < segments; i++) {
+        const t0 = startAngle + step * i
+        const t1 = t0 + step
+        const p0 = at(t0)
+        const p1 = at(t1)
+        const d0 = tangent(t0)
+        const d1 = tangent(t1)
+        path.push([
+          num(p0.x + handle * d0.x), num(p0.y + handle * d0.y),
+          num(p1.x - handle * d1.x), num(p1.y - handle * d1.y),
+          num(p1.x), num(p1.y), 'c'
+        ].join(' '))
+      }
+    },
+
+    stroke () {
+      if (path.length === 0) return
+      const color = monochrome ? '#000000' : this.strokeStyle
+      operators.push(
+        `${colorOperands(color)} RG`,
+        `${num(this.lineWidth)} w`,
+        `[${this.lineDash.map(num).join(' ')}] 0 d`,
+        ...path,
+        'S'
+      )
+    },
+
+    fill () {
+      if (path.length === 0) return
+      const color = monochrome ? '#000000' : this.fillStyle
+      operators.push(`${colorOperands(color)} rg`, ...path, 'f')
+    },
+
+    // Restrict later drawing to the current path until the matching restore()
+    clip () {
+      if (path.length === 0) return
+      operators.push(...path, 'W n')
+    },
+
+    strokeRect (x, y, width, height) {
+      this.beginPath()
+      this.rect(x, y, width, height)
+      this.stroke()
+    },
+
+    fillRect (x, y, width, height) {
+      this.beginPath()
+      this.rect(x, y, width, height)
+      this.fill()
+    },
+
+    // Canvas clears to transparent; paper is already blank
+    clearRect () {},
+
+    measureText (text) {
+      return { width: measureHelvetica(text, this.fontSize()) }
+    },
+
+    fillText (text, x, y) {
+      const size = this.fontSize()
+      const width = measureHelvetica(text, size)
+      let left = x
+      if (this.textAlign === 'center') left -= width / 2
+      else if (this.textAlign === 'right' || this.textAlign === 'end') left -= width
+
+      // Shift from the requested baseline to the alphabetic baseline (Y down)
+      let baseline = y
+      if (this.textBaseline === 'middle') baseline += size * 0.35
+      else if (this.textBaseline === 'top' || this.textBaseline === 'hanging') baseline += size * 0.75
+      else if (this.textBaseline === 'bottom' || this.textBaseline === 'ideographic') baseline -= size * 0.2
+
+      const color = monochrome ? '#000000' : this.fillStyle
+      // The page matrix flips Y, so flip the text matrix back to keep glyphs upright
+      operators.push(
+        'BT',
+        `/F1 ${num(size)} Tf`,
+        `${colorOperands(color)} rg`,
+        `1 0 0 -1 ${num(left)} ${num(baseline)} Tm`,
+        `${pdfString(text)} Tj`,
+        'ET'
+      )
+    },
+
+    // Font size in paper pixels from a CSS font string such as "bold 12px Arial"
+    fontSize () {
+      const match = /(\d+(?:\.\d+)?)px/.exec(this.font)
+      return match ? parseFloat(match[1]) : 10
+    },
+
+    toString () {
+      return operators.join('\n')
+    }
+  }
+
+  return context
+}
+
+/**
+ * Assemble a single-page PDF file
+ * @param {Object} page - { width, height } in points, content: content stream
+ *   text (ASCII), title: document title
+ * @returns {string} PDF file contents (ASCII, safe to measure with .length)
+ */
+export const buildPdf = ({ width, height, content, title = '' }) => {
+  const now = new Date()
+  const pad = (value) => String(value).padStart(2, '0')
+  const creationDate = `D:${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(height)}] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>`,
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    `<< /Title ${pdfString(title)} /Producer (BradCAD) /CreationDate (${creationDate}) >>`
+  ]
+
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+
+  const xrefOffset = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  offsets.forEach(offset => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`
+  })
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  return pdf
+}
+
+/**
+ * Draw the border and title block, returning the area left for the drawing
+ * @param {Object} ctx - Context from createPdfContext()
+ * @param {number} sheetWidth - Sheet width in paper pixels
+ * @param {number} sheetHeight - Sheet height in paper pixels
+ * @param {Object} values - Title block text by field (see TITLE_BLOCK_CELLS)
+ * @returns {Object} Plot area {x, y, width, height} in paper pixels
+ */
+const drawSheet = (ctx, sheetWidth, sheetHeight, values) => {
+  const margin = inchesToPixels(SHEET_MARGIN)
+  const blockHeight = inchesToPixels(TITLE_BLOCK_HEIGHT)
+  const borderWidth = sheetWidth - margin * 2
+  const borderHeight = sheetHeight - margin * 2
+  const blockTop = margin + borderHeight - blockHeight
+
+  ctx.strokeStyle = '#000000'
+  ctx.fillStyle = '#000000'
+  ctx.lineWidth = 1.5
+  ctx.strokeRect(margin, margin, borderWidth, borderHeight)
+
+  ctx.lineWidth = 1
+  ctx.beginPath()
+  ctx.moveTo(margin, blockTop)
+  ctx.lineTo(margin + borderWidth, blockTop)
+  let cellLeft = margin
+  const cells = TITLE_BLOCK_CELLS.map((cell, index) => {
+    const width = borderWidth * cell.share
+    if (index > 0) {
+      ctx.moveTo(cellLeft, blockTop)
+      ctx.lineTo(cellLeft, blockTop + blockHeight)
+    }
+    const placed = { ...cell, left: cellLeft, width }
+    cellLeft += width
+    return placed
+  })
+  ctx.stroke()
+
+  ctx.textAlign = 'left'
+  ctx.textBaseline = 'top'
+  cells.forEach(cell => {
+    ctx.font = '9px Arial'
+    ctx.fillText(cell.caption, cell.left + 6, blockTop + 6)
+
+    // Shrink long values to fit their cell
+    const value = values[cell.field] || ''
+    let size = 16
+    ctx.font = `${size}px Arial`
+    const available = cell.width - 12
+    const width = ctx.measureText(value).width
+    if (width > available) {
+      size = Math.max(6, size * available / width)
+      ctx.font = `${size}px Arial`
+    }
+    ctx.fillText(value, cell.left + 6, blockTop + blockHeight / 2)
+  })
+
+  const padding = inchesToPixels(PLOT_AREA_PADDING)
+  return {
+    x: margin + padding,
+    y: margin + padding,
+    width: borderWidth - padding * 2,
+    height: borderHeight - blockHeight - padding * 2
+  }
+}
+
+/**
+ * Plot vector objects to a one-page PDF at a fixed scale.
+ * The drawing extents are centered in the plot area above the title block;
+ * anything that does not fit at the chosen scale is clipped at the border.
+ * @param {Array} vectorObjects - Objects to plot (cadStore.displayObjects: visible layers, ByLayer resolved)
+ * @param {Object} settings - cadStore.plotSettings: { paper, orientation,
+ *   scale, monochrome, titleBlock: { jobName, cabinetNumber, date, drafter } }
+ * @param {Object} dimensionFormat - Document units, precision and dimension
+ *   styles (cadStore.dimensionFormat)
+ * @returns {Object} { pdf: file contents, clipped: true when the drawing did not fit }
+ */
+export const plotPDF = (vectorObjects, settings = {}, dimensionFormat = {}) => {
+  const paper = PAPER_SIZES[settings.paper] || PAPER_SIZES.letter
+  const scale = PLOT_SCALES[settings.scale] || PLOT_SCALES['1:1']
+  const landscape = settings.orientation === 'landscape'
+  const sheetWidth = inchesToPixels(landscape ? paper.height : paper.width)
+  const sheetHeight = inchesToPixels(landscape ? paper.width : paper.height)
+
+  const ctx = createPdfContext({ monochrome: !!settings.monochrome })
+  // Paper pixels (Y down) to PDF points (Y up)
+  const pointsPerPixel = POINTS_PER_INCH / PIXELS_PER_INCH
+  ctx.save()
+  const pageMatrix = `${num(pointsPerPixel)} 0 0 ${num(-pointsPerPixel)} 0 ${num(sheetHeight * pointsPerPixel)} cm`
+  const content = [pageMatrix, '1 J 1 j']
+
+  const titleBlock = settings.titleBlock || {}
+  const area = drawSheet(ctx, sheetWidth, sheetHeight, {
+    ...titleBlock,
+    scale: scale.label.replace(/ \(.*\)$/, '')
+  })
+
+  let clipped = false
+  const bounds = getObjectsBounds(vectorObjects)
+  if (bounds) {
+    const zoomLevel = scale.factor
+    const drawingWidth = (bounds.maxX - bounds.minX) * zoomLevel
+    const drawingHeight = (bounds.maxY - bounds.minY) * zoomLevel
+    clipped = drawingWidth > area.width || drawingHeight > area.height
+
+    // Center the drawing extents in the plot area
+    const panOffset = {
+      x: area.x + (area.width - drawingWidth) / 2 - bounds.minX * zoomLevel,
+      y: area.y + (area.height - drawingHeight) / 2 - bounds.minY * zoomLevel
+    }
+
+    ctx.save()
+    ctx.beginPath()
+    ctx.rect(area.x, area.y, area.width, area.height)
+    ctx.clip()
+    vectorObjects.forEach(obj => drawVectorObject(ctx, obj, panOffset, zoomLevel, dimensionFormat))
+    ctx.restore()
+  }
+  ctx.restore()
+
+  content.push(ctx.toString())
+  const pdf = buildPdf({
+    width: sheetWidth * pointsPerPixel,
+    height: sheetHeight * pointsPerPixel,
+    content: content.join('\n'),
+    title: titleBlock.jobName || ''
+  })
+
+  return { pdf, clipped }
+}
@@ -0,0 +1,218 @@
+// Polyline geometry: segments, bulge arcs, length, area, regular polygons and
+// rotated rectangles
+//
+// A polyline object is { type: 'polyline', points, closed }. Each point is
+// {x, y} with an optional bulge shaping the segment to the next point (for
+// the last point of a closed polyline, the closing segment): 0 or missing
+// for a straight segment, otherwise tan(sweep / 4) of an arc, as in DXF.
+// Sweeps are world angles, so a positive bulge turns clockwise on screen
+// (Y down); DXF, being Y up, stores the opposite sign.
+
+// Degrees of arc per point when arcs are approximated by straight pieces
+const ARC_SEGMENT_DEGREES = 5
+
+/**
+ * Segments of a polyline, including the closing one of a closed polyline
+ * @param {Object} obj - Polyline object
+ * @returns {Array} Segments [{start, end, bulge}]
+ */
+export const getPolylineSegments = (obj) => {
+  const points = obj.points || []
+  const segments = []
+  const count = obj.closed && points.length > 1 ? points.length : points.length - 1
+  for (let i = 0; i < count; i++) {
+    const start = points[i]
+    const end = points[(i + 1) % points.length]
+    segments.push({ start, end, bulge: start.bulge || 0 })
+  }
+  return segments
+}
+
+/**
+ * Arc of a bulged segment
+ * @param {Object} start - Segment start {x, y}
+ * @param {Object} end - Segment end {x, y}
+ * @param {number} bulge - tan(sweep / 4); positive turns clockwise on screen
+ * @returns {Object|null} { center, radius, startAngle, endAngle } with
+ *   endAngle - startAngle the signed sweep, or null for a straight segment
+ */
+export const getBulgeArc = (start, end, bulge) => {
+  const chord = Math.hypot(end.x - start.x, end.y - start.y)
+  if (!bulge || chord === 0) return null
+
+  const sweep = 4 * Math.atan(bulge)
+  const radius = chord * (1 + bulge * bulge) / (4 * Math.abs(bulge))
+  // The center lies on the chord's perpendicular bisector, on the side of
+  // positive angles for a positive bulge of less than a half circle
+  const offset = chord * (1 - bulge * bulge) / (4 * bulge)
+  const center = {
+    x: (start.x + end.x) / 2 - (end.y - start.y) / chord * offset,
+    y: (start.y + end.y) / 2 + (end.x - start.x) / chord * offset
+  }
+  const startAngle = Math.atan2(start.y - center.y, start.x - center.x)
+  return { center, radius, startAngle, endAngle: startAngle + sweep }
+}
+
+/**
+ * Bulge of the arc leaving a point along a tangent direction and ending at
+ * another point (PLINE's arc mode)
+ * @param {Object} start - Arc start {x, y}
+ * @param {number} tangent - Direction at the start, radians
+ * @param {Object} end - Arc end {x, y}
+ * @returns {number} Bulge (0 when the end lies straight ahead)
+ */
+export const getTangentBulge = (start, tangent, end) => {
+  const chord = Math.atan2(end.y - start.y, end.x - start.x)
+  // The chord turns from the tangent by half the sweep
+  let turn = chord - tangent
+  while (turn > Math.PI) turn -= 2 * Math.PI
+  while (turn <= -Math.PI) turn += 2 * Math.PI
+  return Math.tan(turn / 2)
+}
+
+/**
+ * Direction of a segment where it ends
+ * @param {Object} segment - Segment {start, end, bulge}
+ * @returns {number} Tangent direction at the end, radians
+ */
+export const getSegmentEndTangent = (segment) => {
+  const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+  if (!arc) return Math.atan2(segment.end.y - segment.start.y, segment.end.x - segment.start.x)
+  return arc.endAngle + (arc.endAngle > arc.startAngle ? Math.PI / 2 : -Math.PI / 2)
+}
+
+/**
+ * Middle of a segment, on the arc for a bulged one
+ * @param {Object} segment - Segment {start, end, bulge}
+ * @returns {Object} Midpoint {x, y}
+ */
+export const getSegmentMidpoint = (segment) => {
+  const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+  if (!arc) {
+    return { x: (segment.start.x + segment.end.x) / 2, y: (segment.start.y + segment.end.y) / 2 }
+  }
+  const angle = (arc.startAngle + arc.endAngle) / 2
+  return { x: arc.center.x + Math.cos(angle) * arc.radius, y: arc.center.y + Math.sin(angle) * arc.radius }
+}
+
+/**
+ * Points along a segment, approximating a bulged one with short straight pieces
+ * @param {Object} segment - Segment {start, end, bulge}
+ * @returns {Array} Points {x, y} from start to end
+ */
+export const flattenSegment = (segment) => {
+  const start = { x: segment.start.x, y: segment.start.y }
+  const end = { x: segment.end.x, y: segment.end.y }
+  const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+  if (!arc) return [start, end]
+
+  const sweep = arc.endAngle - arc.startAngle
+  const steps = Math.max(2, Math.ceil(Math.abs(sweep) / (ARC_SEGMENT_DEGREES * Math.PI / 180)))
+  const points = [start]
+  for (let i = 1; i < steps; i++) {
+    const angle = arc.startAngle + sweep * i / steps
+    points.push({ x: arc.center.x + Math.cos(angle) * arc.radius, y: arc.center.y + Math.sin(angle) * arc.radius })
+  }
+  points.push(end)
+  return points
+}
+
+/**
+ * Outline of a polyline as points, arcs approximated; a closed polyline
+ * ends back at its first point
+ * @param {Object} obj - Polyline object
+ * @returns {Array} Points {x, y}
+ */
+export const flattenPolyline = (obj) => {
+  const segments = getPolylineSegments(obj)
+  if (segments.length === 0) return (obj.points || []).map(point => ({ x: point.x, y: point.y }))
+  return segments.reduce((points, segment) => points.concat(flattenSegment(segment).slice(1)), [
+    { x: segments[0].start.x, y: segments[0].start.y }
+  ])
+}
+
+/**
+ * Length of a polyline along its segments and arcs
+ * @param {Object} obj - Polyline object
+ * @returns {number} Length in world pixels
+ */
+export const getPolylineLength = (obj) => {
+  return getPolylineSegments(obj).reduce((length, segment) => {
+    const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+    return length + (arc
+      ? arc.radius * Math.abs(arc.endAngle - arc.startAngle)
+      : Math.hypot(segment.end.x - segment.start.x, segment.end.y - segment.start.y))
+  }, 0)
+}
+
+/**
+ * Signed area enclosed by a polyline, arcs included. An open polyline is
+ * measured as if closed by a straight segment, as AutoCAD's AREA does.
+ * @param {Object} obj - Polyline object
+ * @returns {number} Area in square world pixels, positive when the outline
+ *   runs clockwise on screen (the direction of positive angles)
+ */
+export const getPolylineSignedArea = (obj) => {
+  const segments = getPolylineSegments({ ...obj, closed: true })
+  // Shoelace over the vertices, plus the circular segment each arc adds or
+  // removes (its sign follows the sweep, like the shoelace terms)
+  return segments.reduce((sum, segment) => {
+    const { start, end } = segment
+    // The closing segment of an open polyline is straight
+    const arc = segment === segments[segments.length - 1] && !obj.closed
+      ? null
+      : getBulgeArc(start, end, segment.bulge)
+    const sweep = arc ? arc.endAngle - arc.startAngle : 0
+    const arcArea = arc ? arc.radius * arc.radius * (sweep - Math.sin(sweep)) / 2 : 0
+    return sum + (start.x * end.y - end.x * start.y) / 2 + arcArea
+  }, 0)
+}
+
+/**
+ * Area enclosed by a polyline, arcs included (see getPolylineSignedArea)
+ * @param {Object} obj - Polyline object
+ * @returns {number} Area in square world pixels
+ */
+export const getPolylineArea = (obj) => Math.abs(getPolylineSignedArea(obj))
+
+/**
+ * Vertices of a regular polygon (POLYGON)
+ * @param {Object} center - Center {x, y}
+ * @param {Object} point - A vertex of an inscribed polygon, or the middle of
+ *   an edge of a circumscribed one; sets the size and rotation
+ * @param {number} sides - Number of sides
+ * @param {boolean} inscribed - Vertices on the circle through the point
+ *   (true), or edges touching it (false)
+ * @returns {Array} Vertices {x, y}
+ */
+export const getPolygonPoints = (center, point, sides, inscribed = true) => {
+  const radius = Math.hypot(point.x - center.x, point.y - center.y)
+  const angle = Math.atan2(point.y - center.y, point.x - center.x)
+  // The vertices of a circumscribed polygon lie half a side round from the
+  // edge midpoints, and further out
+  const vertexRadius = inscribed ? radius : radius / Math.cos(Math.PI / sides)
+  const firstAngle = inscribed ? angle : angle + Math.PI / sides
+  return Array.from({ length: sides }, (_, i) => ({
+    x: center.x + Math.cos(firstAngle + 2 * Math.PI * i / sides) * vertexRadius,
+    y: center.y + Math.sin(firstAngle + 2 * Math.PI * i / sides) * vertexRadius
+  }))
+}
+
+/**
+ * Corners of a rectangle with its sides along an angle (RECTANG's rotation)
+ * @param {Object} corner - A corner {x, y}
+ * @param {Object} opposite - The opposite corner {x, y}
+ * @param {number} angle - Direction of the sides from `corner`, radians
+ * @returns {Array} Corners {x, y}, starting at `corner`
+ */
+export const getRectanglePoints = (corner, opposite, angle = 0) => {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  const along = (opposite.x - corner.x) * cos + (opposite.y - corner.y) * sin
+  return [
+    { x: corner.x, y: corner.y },
+    { x: corner.x + along * cos, y: corner.y + along * sin },
+    { x: opposite.x, y: opposite.y },
+    { x: opposite.x - along * cos, y: opposite.y - along * sin }
+  ]
+}
@@ -0,0 +1,546 @@
+// Hit-testing and box selection for cadStore.vectorObjects
+//
+// All points and tolerances are world coordinates. Callers convert a screen
+// tolerance (snapTolerance pixels) to world units by dividing by the zoom
+// level, so picking feels the same at every zoom.
+//
+// Box selection follows the AutoCAD convention:
+//   window   (dragged left to right) selects objects entirely inside the box
+//   crossing (dragged right to left) selects objects inside or touching it
+//
+// The finders take optional candidates: the indices, in drawing order, of
+// the objects worth testing (from cadStore.queryObjectIndices), so large
+// drawings are not scanned whole. Without them every object is tested.
+
+import { getDimensionGeometry, getArcPoints, getObjectBounds, getRectangleCorners, calculateMidpoint } from './drawing-utils.js'
+import { flattenSegment, getPolylineSegments } from './polyline-utils.js'
+import {
+  TWO_PI,
+  arcFromThreePoints,
+  ellipseFromAxes,
+  flattenCurve,
+  getCurveEndpoints,
+  getCurveMidpoint,
+  getCurvePoint,
+  getCurveSweep,
+  getEllipseParameter,
+  isFullEllipse,
+  normalizeAngle
+} from './curve-utils.js'
+
+/**
+ * Distance from a point to a line segment
+ * @param {Object} point - Point {x, y}
+ * @param {Object} start - Segment start {x, y}
+ * @param {Object} end - Segment end {x, y}
+ * @returns {number} Shortest distance
+ */
+export const distanceToSegment = (point, start, end) => {
+  const dx = end.x - start.x
+  const dy = end.y - start.y
+  const lengthSquared = dx * dx + dy * dy
+  if (lengthSquared === 0) return Math.hypot(point.x - start.x, point.y - start.y)
+
+  const t = Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / lengthSquared))
+  return Math.hypot(point.x - (start.x + t * dx), point.y - (start.y + t * dy))
+}
+
+/**
+ * Straight segments that make up an object's outline (circles have none;
+ * arcs, ellipses, dimension arcs and polyline arc segments are approximated,
+ * the pieces of arcs, ellipses and polyline arcs being flagged arc: true)
+ * @param {Object} obj - Vector object
+ * @returns {Array} Segments [{start, end}]
+ */
+export const getObjectSegments = (obj) => {
+  const toSegments = (points, closed) => {
+    const segments = []
+    for (let i = 1; i < points.length; i++) {
+      segments.push({ start: points[i - 1], end: points[i] })
+    }
+    if (closed && points.length > 2) {
+      segments.push({ start: points[points.length - 1], end: points[0] })
+    }
+    return segments
+  }
+
+  switch (obj.type) {
+    case 'line':
+      return [{ start: obj.start, end: obj.end }]
+    case 'rectangle':
+      return toSegments(getRectangleCorners(obj), true)
+    case 'polyline':
+      return getPolylineSegments(obj).flatMap(segment => segment.bulge
+        ? toSegments(flattenSegment(segment), false).map(piece => ({ ...piece, arc: true }))
+        : [{ start: segment.start, end: segment.end }])
+    case 'arc':
+    case 'ellipse':
+      return toSegments(flattenCurve(obj), false).map(piece => ({ ...piece, arc: true }))
+    case 'dimension': {
+      // Angular dimension arcs are approximated by short segments
+      const geometry = getDimensionGeometry(obj)
+      if (!geometry) return []
+      return geometry.extensionLines.concat(
+        geometry.dimensionLines,
+        geometry.arcs.flatMap(arc => toSegments(getArcPoints(arc), false))
+      )
+    }
+    default:
+      return []
+  }
+}
+
+/**
+ * Check whether a point picks an object
+ * @param {Object} obj - Vector object
+ * @param {Object} point - Pick point {x, y}
+ * @param {number} tolerance - Pick distance
+ * @returns {boolean} True when the point is on (or, for filled shapes, inside) the object
+ */
+export const hitTestObject = (obj, point, tolerance) => {
+  if (obj.type === 'circle') {
+    const distance = Math.hypot(point.x - obj.x, point.y - obj.y)
+    return Math.abs(distance - obj.radius) <= tolerance || (obj.filled && distance <= obj.radius)
+  }
+
+  if (obj.type === 'rectangle' && obj.filled) {
+    const bounds = getObjectBounds(obj)
+    if (point.x >= bounds.minX && point.x <= bounds.maxX && point.y >= bounds.minY && point.y <= bounds.maxY) {
+      return true
+    }
+  }
+
+  if (obj.type === 'dimension') {
+    // The value text is part of the dimension too
+    const geometry = getDimensionGeometry(obj)
+    if (geometry && Math.hypot(point.x - geometry.text.position.x, point.y - geometry.text.position.y) <= tolerance * 2) {
+      return true
+    }
+  }
+
+  return getObjectSegments(obj).some(segment => distanceToSegment(point, segment.start, segment.end) <= tolerance)
+}
+
+// Indices of the objects to test, in drawing order
+const candidateIndices = (objects, candidates) => candidates || objects.map((obj, index) => index)
+
+/**
+ * Find the object under a point, preferring the one drawn last (on top)
+ * @param {Array} objects - cadStore.vectorObjects
+ * @param {Object} point - Pick point {x, y}
+ * @param {number} tolerance - Pick distance
+ * @param {Function} filter - Optional test limiting which objects can be picked
+ * @param {Array} candidates - Optional indices of the objects to test
+ * @returns {number} Object index, or -1 when nothing was hit
+ */
+export const findObjectAt = (objects, point, tolerance, filter = null, candidates = null) => {
+  const indices = candidateIndices(objects, candidates)
+  for (let k = indices.length - 1; k >= 0; k--) {
+    const i = indices[k]
+    if ((!filter || filter(objects[i])) && hitTestObject(objects[i], point, tolerance)) return i
+  }
+  return -1
+}
+
+/**
+ * Find the straight segment under a point: a line, or one edge of a
+ * rectangle or polyline. Dimensions, arcs, ellipses and polyline arcs are
+ * not considered.
+ * @param {Array} objects - cadStore.vectorObjects
+ * @param {Object} point - Pick point {x, y}
+ * @param {number} tolerance - Pick distance
+ * @param {Function} filter - Optional test limiting which objects can be picked
+ * @param {Array} candidates - Optional indices of the objects to test
+ * @returns {Object|null} { index, start, end } or null when nothing was hit
+ */
+export const findSegmentAt = (objects, point, tolerance, filter = null, candidates = null) => {
+  const indices = candidateIndices(objects, candidates)
+  for (let k = indices.length - 1; k >= 0; k--) {
+    const i = indices[k]
+    if (objects[i].type === 'dimension' || (filter && !filter(objects[i]))) continue
+    const segment = getObjectSegments(objects[i]).find(candidate =>
+      !candidate.arc && distanceToSegment(point, candidate.start, candidate.end) <= tolerance
+    )
+    if (segment) return { index: i, start: segment.start, end: segment.end }
+  }
+  return null
+}
+
+// Normalize two corner points to {minX, minY, maxX, maxY}
+const toBox = (corner1, corner2) => ({
+  minX: Math.min(corner1.x, corner2.x),
+  minY: Math.min(corner1.y, corner2.y),
+  maxX: Math.max(corner1.x, corner2.x),
+  maxY: Math.max(corner1.y, corner2.y)
+})
+
+const pointInBox = (point, box) =>
+  point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY
+
+// Check whether two segments intersect (including touching)
+const segmentsIntersect = (a1, a2, b1, b2) => {
+  const cross = (o, p, q) => (p.x - o.x) * (q.y - o.y) - (p.y - o.y) * (q.x - o.x)
+  const d1 = cross(b1, b2, a1)
+  const d2 = cross(b1, b2, a2)
+  const d3 = cross(a1, a2, b1)
+  const d4 = cross(a1, a2, b2)
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true
+  }
+  // Collinear or touching cases
+  const onSegment = (p, q, r) => Math.min(p.x, q.x) <= r.x && r.x <= Math.max(p.x, q.x) &&
+    Math.min(p.y, q.y) <= r.y && r.y <= Math.max(p.y, q.y)
+  return (d1 === 0 && onSegment(b1, b2, a1)) || (d2 === 0 && onSegment(b1, b2, a2)) ||
+    (d3 === 0 && onSegment(a1, a2, b1)) || (d4 === 0 && onSegment(a1, a2, b2))
+}
+
+/**
+ * Check whether an object lies entirely inside a box (window selection)
+ * @param {Object} obj - Vector object
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @returns {boolean}
+ */
+export const objectInsideBox = (obj, box) => {
+  const bounds = getObjectBounds(obj)
+  return !!bounds && bounds.minX >= box.minX && bounds.maxX <= box.maxX &&
+    bounds.minY >= box.minY && bounds.maxY <= box.maxY
+}
+
+/**
+ * Check whether an object is inside or touches a box (crossing selection)
+ * @param {Object} obj - Vector object
+ * @param {Object} box - {minX, minY, maxX, maxY}
+ * @returns {boolean}
+ */
+export const objectCrossesBox = (obj, box) => {
+  const bounds = getObjectBounds(obj)
+  if (!bounds || bounds.maxX < box.minX || bounds.minX > box.maxX || bounds.maxY < box.minY || bounds.minY > box.maxY) {
+    return false
+  }
+  if (objectInsideBox(obj, box)) return true
+
+  if (obj.type === 'circle') {
+    // The outline crosses the box when the nearest box point is inside the
+    // circle and the farthest is outside
+    const center = { x: obj.x, y: obj.y }
+    const nearest = {
+      x: Math.max(box.minX, Math.min(center.x, box.maxX)),
+      y: Math.max(box.minY, Math.min(center.y, box.maxY))
+    }
+    const farthest = Math.max(
+      ...[[box.minX, box.minY], [box.maxX, box.minY], [box.maxX, box.maxY], [box.minX, box.maxY]]
+        .map(([x, y]) => Math.hypot(x - center.x, y - center.y))
+    )
+    const nearestDistance = Math.hypot(nearest.x - center.x, nearest.y - center.y)
+    return nearestDistance <= obj.radius && (farthest >= obj.radius || obj.filled)
+  }
+
+  const corners = [
+    { x: box.minX, y: box.minY }, { x: box.maxX, y: box.minY },
+    { x: box.maxX, y: box.maxY }, { x: box.minX, y: box.maxY }
+  ]
+  const edges = corners.map((corner, i) => [corner, corners[(i + 1) % 4]])
+  return getObjectSegments(obj).some(segment =>
+    pointInBox(segment.start, box) || pointInBox(segment.end, box) ||
+    edges.some(([edgeStart, edgeEnd]) => segmentsIntersect(segment.start, segment.end, edgeStart, edgeEnd))
+  )
+}
+
+/**
+ * Select objects with a window or crossing box
+ * @param {Array} objects - cadStore.vectorObjects
+ * @param {Object} corner1 - First box corner {x, y} (where the drag started)
+ * @param {Object} corner2 - Opposite corner {x, y}
+ * @param {boolean} crossing - True for a crossing selection, false for a window
+ * @param {Function} filter - Optional test limiting which objects can be selected
+ * @param {Array} candidates - Optional indices of the objects to test
+ * @returns {Array} Indices of the selected objects
+ */
+export const selectObjectsInBox = (objects, corner1, corner2, crossing, filter = null, candidates = null) => {
+  const box = toBox(corner1, corner2)
+  const test = crossing ? objectCrossesBox : objectInsideBox
+  return candidateIndices(objects, candidates).filter(index => {
+    const obj = objects[index]
+    return (!filter || filter(obj)) && test(obj, box)
+  })
+}
+
+/**
+ * Get the grips shown on a selected object.
+ * Each grip names the feature it edits (used by applyGripEdit) and an anchor:
+ * a value typed while the grip is hot is the distance from the anchor to the
+ * new grip position (a length, radius, width...). Grips without an anchor move
+ * by the typed distance along the drag direction.
+ * @param {Object} obj - Vector object
+ * @returns {Array} Grips { key, point, anchor, valueLabel }
+ */
+export const getObjectGrips = (obj) => {
+  switch (obj.type) {
+    case 'line':
+      return [
+        { key: 'start', point: obj.start, anchor: obj.end, valueLabel: 'Length' },
+        { key: 'mid', point: calculateMidpoint(obj.start, obj.end), anchor: null, valueLabel: 'Distance' },
+        { key: 'end', point: obj.end, anchor: obj.start, valueLabel: 'Length' }
+      ]
+    case 'rectangle': {
+      const corners = getRectangleCorners(obj)
+      const grips = corners.map((corner, i) => ({
+        key: `corner${i}`,
+        point: corner,
+        anchor: corners[(i + 2) % 4],
+        valueLabel: 'Diagonal'
+      }))
+      // Edge i joins corner i and corner i + 1; its opposite edge is i + 2
+      const edgeMidpoint = (i) => calculateMidpoint(corners[i], corners[(i + 1) % 4])
+      for (let i = 0; i < 4; i++) {
+        grips.push({
+          key: `edge${i}`,
+          point: edgeMidpoint(i),
+          anchor: edgeMidpoint((i + 2) % 4),
+          valueLabel: i % 2 === 0 ? 'Height' : 'Width'
+        })
+      }
+      return grips
+    }
+    case 'circle': {
+      const center = { x: obj.x, y: obj.y }
+      const quadrant = (key, dx, dy) => ({
+        key,
+        point: { x: obj.x + dx * obj.radius, y: obj.y + dy * obj.radius },
+        anchor: center,
+        valueLabel: 'Radius'
+      })
+      return [
+        { key: 'center', point: center, anchor: null, valueLabel: 'Distance' },
+        quadrant('quadrant0', 1, 0),
+        quadrant('quadrant90', 0, -1),
+        quadrant('quadrant180', -1, 0),
+        quadrant('quadrant270', 0, 1)
+      ]
+    }
+    case 'arc': {
+      // The ends and middle reshape the arc through the other two
+      const [start, end] = getCurveEndpoints(obj)
+      return [
+        { key: 'center', point: { x: obj.x, y: obj.y }, anchor: null, valueLabel: 'Distance' },
+        { key: 'start', point: start, anchor: end, valueLabel: 'Chord length' },
+        { key: 'mid', point: getCurveMidpoint(obj), anchor: calculateMidpoint(start, end), valueLabel: 'Arc height' },
+        { key: 'end', point: end, anchor: start, valueLabel: 'Chord length' }
+      ]
+    }
+    case 'ellipse': {
+      // Axis ends (axis0 at parameter 0, then a quarter turn each) on the
+      // curve, and the ends of an elliptical arc
+      const center = { x: obj.x, y: obj.y }
+      const sweep = getCurveSweep(obj)
+      const grips = [{ key: 'center', point: center, anchor: null, valueLabel: 'Distance' }]
+      for (let i = 0; i < 4; i++) {
+        if (normalizeAngle(i * Math.PI / 2 - obj.startAngle) > sweep) continue
+        grips.push({
+          key: `axis${i}`,
+          point: getCurvePoint(obj, i * Math.PI / 2),
+          anchor: center,
+          valueLabel: i % 2 === 0 ? 'Major radius' : 'Minor radius'
+        })
+      }
+      if (!isFullEllipse(obj)) {
+        const [start, end] = getCurveEndpoints(obj)
+        grips.push(
+          { key: 'start', point: start, anchor: center, valueLabel: 'Distance' },
+          { key: 'end', point: end, anchor: center, valueLabel: 'Distance' }
+        )
+      }
+      return grips
+    }
+    case 'polyline': {
+      const points = obj.points
+      return points.map((point, i) => ({
+        key: `vertex${i}`,
+        point,
+        anchor: i > 0 ? points[i - 1] : obj.closed ? points[points.length - 1] : points[1],
+        valueLabel: 'Segment length'
+      }))
+    }
+    case 'dimension': {
+      const geometry = getDimensionGeometry(obj)
+      const textGrip = (anchor, valueLabel) => geometry
+        ? [{ key: 'dimensionLine', point: geometry.text.position, anchor, valueLabel }]
+        : []
+      switch (obj.dimType) {
+        case 'angular':
+          return [
+            { key: 'center', point: obj.center, anchor: null, valueLabel: 'Distance' },
+            { key: 'point1', point: obj.point1, anchor: obj.center, valueLabel: 'Length' },
+            { key: 'point2', point: obj.point2, anchor: obj.center, valueLabel: 'Length' },
+            ...textGrip(obj.center, 'Radius')
+          ]
+        case 'radius':
+        case 'diameter':
+          return [
+            { key: 'center', point: obj.center, anchor: null, valueLabel: 'Distance' },
+            { key: 'point1', point: obj.point1, anchor: obj.center, valueLabel: 'Radius' },
+            ...textGrip(obj.center, 'Distance')
+          ]
+        default:
+          return [
+            { key: 'point1', point: obj.point1, anchor: obj.point2, valueLabel: 'Length' },
+            { key: 'point2', point: obj.point2, anchor: obj.point1, valueLabel: 'Length' },
+            ...textGrip(calculateMidpoint(obj.point1, obj.point2), 'Offset')
+          ]
+      }
+    }
+    default:
+      return []
+  }
+}
+
+/**
+ * Find the grip of the selected objects under a point
+ * @param {Array} objects - cadStore.vectorObjects
+ * @param {Array} indices - Selected object indices
+ * @param {Object} point - Pick point {x, y}
+ * @param {number} tolerance - Pick distance
+ * @returns {Object|null} { index, grip } or null
+ */
+export const findGripAt = (objects, indices, point, tolerance) => {
+  for (const index of indices) {
+    const obj = objects[index]
+    if (!obj) continue
+    const grip = getObjectGrips(obj).find(candidate =>
+      Math.hypot(candidate.point.x - point.x, candidate.point.y - point.y) <= tolerance
+    )
+    if (grip) return { index, grip }
+  }
+  return null
+}
+
+/**
+ * Reshape an object by moving one of its grips
+ * @param {Object} obj - Vector object
+ * @param {string} key - Grip key from getObjectGrips()
+ * @param {Object} point - New grip position {x, y}
+ * @returns {Object} Edited copy of the object
+ */
+export const applyGripEdit = (obj, key, point) => {
+  const target = { x: point.x, y: point.y }
+
+  switch (obj.type) {
+    case 'line': {
+      if (key === 'start') return { ...obj, start: target }
+      if (key === 'end') return { ...obj, end: target }
+      const mid = calculateMidpoint(obj.start, obj.end)
+      const dx = target.x - mid.x
+      const dy = target.y - mid.y
+      return {
+        ...obj,
+        start: { x: obj.start.x + dx, y: obj.start.y + dy },
+        end: { x: obj.end.x + dx, y: obj.end.y + dy }
+      }
+    }
+    case 'rectangle': {
+      const corners = getRectangleCorners(obj)
+      if (key.startsWith('corner')) {
+        // Keep the opposite corner fixed
+        const opposite = corners[(Number(key.slice(6)) + 2) % 4]
+        return { ...obj, x: opposite.x, y: opposite.y, width: target.x - opposite.x, height: target.y - opposite.y }
+      }
+      // Edges 0 and 2 run along x (at y and y + height), 1 and 3 along y
+      switch (key) {
+        case 'edge0':
+          return { ...obj, y: target.y, height: obj.y + obj.height - target.y }
+        case 'edge1':
+          return { ...obj, width: target.x - obj.x }
+        case 'edge2':
+          return { ...obj, height: target.y - obj.y }
+        case 'edge3':
+          return { ...obj, x: target.x, width: obj.x + obj.width - target.x }
+        default:
+          return { ...obj }
+      }
+    }
+    case 'circle':
+      if (key === 'center') return { ...obj, x: target.x, y: target.y }
+      return { ...obj, radius: Math.max(Math.hypot(target.x - obj.x, target.y - obj.y), 1e-6) }
+    case 'arc': {
+      if (key === 'center') return { ...obj, x: target.x, y: target.y }
+      // The new arc passes through the moved grip and the other two of
+      // start, middle and end; points in line leave it unchanged
+      const [start, end] = getCurveEndpoints(obj)
+      const mid = getCurveMidpoint(obj)
+      const arc = key === 'start'
+        ? arcFromThreePoints(target, mid, end)
+        : key === 'end' ? arcFromThreePoints(start, mid, target) : arcFromThreePoints(start, target, end)
+      return arc ? { ...obj, ...arc } : { ...obj }
+    }
+    case 'ellipse': {
+      if (key === 'center') return { ...obj, x: target.x, y: target.y }
+      const center = { x: obj.x, y: obj.y }
+      if (key === 'start' || key === 'end') {
+        // The picked direction sets the parameter; the other end stays
+        const angle = getEllipseParameter(obj, target)
+        const sweep = getCurveSweep(obj)
+        const startAngle = key === 'start' ? angle : obj.startAngle
+        const endAngle = key === 'end' ? angle : obj.startAngle + sweep
+        const newSweep = normalizeAngle(endAngle - startAngle) || TWO_PI
+        return { ...obj, startAngle, endAngle: startAngle + newSweep }
+      }
+      const quarter = Number(key.slice(4))
+      const major = Math.hypot(obj.majorAxis.x, obj.majorAxis.y)
+      let ellipse
+      if (quarter % 2 === 0) {
+        // A major axis end: the axis follows it, keeping the minor length
+        const sign = quarter === 0 ? 1 : -1
+        const axis = { x: (target.x - center.x) * sign, y: (target.y - center.y) * sign }
+        ellipse = ellipseFromAxes(center, axis, major * obj.ratio, obj.startAngle, obj.endAngle)
+      } else {
+        // A minor axis end sets the minor length
+        ellipse = ellipseFromAxes(center, obj.majorAxis, Math.hypot(target.x - center.x, target.y - center.y), obj.startAngle, obj.endAngle)
+      }
+      return ellipse ? { ...obj, ...ellipse } : { ...obj }
+    }
+    case 'polyline': {
+      // The vertex keeps its bulge, so its arcs keep their sweep
+      const index = Number(key.slice(6))
+      const points = obj.points.map(p => ({ ...p }))
+      points[index] = { ...points[index], ...target }
+      return { ...obj, points }
+    }
+    case 'dimension': {
+      if (key === 'point1') return { ...obj, point1: target }
+      if (key === 'point2') return { ...obj, point2: target }
+      if (key !== 'center') return { ...obj, dimensionLinePos: target }
+      if (obj.dimType === 'angular') return { ...obj, center: target }
+      // A radius or diameter dimension moves with its circle's center
+      const dx = target.x - obj.center.x
+      const dy = target.y - obj.center.y
+      const shift = (p) => ({ x: p.x + dx, y: p.y + dy })
+      return { ...obj, center: target, point1: shift(obj.point1), dimensionLinePos: shift(obj.dimensionLinePos) }
+    }
+    default:
+      return { ...obj }
+  }
+}
+
+/**
+ * Grip position for a typed value: the given distance from the grip's anchor
+ * towards the cursor, or for anchorless grips the given distance from the
+ * grip along the drag direction
+ * @param {Object} grip - Grip from getObjectGrips()
+ * @param {Object} cursor - Current cursor position {x, y}
+ * @param {number} value - Typed distance in world pixels
+ * @returns {Object} Grip position {x, y}
+ */
+export const gripPointForValue = (grip, cursor, value) => {
+  const from = grip.anchor || grip.point
+  let dx = cursor.x - from.x
+  let dy = cursor.y - from.y
+  if (Math.hypot(dx, dy) === 0) {
+    // No drag direction yet: keep the grip's own direction from the anchor,
+    // or +X when there is nothing to go on
+    dx = grip.point.x - from.x
+    dy = grip.point.y - from.y
+    if (Math.hypot(dx, dy) === 0) dx = 1
+  }
+  const length = Math.hypot(dx, dy)
+  return { x: from.x + dx / length * value, y: from.y + dy / length * value }
+}
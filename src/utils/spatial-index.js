@@ -0,0 +1,331 @@
+// Uniform grid spatial index of cadStore.vectorObjects
+//
+// The plane is cut into square cells SPATIAL_CELL_SIZE world units across,
+// and each object id is listed in every cell its bounds cover, so finding
+// the objects near the cursor or inside a box looks at a few cells rather
+// than every object. The store keeps the index up to date as objects are
+// added, edited and removed (see cad-store.js); queries return ids, which
+// callers map back to objects.
+//
+// Objects covering more than MAX_OBJECT_CELLS cells are kept in an oversize
+// list that every query checks instead, so a long wall line or a big
+// border does not fill thousands of cells. Queries over more cells than
+// there are objects (a zoomed out viewport) test every object's bounds
+// instead of walking the cells.
+//
+// Snaps that follow an object past its ends (apparent intersection,
+// extension, parallel) cannot be found by bounds. For them the index also
+// lists the whole lines and circles of every object's edges, kept up to
+// date with the rest: horizontal and vertical lines bucketed by the row or
+// column of cells they run along, slanted lines grouped by direction and
+// bucketed by their distance from the origin across that direction, and
+// whole circles in a grid of their own. queryExtendedShapes() finds those
+// passing near the cursor, looking at a few buckets per direction.
+
+import { getObjectBounds, getObjectSnapPoints, SNAP_TYPES } from './drawing-utils.js'
+import { boundsTouch, getEdgeShape } from './geometry-utils.js'
+import { getObjectEdges } from './trim-utils.js'
+
+// Cell size in world units (about 5 inches at 96 px per inch)
+export const SPATIAL_CELL_SIZE = 512
+const MAX_OBJECT_CELLS = 64
+
+// Grid of keys by bounds: the part of the index queryIndex() reads
+const createGrid = (cellSize) => ({
+  cellSize,
+  cells: new Map(),
+  entries: new Map(),
+  oversize: new Set()
+})
+
+/**
+ * Create an empty spatial index
+ * @param {number} cellSize - Cell size in world units
+ * @returns {Object} Index { cellSize, cells, entries, oversize, lines,
+ *   directions, circles, circleShapes, shapeEntries }: cells maps
+ *   'column,row' keys to Sets of ids, entries maps ids to { bounds, keys }
+ *   and oversize is a Set of the ids too big for cells; the rest lists the
+ *   objects' whole lines and circles (see queryExtendedShapes)
+ */
+export const createSpatialIndex = (cellSize = SPATIAL_CELL_SIZE) => ({
+  ...createGrid(cellSize),
+  // Line buckets by key, each a Map of id -> the object's lines in it
+  lines: new Map(),
+  // Slanted line directions by key: { normal, count, farthest }
+  directions: new Map(),
+  // Grid of the circles by 'id/n' keys, with their { id, shape }
+  circles: createGrid(cellSize),
+  circleShapes: new Map(),
+  // What each object has listed: { lineKeys, directionKeys, circleKeys }
+  shapeEntries: new Map()
+})
+
+/**
+ * Bounds an object is indexed under: its extent and every snap point, as
+ * an arc's or ellipse's center can lie well off the curve
+ * @param {Object} obj - Vector object
+ * @returns {Object|null} {minX, minY, maxX, maxY} or null for objects
+ *   without geometry
+ */
+export const getIndexBounds = (obj) => {
+  const bounds = getObjectBounds(obj)
+  if (!bounds) return null
+  const snaps = getObjectSnapPoints(obj)
+  SNAP_TYPES.forEach(type => snaps[type].forEach(point => {
+    bounds.minX = Math.min(bounds.minX, point.x)
+    bounds.minY = Math.min(bounds.minY, point.y)
+    bounds.maxX = Math.max(bounds.maxX, point.x)
+    bounds.maxY = Math.max(bounds.maxY, point.y)
+  }))
+  return bounds
+}
+
+// Range of cells a box covers
+const cellRange = (index, box) => ({
+  minColumn: Math.floor(box.minX / index.cellSize),
+  minRow: Math.floor(box.minY / index.cellSize),
+  maxColumn: Math.floor(box.maxX / index.cellSize),
+  maxRow: Math.floor(box.maxY / index.cellSize)
+})
+
+const cellCount = (range) => (range.maxColumn - range.minColumn + 1) * (range.maxRow - range.minRow + 1)
+
+// Remove a key from a grid
+const removeEntry = (grid, key) => {
+  const entry = grid.entries.get(key)
+  if (!entry) return
+  entry.keys.forEach(cellKey => {
+    const cell = grid.cells.get(cellKey)
+    cell.delete(key)
+    if (cell.size === 0) grid.cells.delete(cellKey)
+  })
+  grid.oversize.delete(key)
+  grid.entries.delete(key)
+}
+
+/**
+ * Remove an object from the index
+ * @param {Object} index - Index from createSpatialIndex()
+ * @param {number} id - Object id
+ */
+export const removeFromIndex = (index, id) => {
+  removeEntry(index, id)
+  removeShapes(index, id)
+}
+
+/**
+ * Add an object to the index, or move it to its new bounds after an edit
+ * @param {Object} index - Index from createSpatialIndex()
+ * @param {Object} obj - Vector object with an id
+ */
+export const insertIntoIndex = (index, obj) => {
+  removeFromIndex(index, obj.id)
+  addEntry(index, obj.id, getIndexBounds(obj))
+  addShapes(index, obj)
+}
+
+// List a key under bounds in a grid
+const addEntry = (index, id, bounds) => {
+  if (!bounds || ![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) return
+
+  const range = cellRange(index, bounds)
+  const keys = []
+  if (cellCount(range) > MAX_OBJECT_CELLS) {
+    index.oversize.add(id)
+  } else {
+    for (let column = range.minColumn; column <= range.maxColumn; column++) {
+      for (let row = range.minRow; row <= range.maxRow; row++) {
+        const key = `${column},${row}`
+        if (!index.cells.has(key)) index.cells.set(key, new Set())
+        index.cells.get(key).add(id)
+        keys.push(key)
+      }
+    }
+  }
+  index.entries.set(id, { bounds, keys })
+}
+
+/**
+ * Index a whole list of objects, replacing what the index held
+ * @param {Object} index - Index from createSpatialIndex()
+ * @param {Array} objects - Vector objects with ids
+ */
+export const rebuildIndex = (index, objects) => {
+  ;[index, index.circles].forEach(grid => {
+    grid.cells.clear()
+    grid.entries.clear()
+    grid.oversize.clear()
+  })
+  index.lines.clear()
+  index.directions.clear()
+  index.circleShapes.clear()
+  index.shapeEntries.clear()
+  objects.forEach(obj => insertIntoIndex(index, obj))
+}
+
+/**
+ * Ids of the objects whose indexed bounds touch a box
+ * @param {Object} index - Index from createSpatialIndex()
+ * @param {Object} box - {minX, minY, maxX, maxY} in world units
+ * @returns {Array} Object ids, each once, in no particular order
+ */
+export const queryIndex = (index, box) => {
+  const range = cellRange(index, box)
+  if (cellCount(range) > index.entries.size) {
+    const ids = []
+    index.entries.forEach((entry, id) => {
+      if (boundsTouch(entry.bounds, box)) ids.push(id)
+    })
+    return ids
+  }
+
+  const found = new Set()
+  for (let column = range.minColumn; column <= range.maxColumn; column++) {
+    for (let row = range.minRow; row <= range.maxRow; row++) {
+      index.cells.get(`${column},${row}`)?.forEach(id => found.add(id))
+    }
+  }
+  index.oversize.forEach(id => found.add(id))
+  return [...found].filter(id => boundsTouch(index.entries.get(id).bounds, box))
+}
+
+// Lines closer to level or plumb than this (world units over their
+// length) are bucketed as horizontal or vertical
+const AXIS_EPSILON = 1e-9
+
+// Slanted lines whose directions round to the same multiple of this
+// (radians) share a direction group
+const DIRECTION_STEP = 1e-9
+
+// Key of the bucket of cells a value falls in
+const bucketOf = (value, cellSize) => Math.floor(value / cellSize)
+
+// List an object's lines in a bucket
+const addToBucket = (index, key, id, shape) => {
+  if (!index.lines.has(key)) index.lines.set(key, new Map())
+  const bucket = index.lines.get(key)
+  if (!bucket.has(id)) bucket.set(id, [])
+  bucket.get(id).push(shape)
+}
+
+// List the whole lines and circles of an object's edges
+const addShapes = (index, obj) => {
+  const entry = { lineKeys: new Set(), directionKeys: new Set(), circleKeys: [] }
+  getObjectEdges(obj).forEach(edge => {
+    const shape = getEdgeShape(edge)
+    if (!shape.start) {
+      const key = `${obj.id}/${entry.circleKeys.length}`
+      entry.circleKeys.push(key)
+      index.circleShapes.set(key, { id: obj.id, shape })
+      addEntry(index.circles, key, {
+        minX: shape.x - shape.radius,
+        minY: shape.y - shape.radius,
+        maxX: shape.x + shape.radius,
+        maxY: shape.y + shape.radius
+      })
+      return
+    }
+
+    const dx = shape.end.x - shape.start.x
+    const dy = shape.end.y - shape.start.y
+    let key
+    if (Math.abs(dy) <= AXIS_EPSILON) {
+      key = `row:${bucketOf(shape.start.y, index.cellSize)}`
+    } else if (Math.abs(dx) <= AXIS_EPSILON) {
+      key = `column:${bucketOf(shape.start.x, index.cellSize)}`
+    } else {
+      // The direction, taken in [0, PI), and its normal
+      const angle = ((Math.atan2(dy, dx) % Math.PI) + Math.PI) % Math.PI
+      const directionKey = Math.round(angle / DIRECTION_STEP)
+      if (!index.directions.has(directionKey)) {
+        const rounded = directionKey * DIRECTION_STEP
+        index.directions.set(directionKey, { normal: { x: -Math.sin(rounded), y: Math.cos(rounded) }, count: 0, farthest: 0 })
+      }
+      const direction = index.directions.get(directionKey)
+      if (!entry.directionKeys.has(directionKey)) {
+        entry.directionKeys.add(directionKey)
+        direction.count++
+      }
+      direction.farthest = Math.max(direction.farthest, Math.hypot(shape.start.x, shape.start.y))
+      const offset = shape.start.x * direction.normal.x + shape.start.y * direction.normal.y
+      key = `${directionKey}:${bucketOf(offset, index.cellSize)}`
+    }
+    entry.lineKeys.add(key)
+    addToBucket(index, key, obj.id, shape)
+  })
+  if (entry.lineKeys.size > 0 || entry.circleKeys.length > 0) {
+    index.shapeEntries.set(obj.id, entry)
+  }
+}
+
+// Take an object's lines and circles out of the index
+const removeShapes = (index, id) => {
+  const entry = index.shapeEntries.get(id)
+  if (!entry) return
+  entry.lineKeys.forEach(key => {
+    const bucket = index.lines.get(key)
+    bucket.delete(id)
+    if (bucket.size === 0) index.lines.delete(key)
+  })
+  entry.directionKeys.forEach(key => {
+    const direction = index.directions.get(key)
+    direction.count--
+    if (direction.count === 0) index.directions.delete(key)
+  })
+  entry.circleKeys.forEach(key => {
+    removeEntry(index.circles, key)
+    index.circleShapes.delete(key)
+  })
+  index.shapeEntries.delete(id)
+}
+
+// Distance from a point to a whole line or circle
+const distanceToShape = (shape, point) => {
+  if (!shape.start) return Math.abs(Math.hypot(point.x - shape.x, point.y - shape.y) - shape.radius)
+  const dx = shape.end.x - shape.start.x
+  const dy = shape.end.y - shape.start.y
+  const length = Math.hypot(dx, dy)
+  if (length === 0) return Math.hypot(point.x - shape.start.x, point.y - shape.start.y)
+  return Math.abs((point.x - shape.start.x) * dy - (point.y - shape.start.y) * dx) / length
+}
+
+/**
+ * Objects with an edge whose whole line or circle passes near a point
+ * @param {Object} index - Index from createSpatialIndex()
+ * @param {Object} point - Point {x, y} in world units
+ * @param {number} reach - Distance in world units
+ * @returns {Array} Object ids, each once, in no particular order
+ */
+export const queryExtendedShapes = (index, point, reach) => {
+  const found = new Set()
+  const check = (id, shapes) => {
+    if (!found.has(id) && shapes.some(shape => distanceToShape(shape, point) <= reach)) found.add(id)
+  }
+  const bucketsAround = (prefix, value, slack = 0) => {
+    const last = bucketOf(value + reach + slack, index.cellSize)
+    for (let key = bucketOf(value - reach - slack, index.cellSize); key <= last; key++) {
+      index.lines.get(`${prefix}:${key}`)?.forEach((shapes, id) => check(id, shapes))
+    }
+  }
+
+  bucketsAround('row', point.y)
+  bucketsAround('column', point.x)
+  // A line's offset is taken across its rounded direction, which is off by
+  // up to half a step over the distance from its start to the point
+  const distance = Math.hypot(point.x, point.y)
+  index.directions.forEach((direction, key) => {
+    const offset = point.x * direction.normal.x + point.y * direction.normal.y
+    bucketsAround(key, offset, (distance + direction.farthest) * DIRECTION_STEP)
+  })
+  // A point near a circle lies inside its bounds grown by the reach
+  queryIndex(index.circles, {
+    minX: point.x - reach,
+    minY: point.y - reach,
+    maxX: point.x + reach,
+    maxY: point.y + reach
+  }).forEach(key => {
+    const { id, shape } = index.circleShapes.get(key)
+    check(id, [shape])
+  })
+  return [...found]
+}
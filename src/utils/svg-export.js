@@ -0,0 +1,234 @@
+// SVG exporter for cadStore.vectorObjects
+//
+// The SVG is sized in real units: width/height carry "in" or "mm" and the
+// viewBox uses the same units, so the drawing prints and embeds at true size.
+// SVG is Y down like the canvas, so coordinates are only scaled, not flipped.
+//
+// Object mapping:
+//   line      -> <line>
+//   rectangle -> <rect>
+//   circle    -> <circle>
+//   arc       -> <path> with an A command
+//   ellipse   -> <ellipse>, or <path> with an A command for an elliptical arc
+//   polyline  -> <polyline>, <polygon> when closed, or <path> with A
+//                commands when it has bulge arcs
+//   dimension -> <g class="dimension"> with one <path> for extension lines,
+//                dimension lines or arc and terminators, a <circle> for each
+//                dot terminator, plus a <text> value
+//
+// Dimensions are drawn with their style (see dimension-styles.js) as the
+// canvas draws them at 100% zoom: the style's paper sizes become real
+// sizes, and the text is formatted in the document units.
+//
+// Each layer becomes an Inkscape layer: a top-level <g> with
+// inkscape:groupmode="layer" and the layer name as inkscape:label, hidden
+// (display:none) when off or frozen and sodipodi:insensitive when locked.
+// SVG has no ByLayer, so objects are written with their resolved colors.
+// Linetypes become a stroke-dasharray in real units (object linetype scale
+// times the global scale); dimensions stay continuous.
+
+import {
+  estimateTextWidth,
+  getDimensionGeometry,
+  getDimensionTerminator,
+  getDimensionTextPlacement,
+  getObjectsBounds
+} from './drawing-utils.js'
+import { getBulgeArc, getPolylineSegments } from './polyline-utils.js'
+import { getCurveEndpoints, getCurveSweep, getEllipseAxes, isFullEllipse } from './curve-utils.js'
+import { findDimStyle, formatDimensionText } from './dimension-styles.js'
+import { inchesToPixels, pixelsToInches } from './units.js'
+import { DEFAULT_LAYER, findLayer, isLayerVisible, resolveObjectStyle } from './layers.js'
+import { LINETYPES } from './linetypes.js'
+
+// Export units: label for the UI, SVG unit suffix and units per inch
+export const SVG_UNITS = {
+  in: { label: 'Inches', suffix: 'in', perInch: 1, precision: 4 },
+  mm: { label: 'Millimetres', suffix: 'mm', perInch: 25.4, precision: 3 }
+}
+
+// Blank space around the drawing, in inches
+const MARGIN = 0.25
+
+// Length of a linetype dot, in inches: a zero-length dash draws nothing
+// with the default butt caps
+const DOT_LENGTH = 0.01
+
+// Escape text for use in XML content and attribute values
+const escapeXML = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * Export vector objects as an SVG document
+ * @param {Array} vectorObjects - cadStore.vectorObjects
+ * @param {Object} options - { units: 'in' | 'mm', layers: cadStore.layers,
+ *   linetypeScale: cadStore.linetypeScale, dimensionFormat:
+ *   cadStore.dimensionFormat (document units and dimension styles) }
+ * @returns {Object} { svg: file contents, skipped: { type: count } of the
+ *   objects that could not be written }
+ */
+export const exportSVG = (vectorObjects, { units = 'in', layers = [DEFAULT_LAYER], linetypeScale = 1, dimensionFormat = {} } = {}) => {
+  const unit = SVG_UNITS[units] || SVG_UNITS.in
+
+  // World pixels to SVG units
+  const length = (pixels) => pixelsToInches(pixels) * unit.perInch
+  const format = (value) => {
+    const rounded = Number(value.toFixed(unit.precision))
+    return String(rounded === 0 ? 0 : rounded)
+  }
+  const coordinate = (pixels) => format(length(pixels))
+  const dashArray = (obj) => {
+    const pattern = LINETYPES[obj.linetype]?.pattern || []
+    if (obj.type === 'dimension' || pattern.length === 0) return ''
+    const scale = (obj.linetypeScale || 1) * linetypeScale
+    const lengths = pattern.map(inches => inches === 0 ? DOT_LENGTH : Math.abs(inches) * scale)
+    return ` stroke-dasharray="${lengths.map(inches => format(inches * unit.perInch)).join(' ')}"`
+  }
+  const stroke = (obj) => `stroke="${escapeXML(obj.color || '#000000')}" stroke-width="${format(length(obj.lineWidth || 1))}"${dashArray(obj)} fill="none"`
+
+  const bounds = getObjectsBounds(vectorObjects) || { minX: 0, minY: 0, maxX: 0, maxY: 0 }
+  const margin = inchesToPixels(MARGIN)
+  const viewX = length(bounds.minX - margin)
+  const viewY = length(bounds.minY - margin)
+  const viewWidth = length(bounds.maxX - bounds.minX + margin * 2)
+  const viewHeight = length(bounds.maxY - bounds.minY + margin * 2)
+
+  // Elements of each layer, by layer name; objects left out are counted by
+  // type for the caller to report
+  const layerElements = new Map(layers.map(layer => [layer.name, []]))
+  const skipped = {}
+  const skip = (type) => {
+    skipped[type] = (skipped[type] || 0) + 1
+  }
+  vectorObjects.forEach(object => {
+    const elements = layerElements.get(findLayer(layers, object.layer).name)
+    const obj = resolveObjectStyle(object, layers)
+    switch (obj.type) {
+      case 'line':
+        elements.push(`<line x1="${coordinate(obj.start.x)}" y1="${coordinate(obj.start.y)}" x2="${coordinate(obj.end.x)}" y2="${coordinate(obj.end.y)}" ${stroke(obj)}/>`)
+        break
+      case 'rectangle': {
+        // SVG rects need a positive size, so normalize dragged-out rectangles
+        const x = Math.min(obj.x, obj.x + obj.width)
+        const y = Math.min(obj.y, obj.y + obj.height)
+        elements.push(`<rect x="${coordinate(x)}" y="${coordinate(y)}" width="${coordinate(Math.abs(obj.width))}" height="${coordinate(Math.abs(obj.height))}" ${stroke(obj)}/>`)
+        break
+      }
+      case 'circle':
+        elements.push(`<circle cx="${coordinate(obj.x)}" cy="${coordinate(obj.y)}" r="${coordinate(obj.radius)}" ${stroke(obj)}/>`)
+        break
+      case 'arc':
+      case 'ellipse': {
+        const axes = obj.type === 'arc'
+          ? { major: obj.radius, minor: obj.radius, rotation: 0 }
+          : getEllipseAxes(obj)
+        const rotation = format(axes.rotation * 180 / Math.PI)
+        if (obj.type === 'ellipse' && isFullEllipse(obj)) {
+          const transform = axes.rotation ? ` transform="rotate(${rotation} ${coordinate(obj.x)} ${coordinate(obj.y)})"` : ''
+          elements.push(`<ellipse cx="${coordinate(obj.x)}" cy="${coordinate(obj.y)}" rx="${coordinate(axes.major)}" ry="${coordinate(axes.minor)}"${transform} ${stroke(obj)}/>`)
+          break
+        }
+        const [start, end] = getCurveEndpoints(obj)
+        const largeArc = getCurveSweep(obj) > Math.PI ? 1 : 0
+        // Sweep flag 1 is the positive-angle (clockwise on screen) direction
+        elements.push(`<path d="M${coordinate(start.x)} ${coordinate(start.y)}A${coordinate(axes.major)} ${coordinate(axes.minor)} ${rotation} ${largeArc} 1 ${coordinate(end.x)} ${coordinate(end.y)}" ${stroke(obj)}/>`)
+        break
+      }
+      case 'polyline': {
+        const segments = getPolylineSegments(obj)
+        if (segments.some(segment => segment.bulge)) {
+          // Z draws a straight closing segment itself
+          const drawn = obj.closed && !segments[segments.length - 1].bulge ? segments.slice(0, -1) : segments
+          const pathData = drawn.map(segment => {
+            const end = `${coordinate(segment.end.x)} ${coordinate(segment.end.y)}`
+            const arc = getBulgeArc(segment.start, segment.end, segment.bulge)
+            if (!arc) return `L${end}`
+            const sweep = arc.endAngle - arc.startAngle
+            const radius = coordinate(arc.radius)
+            // Sweep flag 1 is the positive-angle (clockwise on screen) direction
+            return `A${radius} ${radius} 0 ${Math.abs(sweep) > Math.PI ? 1 : 0} ${sweep > 0 ? 1 : 0} ${end}`
+          })
+          const start = `M${coordinate(obj.points[0].x)} ${coordinate(obj.points[0].y)}`
+          elements.push(`<path d="${start}${pathData.join('')}${obj.closed ? 'Z' : ''}" ${stroke(obj)}/>`)
+          break
+        }
+        const points = obj.points.map(point => `${coordinate(point.x)},${coordinate(point.y)}`).join(' ')
+        elements.push(`<${obj.closed ? 'polygon' : 'polyline'} points="${points}" ${stroke(obj)}/>`)
+        break
+      }
+      case 'dimension': {
+        const style = findDimStyle(dimensionFormat.styles, obj.style)
+        const geometry = getDimensionGeometry(obj, {
+          extensionOffset: inchesToPixels(style.extensionOffset),
+          extensionBeyond: inchesToPixels(style.extensionBeyond),
+          aligned: style.textPlacement === 'aligned'
+        })
+        if (!geometry) {
+          skip(obj.type)
+          break
+        }
+
+        const paths = geometry.extensionLines.concat(geometry.dimensionLines).map(line => [line.start, line.end])
+        const dots = []
+        geometry.arrows.forEach(arrow => {
+          const terminator = getDimensionTerminator(arrow.tip, arrow.angle, style.terminator, inchesToPixels(style.arrowSize))
+          paths.push(...terminator.paths)
+          if (terminator.dot) dots.push(terminator.dot)
+        })
+        const arcData = geometry.arcs.map(arc => {
+          const radius = coordinate(arc.radius)
+          const largeArc = arc.endAngle - arc.startAngle > Math.PI ? 1 : 0
+          const point = (angle) => `${coordinate(arc.center.x + Math.cos(angle) * arc.radius)} ${coordinate(arc.center.y + Math.sin(angle) * arc.radius)}`
+          // Sweep flag 1 is the positive-angle (clockwise on screen) direction
+          return `M${point(arc.startAngle)}A${radius} ${radius} 0 ${largeArc} 1 ${point(arc.endAngle)}`
+        })
+        const pathData = paths
+          .map(path => path.map((point, i) => `${i === 0 ? 'M' : 'L'}${coordinate(point.x)} ${coordinate(point.y)}`).join(''))
+          .concat(arcData)
+          .join('')
+        const color = escapeXML(obj.color || '#000000')
+        const dotElements = dots
+          .map(dot => `<circle cx="${coordinate(dot.center.x)}" cy="${coordinate(dot.center.y)}" r="${coordinate(dot.radius)}" fill="${color}"/>`)
+          .join('')
+
+        const value = formatDimensionText(geometry.value, style, dimensionFormat, obj.dimType)
+        const textHeight = inchesToPixels(style.textHeight)
+        const text = getDimensionTextPlacement(geometry.text, style.textPlacement, textHeight, estimateTextWidth(value, textHeight))
+        const rotation = text.angle ? ` transform="rotate(${format(text.angle * 180 / Math.PI)} ${coordinate(text.position.x)} ${coordinate(text.position.y)})"` : ''
+        elements.push(
+          '<g class="dimension">' +
+          `<path d="${pathData}" ${stroke(obj)}/>` +
+          dotElements +
+          `<text x="${coordinate(text.position.x)}" y="${coordinate(text.position.y)}" font-family="Arial, sans-serif" font-size="${coordinate(textHeight)}" text-anchor="middle" dominant-baseline="middle" fill="${color}"${rotation}>` +
+          `${escapeXML(value)}</text>` +
+          '</g>'
+        )
+        break
+      }
+      default:
+        skip(obj.type)
+    }
+  })
+
+  const layerGroups = layers.flatMap((layer, index) => {
+    const hidden = isLayerVisible(layer) ? '' : ' style="display:none"'
+    const locked = layer.locked ? ' sodipodi:insensitive="true"' : ''
+    return [
+      `  <g id="layer${index + 1}" inkscape:groupmode="layer" inkscape:label="${escapeXML(layer.name)}"${hidden}${locked}>`,
+      ...layerElements.get(layer.name).map(element => '    ' + element),
+      '  </g>'
+    ]
+  })
+
+  const svg = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" xmlns:sodipodi="http://sodipodi.sourceforge.net/DTD/sodipodi-0.dtd" width="${format(viewWidth)}${unit.suffix}" height="${format(viewHeight)}${unit.suffix}" viewBox="${format(viewX)} ${format(viewY)} ${format(viewWidth)} ${format(viewHeight)}">`,
+    ...layerGroups,
+    '</svg>',
+    ''
+  ].join('\n')
+  return { svg, skipped }
+}
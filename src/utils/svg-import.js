@@ -0,0 +1,458 @@
+// SVG importer producing cadStore.vectorObjects entries
+//
+// Supported elements and what they become:
+//   <line>               -> line
+//   <rect>               -> rectangle (a closed polyline when rotated or skewed)
+//   <circle>             -> circle
+//   <ellipse>            -> ellipse
+//   <polyline>           -> polyline
+//   <polygon>            -> closed polyline
+//   <path>               -> one polyline per subpath, for M/L/H/V/Z data and
+//                           circular arcs (A with equal radii, which become
+//                           bulges), absolute and relative; other curves are
+//                           skipped
+// Everything else is counted in the `skipped` summary.
+//
+// SVG user units are scaled to world pixels (96 px per inch) from the root
+// width/height and viewBox. Element and group transforms are applied.
+//
+// Inkscape layers (<g inkscape:groupmode="layer">) become layers named by
+// their inkscape:label (or id); a hidden layer is off and an insensitive one
+// locked. Elements outside any layer go on layer '0'.
+
+import { inchesToPixels } from './units.js'
+import { IDENTITY, multiplyMatrices, applyMatrix } from './transform-utils.js'
+import { ellipseFromAxes } from './curve-utils.js'
+import { DEFAULT_LAYER_NAME, normalizeLayers } from './layers.js'
+
+const DEFAULT_COLOR = '#000000'
+
+// Absolute length units to inches
+const UNIT_INCHES = {
+  in: 1,
+  mm: 1 / 25.4,
+  cm: 1 / 2.54,
+  pt: 1 / 72,
+  pc: 1 / 6,
+  px: 1 / 96
+}
+
+/**
+ * Parse an SVG transform attribute into a matrix
+ * @param {string} transform - e.g. "translate(10 20) rotate(45)"
+ * @returns {Array} Affine matrix
+ */
+const parseTransform = (transform) => {
+  let matrix = IDENTITY
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g
+  let match
+  while ((match = pattern.exec(transform || '')) !== null) {
+    const args = match[2].split(/[\s,]+/).filter(Boolean).map(Number)
+    let next = IDENTITY
+    switch (match[1]) {
+      case 'matrix':
+        next = args.length === 6 ? args : IDENTITY
+        break
+      case 'translate':
+        next = [1, 0, 0, 1, args[0] || 0, args[1] || 0]
+        break
+      case 'scale':
+        next = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0]
+        break
+      case 'rotate': {
+        const angle = (args[0] || 0) * Math.PI / 180
+        const cos = Math.cos(angle)
+        const sin = Math.sin(angle)
+        const cx = args[1] || 0
+        const cy = args[2] || 0
+        next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy]
+        break
+      }
+      case 'skewX':
+        next = [1, 0, Math.tan((args[0] || 0) * Math.PI / 180), 1, 0, 0]
+        break
+      case 'skewY':
+        next = [1, Math.tan((args[0] || 0) * Math.PI / 180), 0, 1, 0, 0]
+        break
+    }
+    matrix = multiplyMatrices(matrix, next)
+  }
+  return matrix
+}
+
+/**
+ * Convert a length attribute with optional unit to inches
+ * @param {string} value - e.g. "8.5in", "210mm", "300"
+ * @returns {number|null} Inches, or null when missing or relative (%/em)
+ */
+const lengthToInches = (value) => {
+  const match = /^\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*([a-z%]*)\s*$/i.exec(value || '')
+  if (!match) return null
+  const unit = match[2].toLowerCase() || 'px'
+  return UNIT_INCHES[unit] !== undefined ? parseFloat(match[1]) * UNIT_INCHES[unit] : null
+}
+
+/**
+ * Read a presentation property from an attribute or the style attribute,
+ * walking up through parent groups
+ * @param {Element} element - SVG element
+ * @param {string} name - Property name, e.g. 'stroke'
+ * @returns {string|null} Property value
+ */
+const readProperty = (element, name) => {
+  for (let node = element; node && node.getAttribute; node = node.parentNode) {
+    const style = node.getAttribute('style') || ''
+    const styleMatch = new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`).exec(style)
+    if (styleMatch) return styleMatch[1].trim()
+    const attribute = node.getAttribute(name)
+    if (attribute !== null) return attribute.trim()
+  }
+  return null
+}
+
+/**
+ * Normalize an SVG color to #RRGGBB
+ * @param {string|null} value - SVG color (#rgb, #rrggbb, rgb(), black)
+ * @returns {string} Hex color (black when unknown or 'none')
+ */
+const parseColor = (value) => {
+  if (!value) return DEFAULT_COLOR
+  let match = /^#([0-9a-f]{6})$/i.exec(value)
+  if (match) return '#' + match[1].toUpperCase()
+  match = /^#([0-9a-f]{3})$/i.exec(value)
+  if (match) return '#' + match[1].split('').map(channel => channel + channel).join('').toUpperCase()
+  match = /^rgb\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*\)$/i.exec(value)
+  if (match) {
+    return '#' + match.slice(1, 4).map(channel => Math.min(255, Number(channel)).toString(16).padStart(2, '0')).join('').toUpperCase()
+  }
+  return DEFAULT_COLOR
+}
+
+/**
+ * Find the Inkscape layer group an element is drawn in
+ * @param {Element} element - SVG element
+ * @returns {Element|null} Nearest ancestor layer group
+ */
+const findLayerGroup = (element) => {
+  for (let node = element.parentNode; node && node.getAttribute; node = node.parentNode) {
+    if (node.nodeName.toLowerCase() === 'g' && node.getAttribute('inkscape:groupmode') === 'layer') {
+      return node
+    }
+  }
+  return null
+}
+
+/**
+ * Read an Inkscape layer group as a layer
+ * @param {Element} group - Layer group
+ * @returns {Object} Layer fields (see utils/layers.js)
+ */
+const readLayer = (group) => {
+  const style = group.getAttribute('style') || ''
+  const display = /(?:^|;)\s*display\s*:\s*none/.test(style) || group.getAttribute('display') === 'none'
+  return {
+    name: (group.getAttribute('inkscape:label') || group.getAttribute('id') || '').trim() || DEFAULT_LAYER_NAME,
+    on: !display,
+    locked: group.getAttribute('sodipodi:insensitive') === 'true'
+  }
+}
+
+/**
+ * Parse a list of numbers from points/path data
+ * @param {string} text - Number list
+ * @returns {Array} Numbers
+ */
+const parseNumbers = (text) => {
+  return (text.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || []).map(Number)
+}
+
+/**
+ * Bulge of an SVG arc with equal radii (see polyline-utils.js)
+ * @param {Object} start - Arc start {x, y}
+ * @param {Object} end - Arc end {x, y}
+ * @param {number} radius - Arc radius
+ * @param {number} largeArc - SVG large-arc flag
+ * @param {number} sweep - SVG sweep flag (1 is the positive-angle direction)
+ * @returns {number} Bulge, 0 for a degenerate arc drawn as a straight line
+ */
+const arcBulge = (start, end, radius, largeArc, sweep) => {
+  const chord = Math.hypot(end.x - start.x, end.y - start.y)
+  if (chord === 0 || radius === 0) return 0
+  // A radius too small for the chord is scaled up, as SVG renderers do
+  const halfAngle = Math.asin(Math.min(1, chord / (2 * radius)))
+  const angle = largeArc ? 2 * Math.PI - 2 * halfAngle : 2 * halfAngle
+  return Math.tan(angle / 4) * (sweep ? 1 : -1)
+}
+
+/**
+ * Parse path data made of straight segments and circular arcs into subpaths
+ * @param {string} data - Path d attribute
+ * @returns {Object} { subpaths: [{ points: [{x, y, bulge}], closed }], hasCurves }
+ */
+const parsePathData = (data) => {
+  const subpaths = []
+  let current = null
+  let position = { x: 0, y: 0 }
+  let start = { x: 0, y: 0 }
+  let hasCurves = false
+  const lineTo = (point) => {
+    position = point
+    current?.points.push(point)
+  }
+
+  const commandPattern = /([MmLlHhVvZzCcSsQqTtAa])([^MmLlHhVvZzCcSsQqTtAa]*)/g
+  let match
+  while ((match = commandPattern.exec(data || '')) !== null) {
+    const command = match[1]
+    const args = parseNumbers(match[2])
+    const relative = command === command.toLowerCase()
+
+    switch (command.toUpperCase()) {
+      case 'M':
+        for (let i = 0; i + 1 < args.length; i += 2) {
+          position = relative
+            ? { x: position.x + args[i], y: position.y + args[i + 1] }
+            : { x: args[i], y: args[i + 1] }
+          if (i === 0) {
+            // Moveto starts a subpath; extra pairs are implicit linetos
+            current = { points: [position], closed: false }
+            subpaths.push(current)
+            start = position
+          } else {
+            current.points.push(position)
+          }
+        }
+        break
+      case 'L':
+        for (let i = 0; i + 1 < args.length; i += 2) {
+          lineTo(relative
+            ? { x: position.x + args[i], y: position.y + args[i + 1] }
+            : { x: args[i], y: args[i + 1] })
+        }
+        break
+      case 'H':
+        args.forEach(value => {
+          lineTo({ x: relative ? position.x + value : value, y: position.y })
+        })
+        break
+      case 'V':
+        args.forEach(value => {
+          lineTo({ x: position.x, y: relative ? position.y + value : value })
+        })
+        break
+      case 'A':
+        for (let i = 0; i + 6 < args.length; i += 7) {
+          const [rx, ry, , largeArc, sweep, x, y] = args.slice(i, i + 7)
+          const end = relative ? { x: position.x + x, y: position.y + y } : { x, y }
+          if (Math.abs(rx) !== Math.abs(ry)) {
+            hasCurves = true
+          } else if (current) {
+            // The bulge belongs to the point the arc starts from
+            const points = current.points
+            points[points.length - 1] = { ...position, bulge: arcBulge(position, end, Math.abs(rx), largeArc, sweep) }
+          }
+          lineTo(end)
+        }
+        break
+      case 'Z':
+        if (current && current.points.length > 1) {
+          // A last point back on the start makes the closing segment itself
+          const last = current.points[current.points.length - 1]
+          if (current.points.length > 2 && last.x === start.x && last.y === start.y) {
+            current.points.pop()
+          }
+          current.closed = true
+        }
+        position = start
+        // A following command without moveto starts from the subpath start
+        current = { points: [position], closed: false }
+        subpaths.push(current)
+        break
+      default:
+        hasCurves = true
+    }
+  }
+
+  return { subpaths: subpaths.filter(subpath => subpath.points.length > 1), hasCurves }
+}
+
+/**
+ * Import SVG text as vector objects
+ * @param {string} text - SVG file contents
+ * @returns {Object} { objects, layers, skipped: { element: count } }
+ * @throws {Error} When the file is not an SVG document
+ */
+export const importSVG = (text) => {
+  const document = new DOMParser().parseFromString(text, 'image/svg+xml')
+  const svg = document.documentElement
+  if (!svg || svg.nodeName.toLowerCase() !== 'svg' || document.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('File is not a valid SVG document')
+  }
+
+  // Root scale: user units to world pixels
+  const viewBox = parseNumbers(svg.getAttribute('viewBox') || '')
+  const widthInches = lengthToInches(svg.getAttribute('width'))
+  const heightInches = lengthToInches(svg.getAttribute('height'))
+  // Without a viewBox one user unit is one CSS pixel, which is one world pixel.
+  // The viewBox origin is not subtracted: user coordinates keep their position
+  // so an exported drawing comes back where it was drawn.
+  let rootMatrix = IDENTITY
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    const scaleX = widthInches !== null ? inchesToPixels(widthInches) / viewBox[2] : 1
+    const scaleY = heightInches !== null ? inchesToPixels(heightInches) / viewBox[3] : scaleX
+    rootMatrix = [scaleX, 0, 0, scaleY, 0, 0]
+  }
+
+  // Combined matrix of an element: root scale then every ancestor transform
+  const elementMatrix = (element) => {
+    const chain = []
+    for (let node = element; node && node !== svg; node = node.parentNode) {
+      chain.unshift(node)
+    }
+    return chain.reduce((matrix, node) => multiplyMatrices(matrix, parseTransform(node.getAttribute('transform'))), rootMatrix)
+  }
+
+  const number = (element, name) => parseFloat(element.getAttribute(name)) || 0
+
+  const objects = []
+  const skipped = {}
+  const skip = (type) => {
+    skipped[type] = (skipped[type] || 0) + 1
+  }
+
+  // Every layer group, in document order, including empty ones
+  const layers = Array.from(svg.querySelectorAll('g'))
+    .filter(group => group.getAttribute('inkscape:groupmode') === 'layer')
+    .map(readLayer)
+
+  const elements = svg.querySelectorAll('line, rect, circle, polyline, polygon, path, ellipse, text, image, use')
+  elements.forEach(element => {
+    const tag = element.nodeName.toLowerCase()
+    // Definitions (markers, patterns, clip paths) are not drawing geometry
+    if (element.closest('defs, clipPath, mask, marker, pattern, symbol')) return
+
+    const matrix = elementMatrix(element)
+    const toWorld = (point) => applyMatrix(matrix, point)
+    const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]))
+    // A reflection reverses the turn of arcs
+    const mirrored = matrix[0] * matrix[3] - matrix[1] * matrix[2] < 0
+    const strokeWidth = parseFloat(readProperty(element, 'stroke-width'))
+    const layerGroup = findLayerGroup(element)
+    const style = {
+      layer: layerGroup ? readLayer(layerGroup).name : DEFAULT_LAYER_NAME,
+      color: parseColor(readProperty(element, 'stroke')),
+      lineWidth: Math.max(1, Math.round((isNaN(strokeWidth) ? 1 : strokeWidth) * scale))
+    }
+    const addPolyline = (points, closed = false) => {
+      if (points.length < 2) {
+        skip(tag)
+        return
+      }
+      const worldPoints = points.map(point => point.bulge
+        ? { ...toWorld(point), bulge: mirrored ? -point.bulge : point.bulge }
+        : toWorld(point))
+      objects.push({ type: 'polyline', points: worldPoints, closed, ...style })
+    }
+
+    switch (tag) {
+      case 'line':
+        objects.push({
+          type: 'line',
+          start: toWorld({ x: number(element, 'x1'), y: number(element, 'y1') }),
+          end: toWorld({ x: number(element, 'x2'), y: number(element, 'y2') }),
+          ...style
+        })
+        break
+      case 'rect': {
+        const x = number(element, 'x')
+        const y = number(element, 'y')
+        const width = number(element, 'width')
+        const height = number(element, 'height')
+        if (width <= 0 || height <= 0) {
+          skip(tag)
+          break
+        }
+        const corners = [
+          { x, y },
+          { x: x + width, y },
+          { x: x + width, y: y + height },
+          { x, y: y + height }
+        ]
+        if (matrix[1] === 0 && matrix[2] === 0) {
+          // Axis-aligned: keep it a rectangle object
+          const origin = toWorld(corners[0])
+          const opposite = toWorld(corners[2])
+          objects.push({
+            type: 'rectangle',
+            x: origin.x,
+            y: origin.y,
+            width: opposite.x - origin.x,
+            height: opposite.y - origin.y,
+            filled: false,
+            ...style
+          })
+        } else {
+          addPolyline(corners, true)
+        }
+        break
+      }
+      case 'circle': {
+        const radius = number(element, 'r') * scale
+        if (radius <= 0) {
+          skip(tag)
+          break
+        }
+        const center = toWorld({ x: number(element, 'cx'), y: number(element, 'cy') })
+        objects.push({ type: 'circle', x: center.x, y: center.y, radius, filled: false, ...style })
+        break
+      }
+      case 'ellipse': {
+        // The axes are transformed as vectors from the center; like circles,
+        // skew is not supported
+        const cx = number(element, 'cx')
+        const cy = number(element, 'cy')
+        const center = toWorld({ x: cx, y: cy })
+        const axisEnd = toWorld({ x: cx + number(element, 'rx'), y: cy })
+        const otherEnd = toWorld({ x: cx, y: cy + number(element, 'ry') })
+        const ellipse = ellipseFromAxes(
+          center,
+          { x: axisEnd.x - center.x, y: axisEnd.y - center.y },
+          Math.hypot(otherEnd.x - center.x, otherEnd.y - center.y)
+        )
+        if (!ellipse) {
+          skip(tag)
+          break
+        }
+        objects.push({ type: 'ellipse', ...ellipse, ...style })
+        break
+      }
+      case 'polyline':
+      case 'polygon': {
+        const values = parseNumbers(element.getAttribute('points') || '')
+        const points = []
+        for (let i = 0; i + 1 < values.length; i += 2) {
+          points.push({ x: values[i], y: values[i + 1] })
+        }
+        addPolyline(points, tag === 'polygon' && points.length > 2)
+        break
+      }
+      case 'path': {
+        const { subpaths, hasCurves } = parsePathData(element.getAttribute('d'))
+        if (hasCurves) {
+          skip('path (curves)')
+          break
+        }
+        if (subpaths.length === 0) {
+          skip(tag)
+          break
+        }
+        subpaths.forEach(subpath => addPolyline(subpath.points, subpath.closed))
+        break
+      }
+      default:
+        skip(tag)
+    }
+  })
+
+  return { objects, layers: normalizeLayers(layers), skipped }
+}
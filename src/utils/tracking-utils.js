@@ -0,0 +1,128 @@
+// Ortho, polar tracking and object snap tracking
+//
+// ORTHO locks the cursor to horizontal or vertical from the base point (the
+// point being drawn from; see getBasePoint in CADCanvas). Polar tracking
+// and object snap tracking instead offer alignment lines, and the cursor
+// snaps to one when it comes within the aperture, or to where two cross:
+// polar lines run from the base point at multiples of the polar angle
+// increment, and tracking lines run horizontally and vertically (at the
+// polar angles too while polar tracking is on) through snap points the
+// cursor has rested on.
+//
+// Alignment lines are { origin, angle, base }: a point, an angle in world
+// radians and whether it runs from the base point. Angles are taken as
+// whole lines, so 0 and π are the same line.
+
+// Lines closer to parallel than this (radians) do not cross
+const PARALLEL_EPSILON = 1e-9
+
+// Horizontal and vertical, the lines ORTHO and object snap tracking use
+// while polar tracking is off
+export const ORTHO_ANGLES = [0, Math.PI / 2]
+
+// Polar angle increments offered in the toolbar, in degrees; POLAR takes any
+// angle above 0 and up to 90
+export const POLAR_INCREMENTS = [90, 45, 30, 22.5, 18, 15, 10, 5]
+
+/**
+ * Lock a point to horizontal or vertical from a base point (ORTHO)
+ * @param {Object} base - Base point {x, y}
+ * @param {Object} point - Cursor position {x, y}
+ * @returns {Object} Point {x, y} level with or plumb below the base,
+ *   whichever is nearer the cursor
+ */
+export const orthoPoint = (base, point) => Math.abs(point.x - base.x) >= Math.abs(point.y - base.y)
+  ? { x: point.x, y: base.y }
+  : { x: base.x, y: point.y }
+
+/**
+ * Angles of the lines polar tracking offers
+ * @param {number} increment - Polar angle increment in degrees, above 0
+ * @returns {Array} Angles in world radians, from 0 up to (not including) π
+ */
+export const getPolarAngles = (increment) => {
+  const angles = []
+  for (let i = 0; i * increment < 180 - PARALLEL_EPSILON; i++) {
+    angles.push(i * increment * Math.PI / 180)
+  }
+  return angles
+}
+
+/**
+ * Alignment lines through points at a set of angles
+ * @param {Array} points - Points {x, y} the lines run through
+ * @param {Array} angles - Angles in world radians
+ * @param {boolean} base - Whether the points are the base point
+ * @returns {Array} Alignment lines { origin, angle, base }
+ */
+export const getAlignmentLines = (points, angles, base = false) =>
+  points.flatMap(origin => angles.map(angle => ({ origin, angle, base })))
+
+// Unit direction of an alignment line, exactly level or plumb for the
+// horizontal and vertical lines so points on them keep the origin's x or y
+const directionOf = (line) => {
+  const dx = Math.cos(line.angle)
+  const dy = Math.sin(line.angle)
+  return { x: Math.abs(dx) < PARALLEL_EPSILON ? 0 : dx, y: Math.abs(dy) < PARALLEL_EPSILON ? 0 : dy }
+}
+
+// Foot of the perpendicular from a point onto an alignment line
+const projectOnto = (line, point) => {
+  const direction = directionOf(line)
+  const along = (point.x - line.origin.x) * direction.x + (point.y - line.origin.y) * direction.y
+  return { x: line.origin.x + direction.x * along, y: line.origin.y + direction.y * along }
+}
+
+// Where two alignment lines cross, or null for parallel lines
+const crossing = (a, b) => {
+  const da = directionOf(a)
+  const db = directionOf(b)
+  const denominator = da.x * db.y - da.y * db.x
+  if (Math.abs(denominator) < PARALLEL_EPSILON) return null
+  const dx = b.origin.x - a.origin.x
+  const dy = b.origin.y - a.origin.y
+  const t = (dx * db.y - dy * db.x) / denominator
+  return { x: a.origin.x + da.x * t, y: a.origin.y + da.y * t }
+}
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y)
+
+/**
+ * Find the alignment the cursor snaps to: where two lines cross, or else
+ * the nearest line
+ * @param {Object} point - Cursor position in world coordinates
+ * @param {Array} lines - Alignment lines from getAlignmentLines()
+ * @param {number} tolerance - Aperture in world units
+ * @param {boolean} onBase - Only offer points on a line from the base point
+ *   (for ORTHO, which must not be left)
+ * @returns {Object|null} { position, lines }: the snapped point and the
+ *   lines it lies on, or null when no line is in the aperture
+ */
+export const findAlignment = (point, lines, tolerance, onBase = false) => {
+  // A line through its own origin is no alignment: the cursor is on the
+  // point it was acquired from
+  const near = lines.filter(line => distance(projectOnto(line, point), point) <= tolerance &&
+    distance(line.origin, point) > tolerance)
+  let best = null
+  let bestDistance = Infinity
+  // Keep a candidate when it is the closest to the cursor so far
+  const offer = (position, onLines) => {
+    const away = distance(position, point)
+    if (best ? away >= bestDistance : away > tolerance) return
+    best = { position, lines: onLines }
+    bestDistance = away
+  }
+
+  near.forEach((a, i) => near.slice(i + 1).forEach(b => {
+    if (onBase && !a.base && !b.base) return
+    if (a.origin.x === b.origin.x && a.origin.y === b.origin.y) return
+    const position = crossing(a, b)
+    if (position) offer(position, [a, b])
+  }))
+  if (best) return best
+
+  near.forEach(line => {
+    if (!onBase || line.base) offer(projectOnto(line, point), [line])
+  })
+  return best
+}
@@ -0,0 +1,193 @@
+// Affine transforms for vector objects (MOVE, COPY, ROTATE, SCALE, MIRROR)
+//
+// A matrix is [a, b, c, d, e, f] mapping (x, y) to
+// (a*x + c*y + e, b*x + d*y + f), the same layout as SVG matrix().
+// Angles are radians in world coordinates (Y down), so a positive angle
+// turns clockwise on screen.
+//
+// Only uniform transforms (rigid motions, uniform scale, reflections) are
+// used by the modify commands, so circles and arcs stay circular and
+// ellipses keep their proportions. Rectangles are stored axis-aligned; when
+// a transform leaves one rotated it becomes a closed polyline, which is what
+// an AutoCAD rectangle is anyway.
+
+import { getRectangleCorners } from './drawing-utils.js'
+import { getCurveEndpoints, getCurveSweep, normalizeAngle } from './curve-utils.js'
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0]
+
+// Tolerance for deciding whether a transformed rectangle is still axis-aligned
+const AXIS_EPSILON = 1e-9
+
+/**
+ * Combine two matrices: the result applies n first, then m
+ * @param {Array} m - Outer matrix
+ * @param {Array} n - Inner matrix
+ * @returns {Array} Combined matrix
+ */
+export const multiplyMatrices = (m, n) => [
+  m[0] * n[0] + m[2] * n[1],
+  m[1] * n[0] + m[3] * n[1],
+  m[0] * n[2] + m[2] * n[3],
+  m[1] * n[2] + m[3] * n[3],
+  m[0] * n[4] + m[2] * n[5] + m[4],
+  m[1] * n[4] + m[3] * n[5] + m[5]
+]
+
+/**
+ * Transform a point
+ * @param {Array} m - Matrix
+ * @param {Object} point - Point {x, y}
+ * @returns {Object} Transformed point {x, y}
+ */
+export const applyMatrix = (m, point) => ({
+  x: m[0] * point.x + m[2] * point.y + m[4],
+  y: m[1] * point.x + m[3] * point.y + m[5]
+})
+
+/**
+ * Translation by a displacement
+ * @param {number} dx - X displacement
+ * @param {number} dy - Y displacement
+ * @returns {Array} Matrix
+ */
+export const translationMatrix = (dx, dy) => [1, 0, 0, 1, dx, dy]
+
+/**
+ * Rotation about a center point
+ * @param {Object} center - Center {x, y}
+ * @param {number} angle - Angle in radians (positive is clockwise on screen)
+ * @returns {Array} Matrix
+ */
+export const rotationMatrix = (center, angle) => {
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return [cos, sin, -sin, cos, center.x - cos * center.x + sin * center.y, center.y - sin * center.x - cos * center.y]
+}
+
+/**
+ * Uniform scale about a base point
+ * @param {Object} center - Base point {x, y}
+ * @param {number} factor - Scale factor (> 0)
+ * @returns {Array} Matrix
+ */
+export const scaleMatrix = (center, factor) => [factor, 0, 0, factor, center.x * (1 - factor), center.y * (1 - factor)]
+
+/**
+ * Reflection across the line through two points
+ * @param {Object} point1 - First point of the mirror line
+ * @param {Object} point2 - Second point of the mirror line
+ * @returns {Array|null} Matrix, or null when the points coincide
+ */
+export const mirrorMatrix = (point1, point2) => {
+  const dx = point2.x - point1.x
+  const dy = point2.y - point1.y
+  const lengthSquared = dx * dx + dy * dy
+  if (lengthSquared === 0) return null
+
+  // Reflection across a line through the origin at angle t is
+  // [cos 2t, sin 2t, sin 2t, -cos 2t]; translate so point1 is the origin
+  const cos2 = (dx * dx - dy * dy) / lengthSquared
+  const sin2 = 2 * dx * dy / lengthSquared
+  const reflect = [cos2, sin2, sin2, -cos2, 0, 0]
+  return multiplyMatrices(
+    translationMatrix(point1.x, point1.y),
+    multiplyMatrices(reflect, translationMatrix(-point1.x, -point1.y))
+  )
+}
+
+/**
+ * Apply a matrix to a vector object
+ * @param {Object} obj - Vector object
+ * @param {Array} m - Matrix (uniform: no skew or non-uniform scale)
+ * @returns {Object} New transformed object (the input is not changed)
+ */
+export const transformObject = (obj, m) => {
+  const point = (p) => applyMatrix(m, p)
+  // Length scale of a uniform matrix, and whether it is a reflection
+  const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]))
+  const mirrored = m[0] * m[3] - m[1] * m[2] < 0
+
+  switch (obj.type) {
+    case 'line':
+      return { ...obj, start: point(obj.start), end: point(obj.end) }
+    case 'polyline':
+      // A reflection reverses the turn of every arc segment
+      return {
+        ...obj,
+        points: obj.points.map(p => p.bulge ? { ...point(p), bulge: mirrored ? -p.bulge : p.bulge } : point(p))
+      }
+    case 'circle': {
+      const center = point({ x: obj.x, y: obj.y })
+      return { ...obj, x: center.x, y: center.y, radius: obj.radius * scale }
+    }
+    case 'arc': {
+      // The start moves with the geometry; a reflection reverses the sweep
+      // direction, so the old end becomes the start
+      const center = point({ x: obj.x, y: obj.y })
+      const [start, end] = getCurveEndpoints(obj).map(point)
+      const from = mirrored ? end : start
+      const startAngle = normalizeAngle(Math.atan2(from.y - center.y, from.x - center.x))
+      return { ...obj, x: center.x, y: center.y, radius: obj.radius * scale, startAngle, endAngle: startAngle + getCurveSweep(obj) }
+    }
+    case 'ellipse': {
+      // Parameters are measured from the major axis, which turns with the
+      // geometry; a reflection reverses their direction
+      const center = point({ x: obj.x, y: obj.y })
+      const majorAxis = {
+        x: m[0] * obj.majorAxis.x + m[2] * obj.majorAxis.y,
+        y: m[1] * obj.majorAxis.x + m[3] * obj.majorAxis.y
+      }
+      const startAngle = normalizeAngle(mirrored ? -obj.endAngle : obj.startAngle)
+      return { ...obj, x: center.x, y: center.y, majorAxis, startAngle, endAngle: startAngle + getCurveSweep(obj) }
+    }
+    case 'dimension': {
+      // Every defining point moves together, so the dimension keeps
+      // measuring the same geometry
+      const transformed = { ...obj }
+      ;['point1', 'point2', 'center', 'dimensionLinePos'].forEach(field => {
+        if (obj[field]) transformed[field] = point(obj[field])
+      })
+      if (obj.dimType === 'linear') {
+        // The measuring direction turns (or mirrors) with the geometry
+        const angle = obj.angle || 0
+        transformed.angle = Math.atan2(
+          m[1] * Math.cos(angle) + m[3] * Math.sin(angle),
+          m[0] * Math.cos(angle) + m[2] * Math.sin(angle)
+        )
+      }
+      if (obj.dimType === 'angular' && mirrored) {
+        // A reflection reverses the sweep direction: swap the rays so the
+        // same angle is still measured
+        transformed.point1 = point(obj.point2)
+        transformed.point2 = point(obj.point1)
+      }
+      return transformed
+    }
+    case 'rectangle': {
+      const corners = getRectangleCorners(obj).map(point)
+      const axisAligned =
+        (Math.abs(corners[0].y - corners[1].y) <= AXIS_EPSILON && Math.abs(corners[0].x - corners[3].x) <= AXIS_EPSILON) ||
+        (Math.abs(corners[0].x - corners[1].x) <= AXIS_EPSILON && Math.abs(corners[0].y - corners[3].y) <= AXIS_EPSILON)
+      if (axisAligned) {
+        // Corner 2 is always opposite corner 0
+        return {
+          ...obj,
+          x: corners[0].x,
+          y: corners[0].y,
+          width: corners[2].x - corners[0].x,
+          height: corners[2].y - corners[0].y
+        }
+      }
+      const polyline = { ...obj, type: 'polyline', points: corners, closed: true }
+      delete polyline.x
+      delete polyline.y
+      delete polyline.width
+      delete polyline.height
+      delete polyline.filled
+      return polyline
+    }
+    default:
+      return { ...obj }
+  }
+}
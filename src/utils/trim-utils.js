@@ -0,0 +1,349 @@
+// Trimming and extending objects at cutting and boundary edges (TRIM, EXTEND)
+//
+// Objects are broken into edges (see geometry-utils.js) and walked with a
+// path parameter: edge i of an object covers i to i + 1. Lines, arcs and
+// open polylines are open paths; circles, rectangles and closed polylines
+// closed ones. Ellipses and dimensions are neither trimmed nor used as
+// edges.
+//
+// TRIM cuts an object wherever it crosses a cutting edge and removes the
+// pieces picked: the one under a pick point, every one a fence crosses or
+// every one inside or crossing a box. A closed path needs two cuts to lose
+// a piece. What is left keeps the object's properties; a circle becomes an
+// arc and a rectangle or closed polyline an open polyline.
+//
+// EXTEND lengthens a line, arc or open polyline at one end until it meets
+// the nearest boundary edge ahead: a straight end runs on along its line,
+// an arc end round its circle. Boundary edges are not extended themselves
+// to meet it (AutoCAD's EDGEMODE 0).
+
+import { getRectangleCorners } from './drawing-utils.js'
+import { getPolylineSegments } from './polyline-utils.js'
+import { TWO_PI, getCurveSweep, normalizeAngle } from './curve-utils.js'
+import {
+  getEdgeBulge,
+  getEdgeLength,
+  getEdgeParameter,
+  getEdgePoint,
+  getEdgeShape,
+  getSubEdge,
+  intersectEdges,
+  intersectShapes,
+  isOnEdge,
+  reverseEdge,
+  segmentToEdge
+} from './geometry-utils.js'
+
+// Slack on path parameters when comparing cuts and picks
+const PARAMETER_EPSILON = 1e-9
+
+// Shortest lengthening EXTEND makes: a boundary already touching the end
+// is not ahead of it (world pixels)
+const LENGTH_EPSILON = 1e-6
+
+const TRIM_TYPES = ['line', 'rectangle', 'circle', 'arc', 'polyline']
+
+const isClosedPath = (obj) => obj.type === 'circle' || obj.type === 'rectangle' || (obj.type === 'polyline' && !!obj.closed)
+
+/**
+ * Edges an object is made of, in path order
+ * @param {Object} obj - Vector object
+ * @returns {Array} Straight and arc edges (see geometry-utils.js); none for
+ *   ellipses, dimensions and unknown objects
+ */
+export const getObjectEdges = (obj) => {
+  switch (obj.type) {
+    case 'line':
+      return [{ start: { x: obj.start.x, y: obj.start.y }, end: { x: obj.end.x, y: obj.end.y } }]
+    case 'circle':
+      return [{ center: { x: obj.x, y: obj.y }, radius: obj.radius, startAngle: 0, sweep: TWO_PI }]
+    case 'arc':
+      return [{ center: { x: obj.x, y: obj.y }, radius: obj.radius, startAngle: obj.startAngle, sweep: getCurveSweep(obj) }]
+    case 'rectangle': {
+      const corners = getRectangleCorners(obj)
+      return corners.map((corner, i) => ({ start: corner, end: corners[(i + 1) % corners.length] }))
+    }
+    case 'polyline':
+      return getPolylineSegments(obj).map(segmentToEdge)
+    default:
+      return []
+  }
+}
+
+/**
+ * Check whether an object can be trimmed
+ * @param {Object} obj - Vector object
+ * @returns {boolean} True for lines, rectangles, circles, arcs and polylines
+ */
+export const canTrim = (obj) => TRIM_TYPES.includes(obj?.type)
+
+/**
+ * Check whether an object can be extended
+ * @param {Object} obj - Vector object
+ * @returns {boolean} True for lines, arcs and open polylines
+ */
+export const canExtend = (obj) => obj?.type === 'line' || obj?.type === 'arc' ||
+  (obj?.type === 'polyline' && !obj.closed && obj.points.length > 1)
+
+// Edges of the other objects, without zero-length ones (doubled polyline
+// points), which cross nothing
+const otherEdges = (obj, edgeObjects) => edgeObjects
+  .filter(other => other.id !== obj.id)
+  .flatMap(getObjectEdges)
+  .filter(edge => getEdgeLength(edge) > 0)
+
+// Path parameters where edges cross other edges
+const pathCrossings = (edges, others) => edges.flatMap((edge, i) => others.flatMap(other =>
+  intersectEdges(edge, other).map(crossing => i + crossing.t)
+))
+
+// Path parameter of the point of a path nearest a point
+const nearestParameter = (edges, point) => edges.reduce((nearest, edge, i) => {
+  const t = Math.min(1, Math.max(0, getEdgeParameter(edge, point)))
+  const onEdge = getEdgePoint(edge, t)
+  const distance = Math.hypot(point.x - onEdge.x, point.y - onEdge.y)
+  return distance < nearest.distance ? { distance, parameter: i + t } : nearest
+}, { distance: Infinity, parameter: 0 }).parameter
+
+// Point of a path at a path parameter, a closed path's running on past
+// its start
+const pathPoint = (edges, parameter) => {
+  const wrapped = parameter > edges.length ? parameter - edges.length : parameter
+  const i = Math.min(edges.length - 1, Math.floor(wrapped))
+  return getEdgePoint(edges[i], wrapped - i)
+}
+
+// Length of a path from its start to a path parameter
+const lengthTo = (edges, parameter) => edges.reduce((length, edge, i) =>
+  length + getEdgeLength(edge) * Math.min(1, Math.max(0, parameter - i)), 0)
+
+// Part of a path between two path parameters (beyond the path's length
+// for the part of a closed path running on past its start)
+const pathPart = (edges, from, to) => {
+  const part = []
+  for (let i = Math.floor(from); i < to - PARAMETER_EPSILON; i++) {
+    const start = Math.max(0, from - i)
+    const end = Math.min(1, to - i)
+    if (end - start > PARAMETER_EPSILON) part.push(getSubEdge(edges[i % edges.length], start, end))
+  }
+  return part
+}
+
+// Pieces a path falls into when cut at path parameters, as { from, to }.
+// The last piece of a closed path runs on past its start, to the first cut
+// plus the path's length.
+const cutPath = (edges, closed, cuts) => {
+  const count = edges.length
+  const sorted = cuts
+    .map(cut => closed && cut >= count - PARAMETER_EPSILON ? 0 : cut)
+    .filter(cut => closed || (cut > PARAMETER_EPSILON && cut < count - PARAMETER_EPSILON))
+    .sort((a, b) => a - b)
+    .filter((cut, i, all) => i === 0 || cut - all[i - 1] > PARAMETER_EPSILON)
+  if (closed) {
+    if (sorted.length < 2) return []
+    return sorted.map((cut, i) => ({ from: cut, to: i + 1 < sorted.length ? sorted[i + 1] : sorted[0] + count }))
+  }
+  if (sorted.length === 0) return []
+  const bounds = [0, ...sorted, count]
+  return bounds.slice(1).map((to, i) => ({ from: bounds[i], to }))
+}
+
+// Check whether a path parameter lies inside a piece, for a closed path
+// also a turn further on
+const pieceContains = (piece, parameter, count, slack) => [parameter, parameter + count].some(value =>
+  value > piece.from + slack && value < piece.to - slack
+)
+
+// The four sides of a box as straight edges
+const boxEdges = (box) => {
+  const corners = [
+    { x: box.minX, y: box.minY }, { x: box.maxX, y: box.minY },
+    { x: box.maxX, y: box.maxY }, { x: box.minX, y: box.maxY }
+  ]
+  return corners.map((corner, i) => ({ start: corner, end: corners[(i + 1) % 4] }))
+}
+
+const insideBox = (point, box) =>
+  point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY
+
+// Fence points as straight edges
+const fenceEdges = (points) => points.slice(1)
+  .map((point, i) => ({ start: points[i], end: point }))
+  .filter(edge => getEdgeLength(edge) > 0)
+
+// Object made of a part of another object's path, with its properties
+const objectFromPart = (obj, part) => {
+  switch (obj.type) {
+    case 'line':
+      return { ...obj, start: part[0].start, end: part[part.length - 1].end }
+    case 'circle':
+    case 'arc': {
+      const startAngle = normalizeAngle(part[0].startAngle)
+      const sweep = part.reduce((total, edge) => total + edge.sweep, 0)
+      const arc = { ...obj, type: 'arc', startAngle, endAngle: startAngle + sweep }
+      delete arc.filled
+      return arc
+    }
+    default: {
+      // Vertices come from straight edges where they can, which keeps them
+      // exact
+      const points = part.map((edge, i) => {
+        const vertex = !edge.center ? edge.start : i > 0 && !part[i - 1].center ? part[i - 1].end : getEdgePoint(edge, 0)
+        const bulge = getEdgeBulge(edge)
+        return bulge ? { x: vertex.x, y: vertex.y, bulge } : { x: vertex.x, y: vertex.y }
+      })
+      points.push(getEdgePoint(part[part.length - 1], 1))
+      const polyline = { ...obj, type: 'polyline', points, closed: false }
+      delete polyline.x
+      delete polyline.y
+      delete polyline.width
+      delete polyline.height
+      delete polyline.filled
+      return polyline
+    }
+  }
+}
+
+/**
+ * Trim an object at its crossings with cutting edges (TRIM)
+ * @param {Object} obj - Vector object that canTrim() accepts
+ * @param {Array} edgeObjects - Cutting edge objects (the object itself
+ *   among them is skipped)
+ * @param {Object} pick - Which pieces to remove: { point } the one nearest
+ *   a point, { fence: [points] } every one a fence crosses, or
+ *   { box: {minX, minY, maxX, maxY} } every one inside or crossing a box
+ * @returns {Array|null} Objects left, the first to replace the trimmed one:
+ *   none when every piece was removed, and null when nothing was (the
+ *   object crosses no cutting edge, or the pick misses every piece)
+ */
+export const trimObject = (obj, edgeObjects, pick) => {
+  const edges = getObjectEdges(obj)
+  if (edges.length === 0) return null
+  const count = edges.length
+  const closed = isClosedPath(obj)
+  const pieces = cutPath(edges, closed, pathCrossings(edges, otherEdges(obj, edgeObjects)))
+  if (pieces.length === 0) return null
+
+  let removed
+  if (pick.point) {
+    // The piece under the point, whichever side of a cut it lies nearest
+    const parameter = nearestParameter(edges, pick.point)
+    const index = pieces.findIndex(piece => pieceContains(piece, parameter, count, -PARAMETER_EPSILON))
+    removed = pieces.map((piece, i) => i === index)
+  } else {
+    const crossings = pathCrossings(edges, pick.fence ? fenceEdges(pick.fence) : boxEdges(pick.box))
+    removed = pieces.map(piece => {
+      if (crossings.some(parameter => pieceContains(piece, parameter, count, PARAMETER_EPSILON))) return true
+      if (!pick.box) return false
+      // A piece wholly inside the box crosses none of its sides
+      return insideBox(pathPoint(edges, (piece.from + piece.to) / 2), pick.box)
+    })
+  }
+  if (!removed.includes(true)) return null
+
+  // Join the pieces kept between removed ones, starting after a removed
+  // piece so the kept run across a closed path's start stays whole
+  const first = closed ? removed.indexOf(true) + 1 : 0
+  const runs = []
+  for (let k = 0; k < pieces.length; k++) {
+    const i = (first + k) % pieces.length
+    if (removed[i]) continue
+    // Pieces after the wrap lie a turn further on
+    const turn = closed && i < first ? count : 0
+    const from = pieces[i].from + turn
+    const to = pieces[i].to + turn
+    const last = runs[runs.length - 1]
+    if (last && Math.abs(last.to - from) <= PARAMETER_EPSILON) {
+      last.to = to
+    } else {
+      runs.push({ from, to })
+    }
+  }
+  return runs
+    .map(run => pathPart(edges, run.from, run.to))
+    .filter(part => part.length > 0)
+    .map(part => objectFromPart(obj, part))
+}
+
+// How far along an edge, run on past its end, it first meets a boundary:
+// the parameter beyond 1, or null when it meets none
+const extensionTo = (edge, boundaries) => {
+  const length = getEdgeLength(edge)
+  const shape = getEdgeShape(edge)
+  return boundaries.reduce((nearest, boundary) => {
+    intersectShapes(shape, getEdgeShape(boundary)).forEach(point => {
+      if (!isOnEdge(boundary, getEdgeParameter(boundary, point))) return
+      let t
+      if (edge.center) {
+        // Turn on past the end of the arc, short of closing the circle
+        const angle = Math.atan2(point.y - edge.center.y, point.x - edge.center.x)
+        const beyond = normalizeAngle((angle - edge.startAngle - edge.sweep) * Math.sign(edge.sweep))
+        if (beyond >= TWO_PI - Math.abs(edge.sweep)) return
+        t = 1 + beyond / Math.abs(edge.sweep)
+      } else {
+        t = getEdgeParameter(edge, point)
+      }
+      if ((t - 1) * length > LENGTH_EPSILON && (nearest === null || t < nearest)) nearest = t
+    })
+    return nearest
+  }, null)
+}
+
+/**
+ * Lengthen an object to the nearest boundary edge (EXTEND)
+ * @param {Object} obj - Vector object that canExtend() accepts
+ * @param {Array} edgeObjects - Boundary edge objects (the object itself
+ *   among them is skipped)
+ * @param {Object} pick - Where the object is picked: { point } near a
+ *   point, { fence: [points] } where a fence crosses it, or
+ *   { box: {minX, minY, maxX, maxY} } where it crosses or ends inside a
+ *   box. The end nearer along the object is extended.
+ * @returns {Object|null} The extended object, or null when the pick
+ *   misses it or no boundary edge lies ahead of that end
+ */
+export const extendObject = (obj, edgeObjects, pick) => {
+  const edges = getObjectEdges(obj)
+  if (edges.length === 0) return null
+  let picked
+  if (pick.point) {
+    picked = [nearestParameter(edges, pick.point)]
+  } else if (pick.fence) {
+    picked = pathCrossings(edges, fenceEdges(pick.fence))
+  } else {
+    picked = pathCrossings(edges, boxEdges(pick.box))
+      .concat([0, edges.length].filter(parameter => insideBox(pathPoint(edges, parameter), pick.box)))
+  }
+  if (picked.length === 0) return null
+
+  // The end nearest any picked spot
+  const total = lengthTo(edges, edges.length)
+  const along = picked.map(parameter => lengthTo(edges, parameter))
+  const atEnd = total - Math.max(...along) < Math.min(...along)
+
+  // Run the end edge forwards out of the end to extend
+  const edge = atEnd ? edges[edges.length - 1] : reverseEdge(edges[0])
+  const to = extensionTo(edge, otherEdges(obj, edgeObjects))
+  if (to === null) return null
+  const extended = atEnd ? getSubEdge(edge, 0, to) : reverseEdge(getSubEdge(edge, 0, to))
+
+  switch (obj.type) {
+    case 'line':
+      return { ...obj, start: extended.start, end: extended.end }
+    case 'arc': {
+      const startAngle = normalizeAngle(extended.startAngle)
+      return { ...obj, startAngle, endAngle: startAngle + extended.sweep }
+    }
+    default: {
+      const points = obj.points.map(vertex => ({ ...vertex }))
+      const bulge = getEdgeBulge(extended)
+      if (atEnd) {
+        const last = points.length - 1
+        points[last - 1] = { x: points[last - 1].x, y: points[last - 1].y, ...(bulge ? { bulge } : {}) }
+        points[last] = { ...points[last], ...getEdgePoint(extended, 1) }
+      } else {
+        points[0] = { ...getEdgePoint(extended, 0), ...(bulge ? { bulge } : {}) }
+      }
+      return { ...obj, points }
+    }
+  }
+}
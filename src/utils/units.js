@@ -0,0 +1,208 @@
+// Unit conversion helpers
+//
+// World coordinates in cadStore are pixels at 96 px per inch (CSS reference
+// pixel), Y pointing down the screen. Anything that reads or writes real
+// units (typed lengths, exporters) converts through these helpers.
+
+export const PIXELS_PER_INCH = 96
+export const MM_PER_INCH = 25.4
+
+/**
+ * Convert inches to world pixels
+ * @param {number} inches - Length in inches
+ * @returns {number} Length in pixels
+ */
+export const inchesToPixels = (inches) => inches * PIXELS_PER_INCH
+
+/**
+ * Convert world pixels to inches
+ * @param {number} pixels - Length in pixels
+ * @returns {number} Length in inches
+ */
+export const pixelsToInches = (pixels) => pixels / PIXELS_PER_INCH
+
+/**
+ * Convert world pixels to millimetres
+ * @param {number} pixels - Length in pixels
+ * @returns {number} Length in millimetres
+ */
+export const pixelsToMillimetres = (pixels) => pixelsToInches(pixels) * MM_PER_INCH
+
+/**
+ * Convert millimetres to world pixels
+ * @param {number} millimetres - Length in millimetres
+ * @returns {number} Length in pixels
+ */
+export const millimetresToPixels = (millimetres) => inchesToPixels(millimetres / MM_PER_INCH)
+
+// Document unit systems. Precision is one setting for all of them: decimal
+// places for inches, mm and cm, and the fraction denominator 2^precision for
+// architectural (feet-inches) units, as AutoCAD's LUPREC does.
+export const UNIT_SYSTEMS = {
+  inches: { label: 'Decimal inches', abbreviation: 'in', perInch: 1, suffix: '"' },
+  architectural: { label: 'Feet-inches', abbreviation: 'ft-in', perInch: 1, suffix: '"' },
+  mm: { label: 'Millimetres', abbreviation: 'mm', perInch: MM_PER_INCH, suffix: ' mm' },
+  cm: { label: 'Centimetres', abbreviation: 'cm', perInch: MM_PER_INCH / 10, suffix: ' cm' }
+}
+export const MAX_PRECISION = 6
+
+// Explicit unit markers accepted in typed lengths, in inches per unit
+const LENGTH_SUFFIXES = {
+  mm: 1 / MM_PER_INCH,
+  cm: 10 / MM_PER_INCH,
+  m: 1000 / MM_PER_INCH,
+  in: 1,
+  '"': 1
+}
+
+/**
+ * Convert world pixels to a number in document units (inches for
+ * architectural units)
+ * @param {number} pixels - Length in pixels
+ * @param {string} units - Key of UNIT_SYSTEMS
+ * @returns {number} Length in document units
+ */
+export const pixelsToUnits = (pixels, units) => pixelsToInches(pixels) * (UNIT_SYSTEMS[units] || UNIT_SYSTEMS.inches).perInch
+
+/**
+ * Convert a number in document units (inches for architectural units) to
+ * world pixels
+ * @param {number} value - Length in document units
+ * @param {string} units - Key of UNIT_SYSTEMS
+ * @returns {number} Length in pixels
+ */
+export const unitsToPixels = (value, units) => inchesToPixels(value / (UNIT_SYSTEMS[units] || UNIT_SYSTEMS.inches).perInch)
+
+// Parse inches written as "23", "23.5", "3/4", "23 1/2" or "23-1/2"
+const parseInchesText = (text) => {
+  const match = /^(?:(\d*\.?\d+|\d+\.)(?:[\s-]+(\d+)\/(\d+))?|(\d+)\/(\d+))$/.exec(text)
+  if (!match) return null
+  const [, whole, numerator, denominator, bareNumerator, bareDenominator] = match
+  const fraction = (top, bottom) => Number(bottom) > 0 ? Number(top) / Number(bottom) : NaN
+  const value = whole !== undefined
+    ? Number(whole) + (numerator !== undefined ? fraction(numerator, denominator) : 0)
+    : fraction(bareNumerator, bareDenominator)
+  return Number.isFinite(value) ? value : null
+}
+
+/**
+ * Parse a typed length. Accepted forms:
+ *   600mm, 2.5cm, 1.2m, 12in    explicit units
+ *   23-1/2", 6 3/4, 3/4         inches with fractions
+ *   1'6 3/4, 1'-6.5", 2'        feet and inches
+ *   12.5                        a bare number is in the document units
+ *                               (inches for architectural units)
+ * @param {string} text - Typed text
+ * @param {string} units - Key of UNIT_SYSTEMS
+ * @returns {number|null} Length in world pixels, or null when the text is not a length
+ */
+export const parseLength = (text, units = 'inches') => {
+  let trimmed = String(text).trim().toLowerCase()
+  let sign = 1
+  if (trimmed.startsWith('-') || trimmed.startsWith('+')) {
+    sign = trimmed.startsWith('-') ? -1 : 1
+    trimmed = trimmed.slice(1).trim()
+  }
+  if (!trimmed) return null
+
+  // Plain number: document units
+  if (/^(\d*\.?\d+|\d+\.)(e[+-]?\d+)?$/.test(trimmed)) {
+    return sign * unitsToPixels(Number(trimmed), units)
+  }
+
+  // Number with an explicit unit
+  const suffixed = /^(\d*\.?\d+|\d+\.)\s*(mm|cm|m|in|")$/.exec(trimmed)
+  if (suffixed) {
+    return sign * inchesToPixels(Number(suffixed[1]) * LENGTH_SUFFIXES[suffixed[2]])
+  }
+
+  // Feet (' or ft), optionally followed by inches
+  let inches = 0
+  const feet = /^(\d*\.?\d+|\d+\.)\s*(?:'|ft)\s*-?\s*(.*)$/.exec(trimmed)
+  if (feet) {
+    inches = Number(feet[1]) * 12
+    trimmed = feet[2]
+  }
+  trimmed = trimmed.replace(/\s*(?:"|in)$/, '')
+  if (trimmed) {
+    const rest = parseInchesText(trimmed)
+    if (rest === null) return null
+    inches += rest
+  } else if (!feet) {
+    return null
+  }
+  return sign * inchesToPixels(inches)
+}
+
+// Drop trailing zeros (and a trailing point) from a fixed-point string
+const trimZeros = (text) => text.includes('.') ? text.replace(/\.?0+$/, '') : text
+
+const greatestCommonDivisor = (a, b) => b === 0 ? a : greatestCommonDivisor(b, a % b)
+
+/**
+ * Format a length for display in document units. Decimal units show up to
+ * `precision` decimals (trailing zeros dropped); architectural units round to
+ * 1/2^precision inch and read like 1'-6 3/4".
+ * @param {number} pixels - Length in world pixels
+ * @param {string} units - Key of UNIT_SYSTEMS
+ * @param {number} precision - 0 to MAX_PRECISION
+ * @returns {string} Formatted length with its unit mark
+ */
+export const formatLength = (pixels, units = 'inches', precision = 4) => {
+  const places = Math.max(0, Math.min(Math.round(precision), MAX_PRECISION))
+  const system = UNIT_SYSTEMS[units] || UNIT_SYSTEMS.inches
+
+  if (units !== 'architectural') {
+    const text = trimZeros(pixelsToUnits(pixels, units).toFixed(places))
+    return `${text === '-0' ? '0' : text}${system.suffix}`
+  }
+
+  const denominator = 2 ** places
+  const totalUnits = Math.round(Math.abs(pixelsToInches(pixels)) * denominator)
+  const sign = pixels < 0 && totalUnits > 0 ? '-' : ''
+  const feet = Math.floor(totalUnits / (12 * denominator))
+  const remainder = totalUnits - feet * 12 * denominator
+  const wholeInches = Math.floor(remainder / denominator)
+  let numerator = remainder - wholeInches * denominator
+
+  let inchText = String(wholeInches)
+  if (numerator > 0) {
+    const divisor = greatestCommonDivisor(numerator, denominator)
+    numerator /= divisor
+    const fraction = `${numerator}/${denominator / divisor}`
+    inchText = wholeInches > 0 ? `${wholeInches} ${fraction}` : fraction
+  }
+  return feet > 0 ? `${sign}${feet}'-${inchText}"` : `${sign}${inchText}"`
+}
+
+/**
+ * Format an area for display in document units: square inches (with square
+ * feet for feet-inches units), or square millimetres or centimetres, with
+ * up to `precision` decimals
+ * @param {number} squarePixels - Area in square world pixels
+ * @param {string} units - Key of UNIT_SYSTEMS
+ * @param {number} precision - 0 to MAX_PRECISION
+ * @returns {string} Formatted area with its unit
+ */
+export const formatArea = (squarePixels, units = 'inches', precision = 4) => {
+  const places = Math.max(0, Math.min(Math.round(precision), MAX_PRECISION))
+  const system = UNIT_SYSTEMS[units] || UNIT_SYSTEMS.inches
+  const area = squarePixels * (pixelsToUnits(1, units) ** 2)
+
+  if (units === 'architectural') {
+    return `${trimZeros(area.toFixed(places))} sq in (${trimZeros((area / 144).toFixed(places))} sq ft)`
+  }
+  return `${trimZeros(area.toFixed(places))} sq ${system.abbreviation}`
+}
+
+/**
+ * Precision choices for a unit system, for settings menus
+ * @param {string} units - Key of UNIT_SYSTEMS
+ * @returns {Array} [{ value, label }]
+ */
+export const getPrecisionOptions = (units) => Array.from({ length: MAX_PRECISION + 1 }, (_, value) => ({
+  value,
+  label: units === 'architectural'
+    ? (value === 0 ? '1"' : `1/${2 ** value}"`)
+    : (value === 0 ? '0' : `0.${'0'.repeat(value)}`)
+}))